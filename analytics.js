@@ -0,0 +1,295 @@
+// backend/analytics.js
+// Small statistics helpers for the /analytics endpoints
+//
+// Aggregates that SQL does well (AVG, COUNT, GROUP BY) stay in the queries in server.js;
+// the helpers here cover what is awkward in SQL: calendar-based rolling windows,
+// correlations between days, streaks of consecutive days and hiding small cohorts.
+//
+// Dates are "YYYY-MM-DD" strings (db.js uses dateStrings), so date math is done in UTC
+// to avoid timezone shifts.
+
+/**
+ * addDays(date, days)
+ * Purpose: "2026-01-31" + 1 -> "2026-02-01"
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * daysBetween(from, to)
+ * Purpose: Whole days from one date to another (to - from)
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * round(value, digits)
+ * Purpose: Round for display; null stays null (AVG of no rows)
+ */
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * mean(values)
+ * Purpose: Average of the non-null values, or null when there are none
+ */
+function mean(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+  return present.reduce((sum, v) => sum + Number(v), 0) / present.length;
+}
+
+/**
+ * rollingMeans(rows, fields, windowDays)
+ * Purpose: For every row, the mean of each field over the calendar window ending on that day
+ *
+ * rows: [{ log_date, ...fields }] sorted by log_date, at most one row per day
+ * The window is by calendar day, so missing days shrink the sample instead of
+ * pulling in older entries.
+ *
+ * Returns: [{ date, <field>: mean, ..., days_logged }]
+ */
+function rollingMeans(rows, fields, windowDays = 7) {
+  return rows.map((row, i) => {
+    const windowStart = addDays(row.log_date, -(windowDays - 1));
+    const inWindow = [];
+    for (let j = i; j >= 0 && rows[j].log_date >= windowStart; j--) {
+      inWindow.push(rows[j]);
+    }
+
+    const point = { date: row.log_date };
+    fields.forEach(field => {
+      point[field] = round(mean(inWindow.map(r => r[field])));
+    });
+    point.days_logged = inWindow.length;
+    return point;
+  });
+}
+
+/**
+ * pearson(pairs)
+ * Purpose: Pearson correlation coefficient of [[x, y], ...]
+ *
+ * Returns: { r, n } where r is between -1 and 1, or null when there are fewer
+ * than 3 pairs or one side never changes (the correlation is undefined then)
+ */
+function pearson(pairs) {
+  const n = pairs.length;
+  if (n < 3) return { r: null, n };
+
+  const meanX = mean(pairs.map(p => p[0]));
+  const meanY = mean(pairs.map(p => p[1]));
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  pairs.forEach(([x, y]) => {
+    cov += (x - meanX) * (y - meanY);
+    varX += (x - meanX) ** 2;
+    varY += (y - meanY) ** 2;
+  });
+
+  if (varX === 0 || varY === 0) return { r: null, n };
+  return { r: round(cov / Math.sqrt(varX * varY), 3), n };
+}
+
+/**
+ * pairFields(rows, xField, yField, lagDays)
+ * Purpose: Build [x, y] pairs for pearson()
+ *
+ * lagDays = 0 pairs fields of the same day; lagDays = 1 pairs x on one day
+ * with y on the following day (e.g. sleep vs next-day mood)
+ */
+function pairFields(rows, xField, yField, lagDays = 0) {
+  const byDate = new Map(rows.map(r => [r.log_date, r]));
+  const pairs = [];
+  rows.forEach(row => {
+    const other = lagDays === 0 ? row : byDate.get(addDays(row.log_date, lagDays));
+    if (!other) return;
+    const x = row[xField];
+    const y = other[yField];
+    if (x !== null && x !== undefined && y !== null && y !== undefined) {
+      pairs.push([Number(x), Number(y)]);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * streaks(dates, today, isDue)
+ * Purpose: Current and longest run of consecutive due days
+ *
+ * dates: sorted, unique "YYYY-MM-DD" strings (e.g. days a habit was completed)
+ * isDue(date): which days count (default: every day). Days that aren't due are
+ * skipped, so a weekdays-only habit keeps its streak over the weekend.
+ * The current streak still counts when today isn't done yet but the previous
+ * due day was, so a streak doesn't look broken in the morning.
+ *
+ * Returns: { current, longest, last_date }
+ */
+function streaks(dates, today, isDue = () => true) {
+  const nextDue = date => {
+    let d = addDays(date, 1);
+    while (!isDue(d)) d = addDays(d, 1);
+    return d;
+  };
+  const previousDue = date => {
+    let d = addDays(date, -1);
+    while (!isDue(d)) d = addDays(d, -1);
+    return d;
+  };
+
+  const dueDates = dates.filter(isDue);
+  let longest = 0;
+  let run = 0;
+  dueDates.forEach((date, i) => {
+    run = i > 0 && nextDue(dueDates[i - 1]) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = dueDates[dueDates.length - 1] || null;
+  const alive = last === today || last === previousDue(today);
+  return { current: alive ? run : 0, longest, last_date: dates[dates.length - 1] || null };
+}
+
+// ==================== HABIT SCHEDULES ====================
+// Habit.frequency decides which days a habit is expected:
+// - "daily":    every day
+// - "weekdays": Monday to Friday
+// - "weekly":   times_per_week times on any days of the week (Monday-Sunday)
+
+/**
+ * weekStart(date)
+ * Purpose: The Monday of the week containing date
+ */
+function weekStart(date) {
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0
+  return addDays(date, -weekday);
+}
+
+/**
+ * isDueOn(habit, date)
+ * Purpose: Is this a fixed day for the habit? (always false for "weekly" habits,
+ * which can be done on any day)
+ */
+function isDueOn(habit, date) {
+  if (habit.frequency === "weekly") return false;
+  if (habit.frequency === "weekdays") {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return day >= 1 && day <= 5;
+  }
+  return true;
+}
+
+/**
+ * activeDays(habit, from, to)
+ * Purpose: The part of [from, to] in which the habit existed and wasn't archived
+ * habit.start_date / habit.archived_date come from the Habit row (archived_date may be null)
+ * Returns: { from, to } or null when the habit wasn't active at all in the range
+ */
+function activeDays(habit, from, to) {
+  const start = habit.start_date > from ? habit.start_date : from;
+  const end = habit.archived_date && habit.archived_date < to ? habit.archived_date : to;
+  return start <= end ? { from: start, to: end } : null;
+}
+
+/**
+ * habitProgress(habit, dates, from, to)
+ * Purpose: Completions vs. what the schedule expected between from and to
+ *
+ * dates: sorted days the habit was completed
+ * "weekly" habits expect times_per_week per 7 active days (prorated for partial weeks).
+ * Returns: { completed, expected, completion_rate } (rate is a capped percentage, null if nothing was expected)
+ */
+function habitProgress(habit, dates, from, to) {
+  const range = activeDays(habit, from, to);
+  if (!range) return { completed: 0, expected: 0, completion_rate: null };
+
+  const done = dates.filter(d => d >= range.from && d <= range.to);
+  const days = daysBetween(range.from, range.to) + 1;
+
+  let expected;
+  let completed;
+  if (habit.frequency === "weekly") {
+    expected = round(((habit.times_per_week || 1) * days) / 7);
+    completed = done.length;
+  } else {
+    expected = 0;
+    for (let d = range.from; d <= range.to; d = addDays(d, 1)) {
+      if (isDueOn(habit, d)) expected += 1;
+    }
+    // Doing a weekdays habit on Saturday is nice, but doesn't count toward the target
+    completed = done.filter(d => isDueOn(habit, d)).length;
+  }
+
+  const rate = expected > 0 ? round(Math.min(completed / expected, 1) * 100, 1) : null;
+  return { completed, expected, completion_rate: rate };
+}
+
+/**
+ * habitStreaks(habit, dates, today)
+ * Purpose: Streaks in the habit's own unit
+ * - daily / weekdays habits: consecutive due days
+ * - weekly habits: consecutive weeks that reached times_per_week
+ *   (the current week only breaks the streak once it is over)
+ *
+ * Returns: { current, longest, unit: "day" | "week", last_date }
+ */
+function habitStreaks(habit, dates, today) {
+  if (habit.frequency !== "weekly") {
+    return { ...streaks(dates, today, d => isDueOn(habit, d)), unit: "day" };
+  }
+
+  // Count completions per week, then treat each week that met the target as a "day"
+  const perWeek = new Map();
+  dates.forEach(d => perWeek.set(weekStart(d), (perWeek.get(weekStart(d)) || 0) + 1));
+  const metWeeks = [...perWeek.keys()]
+    .filter(week => perWeek.get(week) >= (habit.times_per_week || 1))
+    .sort();
+
+  const isWeekStart = d => weekStart(d) === d;
+  const result = streaks(metWeeks, weekStart(today), isWeekStart);
+  return { ...result, unit: "week", last_date: dates[dates.length - 1] || null };
+}
+
+// ==================== COHORT PRIVACY ====================
+
+/**
+ * suppressSmallGroups(groups, minSize, metrics)
+ * Purpose: Hide group figures that could point at individual students
+ *
+ * groups: [{ students, ...metrics }] (students = distinct students in the group)
+ * A group with fewer than minSize students is suppressed. When exactly one group is
+ * suppressed, its figures could be worked out from the others and the overall figure,
+ * so the next smallest group is suppressed as well.
+ *
+ * Returns: the groups with suppressed: true|false; suppressed groups have students
+ * and every metric named in metrics set to null
+ */
+function suppressSmallGroups(groups, minSize, metrics) {
+  const hidden = new Set(groups.filter(g => g.students < minSize));
+  if (hidden.size === 1) {
+    const nextSmallest = groups
+      .filter(g => !hidden.has(g))
+      .sort((a, b) => a.students - b.students)[0];
+    if (nextSmallest) hidden.add(nextSmallest);
+  }
+
+  return groups.map(g => {
+    if (!hidden.has(g)) return { ...g, suppressed: false };
+    const blank = { ...g, students: null, suppressed: true };
+    metrics.forEach(metric => { blank[metric] = null; });
+    return blank;
+  });
+}
+
+module.exports = {
+  addDays, daysBetween, round, mean, rollingMeans, pearson, pairFields, streaks,
+  weekStart, isDueOn, activeDays, habitProgress, habitStreaks, suppressSmallGroups
+};
@@ -0,0 +1,172 @@
+// backend/calendar.js
+// iCalendar (.ics, RFC 5545) files for appointments
+//
+// Used by the subscribable feed (GET /calendar/:token.ics) and the single-event
+// download after booking (GET /appointments/:appoint_id/event.ics).
+//
+// Every appointment becomes one VEVENT whose UID never changes; SEQUENCE grows with
+// each Appointment_History row, so calendar apps replace the old version when the
+// status or time changes. Cancelled and declined appointments stay in the feed with
+// STATUS:CANCELLED so subscribers see them disappear from their day.
+//
+// Events only carry the type, the other person's name, the time and the status.
+// The booking reason and session notes are never written to a calendar.
+//
+// Times are "floating" local times (no time zone), like appointment_date/time in the
+// database. Set CALENDAR_TIMEZONE (e.g. Asia/Dhaka) to name the campus time zone.
+const pool = require("./db");
+const { addDays } = require("./analytics");
+
+// The feed covers appointments from this many days ago onwards
+const CALENDAR_PAST_DAYS = 90;
+
+const CALENDAR_TIMEZONE = process.env.CALENDAR_TIMEZONE || "";
+
+// Appointment.status -> VEVENT STATUS
+const ICS_STATUS = {
+  Pending: "TENTATIVE",
+  Approved: "CONFIRMED",
+  Rescheduled: "CONFIRMED",
+  Completed: "CONFIRMED",
+  "No-show": "CONFIRMED",
+  Declined: "CANCELLED",
+  Cancelled: "CANCELLED"
+};
+
+// ==================== FORMATTING ====================
+
+/**
+ * escapeText(text)
+ * Purpose: Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * foldLine(line)
+ * Purpose: Split a content line into 75-octet pieces (continuations start with a space)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+/**
+ * localStamp(date, time, addMinutes)
+ * Purpose: "2026-01-10", "09:30:00", 30 -> "20260110T100000" (floating local time)
+ */
+function localStamp(date, time, addMinutes = 0) {
+  const d = new Date(`${date}T${String(time).slice(0, 5)}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + addMinutes);
+  return d.toISOString().slice(0, 19).replace(/[-:]/g, "");
+}
+
+/**
+ * appointmentEvent(appointment, viewerRole, now)
+ * Purpose: The VEVENT lines for one appointment, as seen by a student or a professional
+ */
+function appointmentEvent(a, viewerRole, now) {
+  const title = viewerRole === "professional"
+    ? `${a.appointment_type} session with ${a.student_name}`
+    : `${a.appointment_type} appointment with ${a.professional_name}`;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:appointment-${a.appoint_id}@campus-wellness`,
+    `DTSTAMP:${now}`,
+    `SEQUENCE:${Number(a.sequence) || 0}`,
+    `DTSTART:${localStamp(a.appointment_date, a.appointment_time)}`,
+    `DTEND:${localStamp(a.appointment_date, a.appointment_time, a.duration_minutes)}`,
+    `SUMMARY:${escapeText(title)}`,
+    `DESCRIPTION:${escapeText(`Status: ${a.status}. Details are on the Campus Wellness appointments page.`)}`,
+    `STATUS:${ICS_STATUS[a.status] || "CONFIRMED"}`,
+    "END:VEVENT"
+  ];
+}
+
+/**
+ * buildCalendar(name, appointments, viewerRole)
+ * Purpose: A complete VCALENDAR file (CRLF line endings, folded lines)
+ */
+function buildCalendar(name, appointments, viewerRole) {
+  const now = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "") + "Z";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Campus Wellness//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(CALENDAR_TIMEZONE ? [`X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`] : []),
+    ...appointments.flatMap(a => appointmentEvent(a, viewerRole, now)),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ==================== DATA ====================
+
+// Columns an event needs (sequence = number of recorded changes)
+const EVENT_COLUMNS = `a.appoint_id, a.appointment_date, a.appointment_time, a.duration_minutes,
+  a.appointment_type, a.professional_name, a.status, u.name AS student_name,
+  (SELECT COUNT(*) FROM Appointment_History h WHERE h.appoint_id = a.appoint_id) AS sequence`;
+
+/**
+ * getFeedAppointments(user)
+ * Purpose: The appointments in a user's feed: a student's own bookings, or the
+ * bookings with a professional, from CALENDAR_PAST_DAYS ago onwards
+ *
+ * user: { role, std_id, professional_id }
+ */
+async function getFeedAppointments(user) {
+  const column = user.role === "professional" ? "a.professional_id" : "a.std_id";
+  const id = user.role === "professional" ? user.professional_id : user.std_id;
+  const since = addDays(new Date().toISOString().split("T")[0], -CALENDAR_PAST_DAYS);
+
+  const [rows] = await pool.execute(
+    `SELECT ${EVENT_COLUMNS}
+     FROM Appointment a
+     JOIN Student st ON st.std_id = a.std_id
+     JOIN User u ON u.user_id = st.user_id
+     WHERE ${column} = ? AND a.appointment_date >= ?
+     ORDER BY a.appointment_date, a.appointment_time`,
+    [id, since]
+  );
+  return rows;
+}
+
+/**
+ * getEventAppointment(appoint_id)
+ * Purpose: One appointment with the columns an event needs (access is checked by the caller)
+ */
+async function getEventAppointment(appoint_id) {
+  const [[row]] = await pool.execute(
+    `SELECT ${EVENT_COLUMNS}
+     FROM Appointment a
+     JOIN Student st ON st.std_id = a.std_id
+     JOIN User u ON u.user_id = st.user_id
+     WHERE a.appoint_id = ?`,
+    [appoint_id]
+  );
+  return row || null;
+}
+
+module.exports = { CALENDAR_PAST_DAYS, buildCalendar, getFeedAppointments, getEventAppointment };
@@ -10,6 +10,12 @@ const pool = mysql.createPool({
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
+  // Return DATE/DATETIME columns as plain strings ("2026-01-10", "2026-01-10 14:30:00")
+  // instead of JS Date objects, so dates are not shifted by the server's timezone.
+  // This applies to every query: JSON responses carry these strings rather than ISO
+  // timestamps ("2026-01-09T18:00:00.000Z"), and the server code compares and groups
+  // dates as "YYYY-MM-DD" strings, so it must stay on.
+  dateStrings: true,
 });
 
 module.exports = pool;
@@ -0,0 +1,335 @@
+// backend/export.js
+// Personal data export for GET /export/:std_id
+//
+// Gathers a student's Mood_log, Habit_Log (with habit names) and Appointment rows
+// for a date range and turns them into:
+// - JSON: the rows as they are, plus the student's name and the range
+// - CSV:  one file with a section per table ("Mood log", "Habit log", "Appointments"),
+//         each starting with its title and a header row
+// - PDF:  a readable report (summary, mood chart and tables) to hand to a therapist
+const PDFDocument = require("pdfkit");
+const pool = require("./db");
+const { daysBetween, round, mean } = require("./analytics");
+
+const EXPORT_FORMATS = ["csv", "json", "pdf"];
+
+// Value labels used by the mood log form (see initMoodLog in main.js)
+const STRESS_NAMES = { 1: "Low", 2: "Medium", 3: "High" };
+const SLEEP_NAMES = { 1: "Poor", 2: "Average", 3: "Good" };
+
+// ==================== DATA ====================
+
+/**
+ * getExportData(std_id, from, to)
+ * Purpose: Everything the export contains for one student
+ *
+ * from may be null (from the first entry on); to is always a date
+ * Returns: null if the student doesn't exist, otherwise
+ * { student, from, to, generated_at, mood_logs, habit_logs, appointments }
+ */
+async function getExportData(std_id, from, to) {
+  const [[student]] = await pool.execute(
+    `SELECT st.std_id, u.name, st.department, st.semester
+     FROM Student st
+     JOIN User u ON u.user_id = st.user_id
+     WHERE st.std_id = ?`,
+    [std_id]
+  );
+  if (!student) return null;
+
+  const [moodLogs] = await pool.execute(
+    `SELECT log_date, mood_rating, stress_level, energy_level, sleep_quantity, emotional_status, notes
+     FROM Mood_log
+     WHERE std_id = ? AND (? IS NULL OR log_date >= ?) AND log_date <= ?
+     ORDER BY log_date`,
+    [std_id, from, from, to]
+  );
+
+  const [habitLogs] = await pool.execute(
+    `SELECT h.log_date, h.habit_id, hb.habit_name, hb.category, h.completed
+     FROM Habit_Log h
+     JOIN Habit hb ON hb.habit_id = h.habit_id
+     WHERE h.std_id = ? AND (? IS NULL OR h.log_date >= ?) AND h.log_date <= ?
+     ORDER BY h.log_date, hb.habit_name`,
+    [std_id, from, from, to]
+  );
+
+  const [appointments] = await pool.execute(
+    `SELECT appointment_date, TIME_FORMAT(appointment_time, '%H:%i') AS appointment_time,
+            appointment_type, professional_name, duration_minutes, status, reason, cancel_reason
+     FROM Appointment
+     WHERE std_id = ? AND (? IS NULL OR appointment_date >= ?) AND appointment_date <= ?
+     ORDER BY appointment_date, appointment_time`,
+    [std_id, from, from, to]
+  );
+
+  return {
+    student,
+    from,
+    to,
+    generated_at: new Date().toISOString(),
+    mood_logs: moodLogs,
+    habit_logs: habitLogs.map(log => ({ ...log, completed: Boolean(log.completed) })),
+    appointments
+  };
+}
+
+// ==================== CSV ====================
+
+/**
+ * csvCell(value)
+ * Purpose: Quote a value for CSV
+ * Text starting with = + - @ (or a tab / carriage return) gets a leading ' so
+ * spreadsheet apps don't run it as a formula.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * csvSection(title, columns, rows)
+ * Purpose: A titled block of CSV lines; columns: [{ key, label }]
+ */
+function csvSection(title, columns, rows) {
+  return [
+    csvCell(title),
+    columns.map(c => csvCell(c.label)).join(","),
+    ...rows.map(row => columns.map(c => csvCell(row[c.key])).join(","))
+  ].join("\r\n");
+}
+
+// Columns shared by the CSV and PDF tables (the PDF uses width, a share of the page)
+const MOOD_COLUMNS = [
+  { key: "log_date", label: "Date", width: 0.13 },
+  { key: "mood_rating", label: "Mood (1-5)", width: 0.1 },
+  { key: "stress", label: "Stress", width: 0.09 },
+  { key: "energy_level", label: "Energy (1-5)", width: 0.1 },
+  { key: "sleep", label: "Sleep", width: 0.09 },
+  { key: "emotional_status", label: "Emotion", width: 0.13 },
+  { key: "notes", label: "Notes", width: 0.36 }
+];
+const HABIT_COLUMNS = [
+  { key: "log_date", label: "Date", width: 0.2 },
+  { key: "habit_name", label: "Habit", width: 0.4 },
+  { key: "category", label: "Category", width: 0.25 },
+  { key: "done", label: "Completed", width: 0.15 }
+];
+const APPOINTMENT_COLUMNS = [
+  { key: "appointment_date", label: "Date", width: 0.13 },
+  { key: "appointment_time", label: "Time", width: 0.08 },
+  { key: "appointment_type", label: "Type", width: 0.12 },
+  { key: "professional_name", label: "Professional", width: 0.17 },
+  { key: "duration_minutes", label: "Minutes", width: 0.08 },
+  { key: "status", label: "Status", width: 0.12 },
+  { key: "reason", label: "Reason", width: 0.3 }
+];
+
+// Rows with the numeric codes turned into the labels students picked
+const labelledMoods = data => data.mood_logs.map(m => ({
+  ...m,
+  stress: STRESS_NAMES[m.stress_level] || "",
+  sleep: SLEEP_NAMES[m.sleep_quantity] || ""
+}));
+const labelledHabits = data => data.habit_logs.map(h => ({ ...h, done: h.completed ? "yes" : "no" }));
+
+/**
+ * toCsv(data)
+ * Purpose: The export as one CSV file with a section per table
+ */
+function toCsv(data) {
+  const range = `${data.from || "first entry"} to ${data.to}`;
+  return [
+    csvCell(`Wellness history of ${data.student.name} (student ID ${data.student.std_id}), ${range}`),
+    csvSection("Mood log", MOOD_COLUMNS, labelledMoods(data)),
+    csvSection("Habit log", HABIT_COLUMNS, labelledHabits(data)),
+    csvSection("Appointments", [...APPOINTMENT_COLUMNS, { key: "cancel_reason", label: "Cancel reason" }], data.appointments)
+  ].join("\r\n\r\n") + "\r\n";
+}
+
+// ==================== PDF ====================
+
+// Notes and reasons are cut to this many characters in the PDF (the CSV and JSON keep them whole)
+const PDF_TEXT_LIMIT = 300;
+
+// PDFKit's built-in Helvetica only covers Latin text (WinAnsi), so names or notes in
+// other scripts (e.g. Bangla) come out garbled. PDF_FONT_PATH / PDF_BOLD_FONT_PATH
+// point to TrueType fonts that cover them; without them the report falls back to Helvetica.
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH || "";
+const PDF_BOLD_FONT_PATH = process.env.PDF_BOLD_FONT_PATH || PDF_FONT_PATH;
+const FONT = PDF_FONT_PATH ? "Body" : "Helvetica";
+const BOLD_FONT = PDF_FONT_PATH ? "Body-Bold" : "Helvetica-Bold";
+
+const shorten = text => (text && text.length > PDF_TEXT_LIMIT ? `${text.slice(0, PDF_TEXT_LIMIT)}...` : text);
+
+/**
+ * pdfHeading(doc, text)
+ * Purpose: A section title, starting a new page when little room is left
+ */
+function pdfHeading(doc, text) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+  doc.moveDown(0.5).font(BOLD_FONT).fontSize(13).fillColor("black").text(text);
+  doc.moveDown(0.3).font(FONT).fontSize(10);
+}
+
+/**
+ * pdfTable(doc, columns, rows)
+ * Purpose: Draw a table that wraps long cells and repeats its header on every page
+ */
+function pdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const fullWidth = doc.page.width - left - doc.page.margins.right;
+  const widths = columns.map(c => c.width * fullWidth);
+  const header = columns.map(c => c.label);
+
+  const drawRow = (cells, bold) => {
+    const font = bold ? BOLD_FONT : FONT;
+    doc.font(font).fontSize(8);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - 6 }))) + 6;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) drawRow(header, true);
+      doc.font(font).fontSize(8);
+    }
+
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.fillColor("black").text(cell, x + 3, top + 3, { width: widths[i] - 6 });
+      x += widths[i];
+    });
+    doc.moveTo(left, top + height).lineTo(left + fullWidth, top + height)
+      .lineWidth(0.5).strokeColor("#cccccc").stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(header, true);
+  rows.forEach(row => drawRow(columns.map(c => String(shorten(row[c.key]) ?? "")), false));
+  doc.moveDown();
+}
+
+/**
+ * pdfMoodChart(doc, moods, from, to)
+ * Purpose: Line chart of the mood ratings (1-5) across the range
+ */
+function pdfMoodChart(doc, moods, from, to) {
+  const rated = moods.filter(m => m.mood_rating !== null);
+  if (rated.length < 2) {
+    doc.text("Not enough mood ratings in this range for a chart.");
+    return;
+  }
+
+  const height = 120;
+  if (doc.y + height + 30 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+  const left = doc.page.margins.left + 20;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const top = doc.y + 5;
+  const days = Math.max(1, daysBetween(from, to));
+  const xFor = date => left + (daysBetween(from, date) / days) * width;
+  const yFor = rating => top + height - ((rating - 1) / 4) * height;
+
+  // Grid lines for each rating
+  for (let rating = 1; rating <= 5; rating++) {
+    doc.moveTo(left, yFor(rating)).lineTo(left + width, yFor(rating)).lineWidth(0.5).strokeColor("#dddddd").stroke();
+    doc.font(FONT).fontSize(8).fillColor("#666666").text(String(rating), left - 15, yFor(rating) - 4);
+  }
+
+  rated.forEach((m, i) => {
+    if (i === 0) doc.moveTo(xFor(m.log_date), yFor(m.mood_rating));
+    else doc.lineTo(xFor(m.log_date), yFor(m.mood_rating));
+  });
+  doc.lineWidth(1.5).strokeColor("#3b82f6").stroke();
+  rated.forEach(m => doc.circle(xFor(m.log_date), yFor(m.mood_rating), 2).fill("#3b82f6"));
+
+  doc.fillColor("#666666").text(from, left, top + height + 4);
+  doc.text(to, left, top + height + 4, { width, align: "right" });
+  doc.fillColor("black");
+  doc.x = doc.page.margins.left;
+  doc.y = top + height + 20;
+}
+
+/**
+ * writePdf(data, stream)
+ * Purpose: Write the export as a PDF report to a writable stream (e.g. the response)
+ *
+ * Sections: summary, mood chart, habit completions per habit, mood log,
+ * appointments and the full habit log.
+ * Throws before anything is written if a configured font can't be loaded.
+ */
+function writePdf(data, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: "Wellness history" } });
+  if (PDF_FONT_PATH) {
+    // font() loads the file, so a bad path fails here rather than halfway through the response
+    doc.registerFont(FONT, PDF_FONT_PATH).font(FONT);
+    doc.registerFont(BOLD_FONT, PDF_BOLD_FONT_PATH).font(BOLD_FONT);
+  }
+  doc.pipe(stream);
+
+  const moods = labelledMoods(data);
+  // Without a from date the range starts at the first entry
+  const firstDates = [moods[0]?.log_date, data.habit_logs[0]?.log_date, data.appointments[0]?.appointment_date].filter(Boolean);
+  const from = data.from || (firstDates.length ? firstDates.sort()[0] : data.to);
+
+  doc.font(BOLD_FONT).fontSize(18).text("Wellness History");
+  doc.font(FONT).fontSize(10).fillColor("#444444")
+    .text(`${data.student.name}, student ID ${data.student.std_id}` +
+      (data.student.department ? `, ${data.student.department}` : ""))
+    .text(`${from} to ${data.to} (generated ${data.generated_at.slice(0, 10)})`)
+    .fillColor("black");
+
+  // Summary
+  const ratings = moods.map(m => m.mood_rating).filter(r => r !== null);
+  const stress = moods.map(m => m.stress_level).filter(s => s !== null);
+  const averageStress = round(mean(stress), 1);
+  const byStatus = {};
+  data.appointments.forEach(a => { byStatus[a.status] = (byStatus[a.status] || 0) + 1; });
+
+  pdfHeading(doc, "Summary");
+  doc.text(`Mood logs: ${moods.length}`)
+    .text(`Average mood: ${ratings.length ? `${round(mean(ratings), 1)} out of 5` : "-"}`)
+    .text(`Average stress: ${stress.length ? `${averageStress} (${STRESS_NAMES[Math.round(averageStress)]})` : "-"}`)
+    .text(`Habit check-ins completed: ${data.habit_logs.filter(h => h.completed).length}`)
+    .text(`Appointments: ${data.appointments.length}` +
+      (data.appointments.length ? ` (${Object.entries(byStatus).map(([s, n]) => `${n} ${s}`).join(", ")})` : ""));
+
+  pdfHeading(doc, "Mood Trend");
+  pdfMoodChart(doc, moods, from, data.to);
+
+  // Completed days per habit (by id: an archived habit and a new one may share a name)
+  const perHabit = new Map();
+  data.habit_logs.filter(h => h.completed).forEach(h => {
+    const entry = perHabit.get(h.habit_id) || { habit_name: h.habit_name, category: h.category, days: 0 };
+    entry.days += 1;
+    perHabit.set(h.habit_id, entry);
+  });
+  pdfHeading(doc, "Habits");
+  if (perHabit.size === 0) doc.text("No habit check-ins in this range.");
+  else {
+    pdfTable(doc, [
+      { key: "habit_name", label: "Habit", width: 0.5 },
+      { key: "category", label: "Category", width: 0.3 },
+      { key: "days", label: "Days completed", width: 0.2 }
+    ], [...perHabit.values()]);
+  }
+
+  pdfHeading(doc, "Mood Log");
+  if (moods.length === 0) doc.text("No mood logs in this range.");
+  else pdfTable(doc, MOOD_COLUMNS, moods);
+
+  pdfHeading(doc, "Appointments");
+  if (data.appointments.length === 0) doc.text("No appointments in this range.");
+  else pdfTable(doc, APPOINTMENT_COLUMNS, data.appointments);
+
+  pdfHeading(doc, "Habit Log");
+  if (data.habit_logs.length === 0) doc.text("No habit check-ins in this range.");
+  else pdfTable(doc, HABIT_COLUMNS, labelledHabits(data));
+
+  doc.end();
+}
+
+module.exports = { EXPORT_FORMATS, getExportData, toCsv, writePdf };
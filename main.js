@@ -1,47 +1,331 @@
 // ================= GLOBAL CONFIG =================
 const API_BASE = "http://localhost:3000";
-const STUDENT_ID = 101;
+const TOKEN_KEY = "cw_token";
+
+// Logged-in user from GET /auth/me: { user_id, name, email, role, std_id }
+let currentUser = null;
 
 // ================= RUN ON PAGE LOAD =================
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   initLogin();
+  initPasswordReset();
+  initRegister();
+
+  // Every page except login and registration needs a logged-in user
+  if (document.getElementById("login-form") || document.getElementById("register-form")) return;
+
+  currentUser = await loadCurrentUser();
+  if (!currentUser) return;
+
+  initLogout();
+  initProfile();
+  initNotificationPreferences();
   initStudentDashboard();
   initMoodLog();
   initHabitTracker();
+  initHabitHeatmap();
   initAppointments();
+  initCalendarFeed();
   initProfessionalDashboard();
+  initRiskFlagQueue();
   initAdminDashboard();
+  initAdminAnalytics();
+  initUserAdmin();
+  initResourceAdmin();
   initResourceSearch();
   initAnalyticsCharts();
+  initDataExport();
   initNotifications();
   initRecommendations();
   initWeeklyHabitSummary();
 
 });
-document.addEventListener("DOMContentLoaded", initAnalyticsCharts);
+
+// ================= API HELPER =================
+/**
+ * apiFetch(path, options)
+ * Purpose: fetch() wrapper that prefixes API_BASE and sends the session token
+ * If the server answers 401 the session is gone, so we go back to the login page
+ */
+async function apiFetch(path, options = {}) {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+  if (res.status === 401 && !document.getElementById("login-form")) {
+    localStorage.removeItem(TOKEN_KEY);
+    location.href = "index.html";
+  }
+  return res;
+}
+
+/**
+ * loadCurrentUser()
+ * Purpose: Ask the server who is logged in (GET /auth/me)
+ * Returns the user object, or null (after redirecting to login) if not logged in
+ */
+async function loadCurrentUser() {
+  if (!localStorage.getItem(TOKEN_KEY)) {
+    location.href = "index.html";
+    return null;
+  }
+
+  const res = await apiFetch("/auth/me");
+  if (!res.ok) return null;
+  return res.json();
+}
+
+// ================= ERROR HELPERS =================
+// API errors look like { error: { code, message, fields: { field_name: "what is wrong" } } }
+
+/**
+ * errorMessage(data, fallback)
+ * Purpose: The human-readable message of an API error response
+ */
+function errorMessage(data, fallback) {
+  return (data && data.error && data.error.message) || fallback;
+}
+
+/**
+ * clearFieldErrors(form)
+ * Purpose: Remove the error notes left by a previous submit
+ */
+function clearFieldErrors(form) {
+  form.querySelectorAll(".field-error").forEach(el => el.remove());
+  form.querySelectorAll(".input-invalid").forEach(el => el.classList.remove("input-invalid"));
+}
+
+/**
+ * showFormError(form, data, fallback, idFor)
+ * Purpose: Show an API error on a form
+ * - each entry of error.fields is written under its input
+ * - the message is alerted when there are no field errors, or some can't be placed
+ *
+ * idFor: API field name -> input id (default: mood_rating -> "mood-rating")
+ */
+function showFormError(form, data, fallback, idFor = name => name.replace(/_/g, "-")) {
+  clearFieldErrors(form);
+
+  const fields = (data && data.error && data.error.fields) || {};
+  const unplaced = [];
+
+  Object.entries(fields).forEach(([name, problem]) => {
+    const input = form.querySelector(`#${idFor(name)}`);
+    if (!input) return unplaced.push(`${name} ${problem}`);
+
+    const note = document.createElement("small");
+    note.className = "field-error";
+    note.textContent = problem.charAt(0).toUpperCase() + problem.slice(1);
+    input.classList.add("input-invalid");
+    input.insertAdjacentElement("afterend", note);
+  });
+
+  if (Object.keys(fields).length === 0 || unplaced.length > 0) {
+    alert([errorMessage(data, fallback), ...unplaced].join("\n"));
+  }
+}
 
 // ================= LOGIN =================
 function initLogin() {
   const form = document.getElementById("login-form");
   if (!form) return;
 
-  form.addEventListener("submit", e => {
+  form.addEventListener("submit", async e => {
     e.preventDefault();
-    const role = document.getElementById("role").value;
-    if (!role) return alert("Select a role");
 
+    const res = await apiFetch("/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        email: document.getElementById("email").value,
+        password: document.getElementById("password").value
+      })
+    });
+    const data = await res.json();
+
+    if (!res.ok) return showFormError(form, data, "Login failed");
+
+    localStorage.setItem(TOKEN_KEY, data.token);
+
+    // The role now comes from the User table, not from the form
+    const role = data.user.role;
     if (role === "student") location.href = "student_dashboard.html";
     if (role === "professional") location.href = "professional_dashboard.html";
     if (role === "admin") location.href = "admin_dashboard.html";
   });
 }
 
+// ================= PASSWORD RESET =================
+/**
+ * initPasswordReset()
+ * Purpose: Login page - set a new password with a reset code from an admin
+ */
+function initPasswordReset() {
+  const form = document.getElementById("reset-password-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const res = await apiFetch("/auth/reset-password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        code: document.getElementById("reset-code").value.trim(),
+        password: document.getElementById("reset-password").value
+      })
+    });
+    const data = await res.json();
+
+    if (!res.ok) return showFormError(form, data, "Password reset failed", name => `reset-${name}`);
+
+    clearFieldErrors(form);
+    form.reset();
+    alert("Password updated. You can log in with it now.");
+  });
+}
+
+// ================= LOGOUT =================
+function initLogout() {
+  // Every navbar has a "Logout" link pointing back to index.html
+  const link = document.querySelector('.top-nav a[href="index.html"]');
+  if (!link) return;
+
+  link.addEventListener("click", async e => {
+    e.preventDefault();
+    await apiFetch("/auth/logout", { method: "POST" }).catch(() => {});
+    localStorage.removeItem(TOKEN_KEY);
+    location.href = "index.html";
+  });
+}
+
+// ================= REGISTRATION =================
+function initRegister() {
+  const form = document.getElementById("register-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const payload = {
+      name: document.getElementById("reg-name").value,
+      std_id: Number(document.getElementById("reg-std-id").value),
+      email: document.getElementById("reg-email").value,
+      password: document.getElementById("reg-password").value,
+      phone: document.getElementById("reg-phone").value || undefined,
+      department: document.getElementById("reg-department").value || undefined,
+      semester: document.getElementById("reg-semester").value || undefined
+    };
+
+    const res = await apiFetch("/students", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+
+    // 400: field errors are shown under the inputs; 409: email or student ID already taken
+    if (!res.ok) return showFormError(form, data, "Registration failed", name => `reg-${name.replace(/_/g, "-")}`);
+
+    alert("Account created! You can now log in.");
+    location.href = "index.html";
+  });
+}
+
+// ================= PROFILE =================
+function initProfile() {
+  const form = document.getElementById("profile-form");
+  if (!form) return;
+
+  const fields = {
+    name: document.getElementById("profile-name"),
+    phone: document.getElementById("profile-phone"),
+    department: document.getElementById("profile-department"),
+    semester: document.getElementById("profile-semester")
+  };
+
+  apiFetch(`/students/${currentUser.std_id}`)
+    .then(res => res.json())
+    .then(profile => {
+      document.getElementById("profile-std-id").value = profile.std_id;
+      document.getElementById("profile-email").value = profile.email;
+      Object.keys(fields).forEach(key => {
+        fields[key].value = profile[key] ?? "";
+      });
+    })
+    .catch(err => console.error("Failed to load profile:", err));
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const payload = {};
+    Object.keys(fields).forEach(key => {
+      payload[key] = fields[key].value;
+    });
+
+    const res = await apiFetch(`/students/${currentUser.std_id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+
+    if (!res.ok) return showFormError(form, await res.json(), "Failed to update profile", name => `profile-${name}`);
+    clearFieldErrors(form);
+    alert("Profile updated");
+  });
+}
+
+// ================= REMINDER PREFERENCES =================
+function initNotificationPreferences() {
+  const form = document.getElementById("preferences-form");
+  if (!form) return;
+
+  const appointment = document.getElementById("pref-appointment");
+  const mood = document.getElementById("pref-mood");
+  const habit = document.getElementById("pref-habit");
+  const quietStart = document.getElementById("pref-quiet-start");
+  const quietEnd = document.getElementById("pref-quiet-end");
+
+  apiFetch(`/notifications/${currentUser.std_id}/preferences`)
+    .then(res => res.json())
+    .then(prefs => {
+      appointment.checked = !!prefs.appointment_reminders;
+      mood.checked = !!prefs.mood_reminders;
+      habit.checked = !!prefs.habit_reminders;
+      // TIME comes back as "22:00:00", the time input wants "22:00"
+      quietStart.value = (prefs.quiet_start || "").slice(0, 5);
+      quietEnd.value = (prefs.quiet_end || "").slice(0, 5);
+    });
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const res = await apiFetch(`/notifications/${currentUser.std_id}/preferences`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        appointment_reminders: appointment.checked,
+        mood_reminders: mood.checked,
+        habit_reminders: habit.checked,
+        quiet_start: quietStart.value || null,
+        quiet_end: quietEnd.value || null
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) return showFormError(form, data, "Failed to save preferences", name => `pref-${name.replace(/_/g, "-")}`);
+    clearFieldErrors(form);
+    alert(data.message);
+  });
+}
+
 // ================= STUDENT DASHBOARD =================
 function initStudentDashboard() {
   const moodEl = document.getElementById("dashboard-mood-summary");
   if (!moodEl) return;
 
-  fetch(`${API_BASE}/mood-log/${STUDENT_ID}`)
+  apiFetch(`/mood-log/${currentUser.std_id}`)
     .then(r => r.json())
     .then(data => {
       if (data.length === 0) {
@@ -70,8 +354,8 @@ function initStudentDashboard() {
  * Called by: DOMContentLoaded event listener when mood_log.html loads
  * 
  * Features:
- * - Loads and displays previous mood logs
- * - Handles form submission to save new mood logs
+ * - Loads and displays previous mood logs, each with Edit / Delete buttons
+ * - Handles form submission to save new mood logs (one per day) or update an edited one
  * - Maps text values to numeric codes for database storage
  */
 function initMoodLog() {
@@ -89,6 +373,58 @@ function initMoodLog() {
   const stressMap = { Low: 1, Medium: 2, High: 3 };      // Stress level mapping
   const sleepMap = { Poor: 1, Average: 2, Good: 3 };     // Sleep quality mapping
 
+  // Reverse lookups (number -> dropdown text) for filling the form when editing
+  const stressNames = Object.fromEntries(Object.entries(stressMap).map(([k, v]) => [v, k]));
+  const sleepNames = Object.fromEntries(Object.entries(sleepMap).map(([k, v]) => [v, k]));
+
+  // API field -> form input id, for showing validation errors under the right input
+  const moodInputIds = { sleep_quantity: "sleep-quality", emotional_status: "emotion", notes: "note" };
+  const moodInputId = name => moodInputIds[name] || name.replace(/_/g, "-");
+
+  // log_id of the entry being edited, or null when the form creates a new entry
+  let editingId = null;
+  const submitBtn = form.querySelector("button[type='submit']");
+
+  /**
+   * startEdit(log)
+   * Fills the form with an existing entry; the next submit updates it (PUT)
+   */
+  function startEdit(log) {
+    editingId = log.log_id;
+    document.getElementById("mood-rating").value = log.mood_rating ?? "";
+    document.getElementById("stress-level").value = stressNames[log.stress_level] ?? "";
+    document.getElementById("energy-level").value = log.energy_level ?? "";
+    document.getElementById("sleep-quality").value = sleepNames[log.sleep_quantity] ?? "";
+    document.getElementById("emotion").value = log.emotional_status ?? "";
+    document.getElementById("note").value = log.notes ?? "";
+    submitBtn.textContent = `Update Mood Log (${log.log_date})`;
+    form.scrollIntoView({ behavior: "smooth" });
+  }
+
+  /**
+   * stopEdit()
+   * Puts the form back into "new entry" mode
+   */
+  function stopEdit() {
+    editingId = null;
+    form.reset();
+    clearFieldErrors(form);
+    submitBtn.textContent = "Save Mood Log";
+  }
+
+  /**
+   * deleteLog(log)
+   * Deletes an entry after confirmation (DELETE /mood-log/:log_id)
+   */
+  async function deleteLog(log) {
+    if (!confirm(`Delete the mood log for ${log.log_date}?`)) return;
+
+    const res = await apiFetch(`/mood-log/${log.log_id}`, { method: "DELETE" });
+    if (!res.ok) return alert("Failed to delete mood log");
+    if (editingId === log.log_id) stopEdit();
+    load();
+  }
+
   /**
    * load()
    * Inner function to fetch and display mood logs from the API
@@ -97,8 +433,8 @@ function initMoodLog() {
   function load() {
     // Fetch mood logs from the backend API
     // fetch() returns a Promise that resolves to the Response object
-    // Template literal `${}` inserts the STUDENT_ID into the URL
-    fetch(`${API_BASE}/mood-log/${STUDENT_ID}`)
+    // Template literal `${}` inserts the logged-in student's id into the URL
+    apiFetch(`/mood-log/${currentUser.std_id}`)
       .then(r => r.json())  // Parse the JSON response body
       .then(data => {       // data is now an array of mood log objects
         // Clear the existing list before adding new items
@@ -114,6 +450,21 @@ function initMoodLog() {
           // Displays: "2026-01-06 | Mood 4 | Stress 2"
           li.textContent = `${log.log_date} | Mood ${log.mood_rating} | Stress ${log.stress_level}`;
 
+          // Edit and Delete controls for each entry
+          const editBtn = document.createElement("button");
+          editBtn.type = "button";
+          editBtn.textContent = "Edit";
+          editBtn.style.marginLeft = "8px";
+          editBtn.addEventListener("click", () => startEdit(log));
+
+          const deleteBtn = document.createElement("button");
+          deleteBtn.type = "button";
+          deleteBtn.textContent = "Delete";
+          deleteBtn.style.marginLeft = "4px";
+          deleteBtn.addEventListener("click", () => deleteLog(log));
+
+          li.append(editBtn, deleteBtn);
+
           // Add the <li> to the <ul>
           list.appendChild(li);
         });
@@ -131,7 +482,7 @@ function initMoodLog() {
     // Build the payload object to send to the API
     // This collects all form field values and formats them for the backend
     const payload = {
-      std_id: STUDENT_ID,  // Global constant defined at top of file
+      std_id: currentUser.std_id,  // Logged-in student (from GET /auth/me)
 
       // Get today's date in YYYY-MM-DD format
       // new Date() creates a Date object for current time
@@ -162,16 +513,40 @@ function initMoodLog() {
       notes: document.getElementById("note").value
     };
 
-    // Send POST request to save the mood log
-    // await pauses execution until the Promise resolves
-    await fetch(`${API_BASE}/mood-log`, {
-      method: "POST",                              // HTTP method
-      headers: { "Content-Type": "application/json" },  // Tell server we're sending JSON
-      body: JSON.stringify(payload)                // Convert JavaScript object to JSON string
-    });
+    // Editing keeps the entry's original date, so std_id/log_date are not sent
+    let targetId = editingId;
 
-    // Reset the form to clear all input fields
-    form.reset();
+    if (targetId === null) {
+      // Send POST request to save the mood log
+      // await pauses execution until the Promise resolves
+      const res = await apiFetch(`/mood-log`, {
+        method: "POST",                              // HTTP method
+        headers: { "Content-Type": "application/json" },  // Tell server we're sending JSON
+        body: JSON.stringify(payload)                // Convert JavaScript object to JSON string
+      });
+
+      // 409: only one entry per day is allowed, offer to overwrite today's entry
+      if (res.status === 409) {
+        const data = await res.json();
+        if (!confirm("You already logged your mood today. Replace it with these values?")) return;
+        targetId = data.log_id;
+      } else if (!res.ok) {
+        return showFormError(form, await res.json(), "Failed to save mood log", moodInputId);
+      }
+    }
+
+    if (targetId !== null) {
+      const { std_id, log_date, ...changes } = payload;
+      const res = await apiFetch(`/mood-log/${targetId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes)
+      });
+      if (!res.ok) return showFormError(form, await res.json(), "Failed to update mood log", moodInputId);
+    }
+
+    // Reset the form to clear all input fields (and leave edit mode)
+    stopEdit();
 
     // Reload the mood logs to show the newly added entry
     load();
@@ -186,78 +561,228 @@ function initMoodLog() {
 
 // ==================== HABIT TRACKER FEATURE ====================
 // This function handles the daily habit tracking functionality
-// Students can check off which healthy habits they completed today
+// Students keep their own list of habits (created or adopted from the catalog),
+// check off which ones they completed today and can archive habits they dropped
+
+/**
+ * describeFrequency(habit)
+ * Purpose: "every day", "on weekdays" or "3x a week"
+ */
+function describeFrequency(habit) {
+  if (habit.frequency === "weekly") return `${habit.times_per_week}x a week`;
+  return habit.frequency === "weekdays" ? "on weekdays" : "every day";
+}
+
+/**
+ * habitButton(text, onClick)
+ * Purpose: Small inline button for the habit lists
+ */
+function habitButton(text, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = text;
+  btn.style.marginLeft = "8px";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
 
 /**
  * initHabitTracker()
- * Purpose: Initialize the habit tracker page with habit list and form submission
+ * Purpose: Initialize the habit tracker page: the checklist for today (or a past day),
+ * the "new habit" form, the habit catalog and the archived habits
  * Called by: DOMContentLoaded event listener when habit_tracker.html loads
- * 
- * Current Implementation: Uses static/hardcoded habits for demo purposes
- * Future Enhancement: Fetch habits from GET /habits API endpoint
  */
 function initHabitTracker() {
   const habitForm = document.getElementById("habit-form");
   const habitList = document.getElementById("habit-list");
+  const newHabitForm = document.getElementById("new-habit-form");
+  const templateList = document.getElementById("habit-templates");
+  const archivedList = document.getElementById("archived-habits");
 
   if (!habitForm || !habitList) return;
 
   const today = new Date().toISOString().split("T")[0];
 
-  // Fetch habits and logged habits concurrently
-  Promise.all([
-    fetch(`${API_BASE}/habits`).then(res => res.json()),
-    fetch(`${API_BASE}/habit-log/${STUDENT_ID}?log_date=${today}`).then(res => res.json())
-  ])
-    .then(([allHabits, loggedHabits]) => {
-      habitList.innerHTML = "";
+  // Day being ticked off: today by default, or a past day picked to backfill
+  const dateInput = document.getElementById("habit-date");
+  const status = document.getElementById("habit-save-status");
+  const logDate = () => (dateInput && dateInput.value) || today;
+  if (dateInput) {
+    dateInput.value = today;
+    dateInput.max = today;
+    dateInput.addEventListener("change", () => {
+      if (!dateInput.value || dateInput.value > today) dateInput.value = today;
+      loadHabits();
+    });
+  }
+
+  /**
+   * habitAction(method, path, fallback)
+   * Purpose: PUT/POST a habit change, then redraw the lists and calendar
+   */
+  async function habitAction(method, path, fallback) {
+    const res = await apiFetch(path, { method });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, fallback));
+      return;
+    }
+    loadHabits();
+    loadHabitHeatmap();
+  }
+
+  /**
+   * loadHabits()
+   * Purpose: Fetch habits, today's log and the catalog concurrently and draw all three lists
+   */
+  function loadHabits() {
+    Promise.all([
+      apiFetch(`/habits?include_archived=true`).then(res => res.json()),
+      apiFetch(`/habit-log/${currentUser.std_id}?log_date=${logDate()}`).then(res => res.json()),
+      apiFetch(`/habits/templates`).then(res => res.json())
+    ])
+      .then(([allHabits, loggedHabits, templates]) => {
+        habitList.innerHTML = "";
+
+        // Create a Set of completed habit IDs for fast lookup
+        const completedIds = new Set(loggedHabits.map(log => log.habit_id));
+
+        const active = allHabits.filter(habit => !habit.archived_date);
+        if (active.length === 0) {
+          habitList.innerHTML = "<li>No habits yet. Add your own or pick one from the list below.</li>";
+        }
 
-      // Create a Set of completed habit IDs for fast lookup
-      const completedIds = new Set(loggedHabits.map(log => log.habit_id));
+        active.forEach(habit => {
+          // Students name their own habits, so the name only goes in as text
+          const checkbox = document.createElement("input");
+          checkbox.type = "checkbox";
+          checkbox.value = habit.habit_id;
+          checkbox.checked = completedIds.has(habit.habit_id);
+          const frequency = document.createElement("span");
+          frequency.className = "small-text";
+          frequency.textContent = `(${describeFrequency(habit)})`;
+
+          const label = document.createElement("label");
+          label.append(checkbox, ` ${habit.habit_name} `, frequency);
+          const li = document.createElement("li");
+          li.appendChild(label);
+          li.appendChild(habitButton("Archive", () => {
+            if (confirm(`Archive "${habit.habit_name}"? Its history is kept.`)) {
+              habitAction("PUT", `/habits/${habit.habit_id}/archive`, "Failed to archive habit");
+            }
+          }));
+          habitList.appendChild(li);
+        });
 
-      allHabits.forEach(habit => {
-        const isChecked = completedIds.has(habit.habit_id) ? "checked" : "";
-        const li = document.createElement("li");
-        li.innerHTML = `
-          <label>
-            <input type="checkbox" value="${habit.habit_id}" ${isChecked}>
-            ${habit.habit_name}
-          </label>
-        `;
-        habitList.appendChild(li);
-      });
-    })
-    .catch(err => console.error("Failed to load habits:", err));
+        if (archivedList) {
+          archivedList.innerHTML = "";
+          allHabits.filter(habit => habit.archived_date).forEach(habit => {
+            const li = document.createElement("li");
+            li.textContent = `${habit.habit_name} (archived ${habit.archived_date})`;
+            li.appendChild(habitButton("Restore", () =>
+              habitAction("PUT", `/habits/${habit.habit_id}/unarchive`, "Failed to restore habit")));
+            archivedList.appendChild(li);
+          });
+        }
 
-  habitForm.addEventListener("submit", async (e) => {
-    e.preventDefault();
+        if (templateList) {
+          templateList.innerHTML = "";
+          templates.forEach(template => {
+            const li = document.createElement("li");
+            li.textContent = `${template.habit_name} - ${template.category || "General"}, ${describeFrequency(template)}`;
+            const adopt = habitButton(template.adopted ? "Added" : "Add", () =>
+              habitAction("POST", `/habits/templates/${template.habit_id}/adopt`, "Failed to add habit"));
+            adopt.disabled = template.adopted;
+            li.appendChild(adopt);
+            templateList.appendChild(li);
+          });
+        }
+      })
+      .catch(err => console.error("Failed to load habits:", err));
+  }
 
-    const checkedInputs = habitList.querySelectorAll("input[type='checkbox']:checked");
+  // Nothing to submit: every tick is saved as soon as it changes
+  habitForm.addEventListener("submit", e => e.preventDefault());
 
-    const habit_ids = Array.from(checkedInputs).map(input => Number(input.value));
-    const payload = {
-      std_id: STUDENT_ID,
-      habit_ids: habit_ids,
-      log_date: today
-    };
+  /**
+   * Checkbox change handler
+   * Saves one habit for the selected day (PUT /habit-log/:std_id/:habit_id/:date)
+   * and puts the checkbox back if the save fails
+   */
+  habitList.addEventListener("change", async (e) => {
+    const input = e.target;
+    if (input.type !== "checkbox") return;
 
+    const date = logDate();
+    input.disabled = true;
     try {
-      const res = await fetch(`${API_BASE}/habit-log`, {
-        method: "POST",
+      const res = await apiFetch(`/habit-log/${currentUser.std_id}/${input.value}/${date}`, {
+        method: "PUT",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload)
+        body: JSON.stringify({ completed: input.checked })
       });
 
-      if (res.ok) {
-        alert("Habits updated successfully!");
-      } else {
-        throw new Error("Failed to save habits");
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(errorMessage(data, "Failed to save habit"));
       }
+
+      if (status) status.textContent = `Saved for ${date === today ? "today" : date}.`;
+      loadHabitHeatmap();
     } catch (err) {
       console.error(err);
-      alert("Error saving habits. Please try again.");
+      input.checked = !input.checked;
+      alert(err.message || "Error saving habit. Please try again.");
+    } finally {
+      input.disabled = false;
     }
   });
+
+  if (newHabitForm) {
+    const frequency = document.getElementById("habit-frequency");
+    const timesPerWeek = document.getElementById("habit-times-per-week");
+
+    // The weekly target only matters for weekly habits
+    const toggleTarget = () => {
+      timesPerWeek.closest(".form-group").style.display = frequency.value === "weekly" ? "" : "none";
+    };
+    frequency.addEventListener("change", toggleTarget);
+    toggleTarget();
+
+    newHabitForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+
+      const payload = {
+        habit_name: document.getElementById("habit-name").value.trim(),
+        category: document.getElementById("habit-category").value.trim(),
+        frequency: frequency.value
+      };
+      if (frequency.value === "weekly") payload.times_per_week = Number(timesPerWeek.value);
+
+      const res = await apiFetch(`/habits`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        // habit_name -> #habit-name, times_per_week -> #habit-times-per-week
+        showFormError(newHabitForm, data, "Failed to add habit",
+          name => `habit-${name.replace(/^habit_/, "").replace(/_/g, "-")}`);
+        return;
+      }
+
+      clearFieldErrors(newHabitForm);
+      newHabitForm.reset();
+      toggleTarget();
+      loadHabits();
+      loadHabitHeatmap();
+    });
+  }
+
+  // Load the lists when the page first loads
+  loadHabits();
 }
 
 
@@ -282,6 +807,72 @@ function initAppointments() {
   const list = document.getElementById("appointment-list");          // Appointments list
   const toggleBtn = document.getElementById("new-appointment-toggle"); // Toggle button
   const section = document.getElementById("new-appointment-section"); // Form container
+  const typeSelect = document.getElementById("ap-type");             // Professional type
+  const proSelect = document.getElementById("ap-professional");      // Professional picker
+  const dateInput = document.getElementById("ap-date");              // Date picker
+  const slotSelect = document.getElementById("ap-slot");             // Free time slots
+
+  // Early return: Only run on the appointments page
+  if (!form || !list) return;
+
+  // API field -> form input id, for showing validation errors under the right input
+  const bookingInputIds = {
+    professional_id: "ap-professional",
+    appointment_date: "ap-date",
+    appointment_time: "ap-slot",
+    reason: "ap-reason"
+  };
+  const bookingInputId = name => bookingInputIds[name] || name;
+
+  /**
+   * fillSelect(select, items, placeholder)
+   * Replaces a <select>'s options with [{ value, label }] items
+   */
+  function fillSelect(select, items, placeholder) {
+    select.innerHTML = "";
+    const first = document.createElement("option");
+    first.value = "";
+    first.textContent = items.length ? placeholder : "None available";
+    select.appendChild(first);
+
+    items.forEach(item => {
+      const opt = document.createElement("option");
+      opt.value = item.value;
+      opt.textContent = item.label;
+      select.appendChild(opt);
+    });
+  }
+
+  /**
+   * loadProfessionals()
+   * Fills the professional picker with professionals of the chosen type
+   */
+  async function loadProfessionals() {
+    fillSelect(slotSelect, [], "Select a professional and date");
+    if (!typeSelect.value) return fillSelect(proSelect, [], "Select a type first");
+
+    const res = await apiFetch(`/professionals?type=${encodeURIComponent(typeSelect.value)}`);
+    const pros = await res.json();
+    fillSelect(proSelect, pros.map(p => ({ value: p.professional_id, label: p.name })), "Select professional");
+  }
+
+  /**
+   * loadSlots()
+   * Fills the time slot picker with the professional's free slots on the chosen date
+   */
+  async function loadSlots() {
+    if (!proSelect.value || !dateInput.value) {
+      return fillSelect(slotSelect, [], "Select a professional and date");
+    }
+
+    const res = await apiFetch(`/professionals/${proSelect.value}/slots?date=${dateInput.value}`);
+    const data = await res.json();
+    fillSelect(slotSelect, (data.slots || []).map(t => ({ value: t, label: t })), "Select time");
+  }
+
+  typeSelect.addEventListener("change", loadProfessionals);
+  proSelect.addEventListener("change", loadSlots);
+  dateInput.addEventListener("change", loadSlots);
 
   /**
    * Toggle button click handler
@@ -301,7 +892,7 @@ function initAppointments() {
   async function loadAppointments() {
     // Fetch appointments for the current student
     // await pauses execution until the Promise resolves
-    const res = await fetch(`${API_BASE}/appointments/${STUDENT_ID}`);
+    const res = await apiFetch(`/appointments/${currentUser.std_id}`);
 
     // Parse the JSON response
     const data = await res.json();
@@ -325,11 +916,100 @@ function initAppointments() {
       // Template literal formats: "2026-01-10 14:00 – Dr. Rahman (Pending)"
       li.textContent = `${a.appointment_date} ${a.appointment_time} – ${a.professional_name} (${a.status})`;
 
+      // Students can cancel pending/approved sessions and reschedule approved ones
+      if (["Pending", "Approved", "Rescheduled"].includes(a.status)) {
+        li.appendChild(actionButton("Cancel", () => cancelAppointment(a)));
+      }
+      if (["Approved", "Rescheduled"].includes(a.status)) {
+        li.appendChild(actionButton("Reschedule", () => rescheduleAppointment(a)));
+      }
+      li.appendChild(actionButton("History", () => toggleHistory(a, li)));
+
       // Add to the list
       list.appendChild(li);
     });
   }
 
+  /**
+   * actionButton(label, onClick)
+   * Small inline button shown next to an appointment
+   */
+  function actionButton(label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn";
+    btn.style.marginLeft = "8px";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  /**
+   * cancelAppointment(a)
+   * Asks for a reason and cancels (PUT /appointments/status/:id)
+   * The server rejects it inside the cutoff window for approved sessions
+   */
+  async function cancelAppointment(a) {
+    const reason = prompt("Why are you cancelling this appointment?");
+    if (!reason) return;
+
+    const res = await apiFetch(`/appointments/status/${a.appoint_id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: "Cancelled", reason })
+    });
+    const data = await res.json();
+    alert(res.ok ? "Appointment cancelled" : errorMessage(data, "Failed to cancel appointment"));
+    loadAppointments();
+  }
+
+  /**
+   * rescheduleAppointment(a)
+   * Asks for a new date, offers that day's free slots, then moves the appointment
+   */
+  async function rescheduleAppointment(a) {
+    const date = prompt("New date (YYYY-MM-DD):");
+    if (!date) return;
+
+    const slotRes = await apiFetch(`/professionals/${a.professional_id}/slots?date=${date}`);
+    const { slots = [] } = await slotRes.json();
+    if (!slots.length) return alert("No free slots on that date.");
+
+    const time = prompt(`Free times on ${date}:\n${slots.join(", ")}\n\nEnter a time:`);
+    if (!time) return;
+
+    const res = await apiFetch(`/appointments/${a.appoint_id}/reschedule`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ appointment_date: date, appointment_time: time })
+    });
+    const data = await res.json();
+    alert(res.ok ? "Appointment rescheduled" : errorMessage(data, "Failed to reschedule appointment"));
+    loadAppointments();
+  }
+
+  /**
+   * toggleHistory(a, li)
+   * Shows/hides the appointment's change trail under its list item
+   */
+  async function toggleHistory(a, li) {
+    const existing = li.querySelector("ul");
+    if (existing) return existing.remove();
+
+    const res = await apiFetch(`/appointments/${a.appoint_id}/history`);
+    const history = await res.json();
+
+    const ul = document.createElement("ul");
+    history.forEach(h => {
+      const item = document.createElement("li");
+      const moved = h.new_date && h.old_date ? ` → ${h.new_date} ${h.new_time}` : "";
+      const why = h.reason ? ` – "${h.reason}"` : "";
+      item.textContent = `${h.changed_at}: ${h.old_status || "New"} → ${h.new_status}${moved} by ${h.changed_by_name}${why}`;
+      ul.appendChild(item);
+    });
+    li.appendChild(ul);
+  }
+
   /**
    * Form submission event handler
    * Triggered when user clicks "Confirm Booking" button
@@ -341,33 +1021,50 @@ function initAppointments() {
     // Build the payload object with form data
     // Each field is extracted from its corresponding input element
     const payload = {
-      std_id: STUDENT_ID,  // Current student ID
+      std_id: currentUser.std_id,  // Current student ID
 
-      // Get value from appointment type dropdown
-      appointment_type: document.getElementById("ap-type").value,
-
-      // Get professional name from text input
-      professional_name: document.getElementById("ap-name").value,
+      // Get the chosen professional from the picker
+      professional_id: Number(proSelect.value),
 
       // Get date from date picker (format: YYYY-MM-DD)
-      appointment_date: document.getElementById("ap-date").value,
+      appointment_date: dateInput.value,
 
-      // Get time from time picker (format: HH:MM)
-      appointment_time: document.getElementById("ap-time").value,
+      // Get the chosen free slot (format: HH:MM)
+      appointment_time: slotSelect.value,
 
       // Get optional reason from textarea
       reason: document.getElementById("ap-reason").value
     };
 
     // Send POST request to create the appointment
-    await fetch(`${API_BASE}/appointments`, {
+    const res = await apiFetch(`/appointments`, {
       method: "POST",                              // HTTP POST method
       headers: { "Content-Type": "application/json" },  // JSON content type
       body: JSON.stringify(payload)                // Convert object to JSON string
     });
 
-    // Show success message
-    alert("Appointment booked!");
+    // 400: field errors are shown under the inputs
+    // 409 means the slot was taken meanwhile (or clashes with another booking):
+    // show the suggested alternatives and refresh the free slots
+    if (!res.ok) {
+      const data = await res.json();
+      if (res.status === 400) return showFormError(form, data, "Booking failed", bookingInputId);
+
+      const alternatives = (data.alternatives || [])
+        .map(a => `${a.appointment_date} ${a.appointment_time}`)
+        .join("\n");
+      const message = errorMessage(data, "Booking failed");
+      alert(alternatives ? `${message}\n\nOther free times:\n${alternatives}` : message);
+      return loadSlots();
+    }
+
+    // Show success message, offering the booking as a calendar event (.ics)
+    clearFieldErrors(form);
+    const booked = await res.json();
+    if (confirm("Appointment booked! Add it to your calendar?")) {
+      const event = await apiFetch(booked.event_url);
+      if (event.ok) saveDownload(await event.blob(), `appointment-${booked.appoint_id}.ics`);
+    }
 
     // Reset form fields to empty
     form.reset();
@@ -384,38 +1081,340 @@ function initAppointments() {
 }
 
 
+// ================= CALENDAR FEED =================
+/**
+ * initCalendarFeed()
+ * Purpose: Appointments page / professional dashboard - create or turn off the
+ * subscribable calendar feed (GET / POST / DELETE /calendar/token)
+ *
+ * The feed URL is only shown right after it is created (the server keeps a hash),
+ * so "New link" replaces the old URL with a fresh one.
+ */
+function initCalendarFeed() {
+  const section = document.getElementById("calendar-feed");
+  if (!section) return;
+
+  const status = document.getElementById("calendar-feed-status");
+  const urlInput = document.getElementById("calendar-feed-url");
+  const createBtn = document.getElementById("calendar-feed-create");
+  const revokeBtn = document.getElementById("calendar-feed-revoke");
+
+  const showState = ({ active, created_at, last_used_at }) => {
+    status.textContent = active
+      ? `Feed active since ${new Date(created_at).toLocaleDateString()}` +
+        (last_used_at ? `, last synced ${new Date(last_used_at).toLocaleString()}` : ", not synced yet")
+      : "Subscribe to your appointments from Google Calendar, Outlook or your phone.";
+    createBtn.textContent = active ? "New link" : "Create feed link";
+    revokeBtn.style.display = active ? "inline-block" : "none";
+  };
+
+  createBtn.addEventListener("click", async () => {
+    if (revokeBtn.style.display !== "none" &&
+        !confirm("Create a new link? Calendars subscribed to the old link stop updating.")) return;
+
+    const res = await apiFetch("/calendar/token", { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) return alert(errorMessage(data, "Failed to create calendar feed"));
+
+    showState({ active: true, created_at: new Date() });
+    status.textContent = "Copy this link into your calendar app (\"Subscribe from URL\"). Keep it private: anyone with it can see your appointment times.";
+    urlInput.value = data.feed_url;
+    urlInput.style.display = "block";
+    urlInput.select();
+  });
+
+  revokeBtn.addEventListener("click", async () => {
+    if (!confirm("Turn off the calendar feed? Subscribed calendars stop updating.")) return;
+
+    const res = await apiFetch("/calendar/token", { method: "DELETE" });
+    if (!res.ok) alert(errorMessage(await res.json(), "Failed to turn off calendar feed"));
+    urlInput.style.display = "none";
+    urlInput.value = "";
+    showState({ active: false });
+  });
+
+  apiFetch("/calendar/token")
+    .then(res => res.json())
+    .then(showState)
+    .catch(err => console.error("Failed to load calendar feed:", err));
+}
+
 // ================= PROFESSIONAL DASHBOARD =================
+// Current schedule view: "day", "week" or "upcoming"
+let proScheduleView = "day";
+
 function initProfessionalDashboard() {
   const list = document.getElementById("pro-today-appointments");
   if (!list) return;
 
-  fetch(`${API_BASE}/professional/today`)
+  const dateInput = document.getElementById("pro-schedule-date");
+  const statusFilter = document.getElementById("pro-status-filter");
+  const viewButtons = document.querySelectorAll(".pro-view-btn");
+
+  dateInput.value = new Date().toISOString().split("T")[0];
+
+  viewButtons.forEach(btn => {
+    btn.addEventListener("click", () => {
+      proScheduleView = btn.dataset.view;
+      viewButtons.forEach(b => b.classList.toggle("btn-primary", b === btn));
+      loadProfessionalSchedule();
+    });
+  });
+  dateInput.addEventListener("change", loadProfessionalSchedule);
+  statusFilter.addEventListener("change", loadProfessionalSchedule);
+
+  loadProfessionalSchedule();
+  loadPendingCount();
+}
+
+/**
+ * scheduleRange(view, date)
+ * Purpose: Turn the selected view into a { from, to } date range
+ * - day: just that date
+ * - week: Sunday to Saturday of that date's week
+ * - upcoming: from that date on, no end
+ */
+function scheduleRange(view, date) {
+  if (view === "day") return { from: date, to: date };
+  if (view === "upcoming") return { from: date, to: "" };
+
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 6);
+  return { from: start.toISOString().split("T")[0], to: end.toISOString().split("T")[0] };
+}
+
+/**
+ * loadProfessionalSchedule()
+ * Purpose: Fetch and render the logged-in professional's appointments for the current view
+ */
+function loadProfessionalSchedule() {
+  const list = document.getElementById("pro-today-appointments");
+  const rangeEl = document.getElementById("pro-schedule-range");
+  const date = document.getElementById("pro-schedule-date").value;
+  const status = document.getElementById("pro-status-filter").value;
+
+  const { from, to } = scheduleRange(proScheduleView, date);
+  rangeEl.textContent = to ? (from === to ? `Showing ${from}` : `Showing ${from} to ${to}`) : `Showing ${from} onwards`;
+
+  const params = new URLSearchParams({ from });
+  if (to) params.set("to", to);
+  if (status) params.set("status", status);
+
+  apiFetch(`/professional/appointments?${params}`)
     .then(res => res.json())
     .then(data => {
       list.innerHTML = "";
 
       if (!data.length) {
-        list.innerHTML = "<li>No appointments scheduled for today.</li>";
+        list.innerHTML = "<li>No appointments in this period.</li>";
         return;
       }
 
       data.forEach(ap => {
+        // Student name and reason are typed by students, so they only go in as text
         const li = document.createElement("li");
-        li.innerHTML = `
-          <strong>${ap.appointment_time}</strong> – ${ap.professional_name}
-          <br>Status: <em>${ap.status}</em>
-          <br>
-          <button onclick="updateAppointmentStatus(${ap.appoint_id}, 'Approved')">Approve</button>
-          <button onclick="updateAppointmentStatus(${ap.appoint_id}, 'Cancelled')">Reject</button>
-        `;
+        const when = document.createElement("strong");
+        when.textContent = `${ap.appointment_date} ${ap.appointment_time}`;
+        const status = document.createElement("em");
+        status.textContent = ap.status;
+
+        li.append(
+          when,
+          ` – ${ap.student_name} (${ap.department || "No department"}, semester ${ap.semester || "-"})`,
+          document.createElement("br"),
+          "Status: ",
+          status,
+          ap.reason ? ` – ${ap.reason}` : "",
+          document.createElement("br")
+        );
+
+        const button = (label, onClick) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.textContent = label;
+          btn.addEventListener("click", onClick);
+          li.appendChild(btn);
+        };
+
+        // Only offer the transitions the server allows from this status
+        if (ap.status === "Pending") {
+          button("Approve", () => updateAppointmentStatus(ap.appoint_id, "Approved"));
+          button("Decline", () => updateAppointmentStatus(ap.appoint_id, "Declined"));
+        } else if (["Approved", "Rescheduled"].includes(ap.status)) {
+          button("Completed", () => updateAppointmentStatus(ap.appoint_id, "Completed"));
+          button("No-show", () => updateAppointmentStatus(ap.appoint_id, "No-show"));
+          button("Cancel", () => updateAppointmentStatus(ap.appoint_id, "Cancelled"));
+        } else if (ap.status === "Completed") {
+          button("Session Note", () => editSessionNote(ap.appoint_id));
+        }
+
         list.appendChild(li);
       });
     });
 }
 
+/**
+ * loadPendingCount()
+ * Purpose: Show how many upcoming requests are still waiting for a decision
+ */
+function loadPendingCount() {
+  const el = document.getElementById("pro-pending-count");
+  if (!el) return;
+
+  apiFetch(`/professional/appointments?status=Pending`)
+    .then(res => res.json())
+    .then(data => {
+      el.textContent = data.length
+        ? `${data.length} request(s) waiting for approval. They are listed first in your schedule.`
+        : "No pending requests.";
+    });
+}
+
+// ================= EARLY WARNING QUEUE =================
+// Professional dashboard: students flagged by the server's early-warning rules
+
+const RISK_RULE_LABELS = {
+  sustained_stress: "Sustained high stress",
+  persistent_low_mood: "Persistently low mood",
+  mood_drop: "Sudden mood drop"
+};
+
+/**
+ * initRiskFlagQueue()
+ * Purpose: Show the flag queue (GET /risk-flags) with a status filter
+ */
+function initRiskFlagQueue() {
+  const list = document.getElementById("risk-flag-list");
+  if (!list) return;
+
+  document.getElementById("risk-status-filter").addEventListener("change", loadRiskFlags);
+  loadRiskFlags();
+}
+
+/**
+ * loadRiskFlags()
+ * Purpose: Render the flags for the selected status, with the actions each one allows
+ */
+function loadRiskFlags() {
+  const list = document.getElementById("risk-flag-list");
+  const status = document.getElementById("risk-status-filter").value;
+
+  apiFetch(`/risk-flags?status=${status}`)
+    .then(res => res.json())
+    .then(flags => {
+      list.innerHTML = "";
+
+      // Only counselors (and admins) may see the queue
+      if (!Array.isArray(flags)) {
+        const li = document.createElement("li");
+        li.textContent = errorMessage(flags, "Failed to load flags");
+        list.appendChild(li);
+        return;
+      }
+
+      if (!flags.length) {
+        list.innerHTML = "<li>No students flagged.</li>";
+        return;
+      }
+
+      flags.forEach(flag => {
+        const handledBy = flag.resolved_by_name
+          ? ` – resolved by ${flag.resolved_by_name}`
+          : flag.acknowledged_by_name ? ` – acknowledged by ${flag.acknowledged_by_name}` : "";
+
+        // Names and the summary come from the database, so they only go in as text
+        const li = document.createElement("li");
+        const name = document.createElement("strong");
+        name.textContent = flag.student_name;
+        const severity = document.createElement("em");
+        severity.textContent = flag.severity;
+        const status = document.createElement("em");
+        status.textContent = flag.status;
+
+        li.append(
+          name,
+          ` (${flag.std_id}, ${flag.department || "No department"}) – ${RISK_RULE_LABELS[flag.rule_name] || flag.rule_name}, `,
+          severity,
+          document.createElement("br"),
+          flag.summary,
+          document.createElement("br"),
+          "Status: ",
+          status,
+          handledBy,
+          document.createElement("br")
+        );
+
+        const button = (label, onClick) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.textContent = label;
+          btn.addEventListener("click", onClick);
+          li.appendChild(btn);
+        };
+        if (flag.status === "open") button("Acknowledge", () => updateRiskFlag(flag.flag_id, "acknowledged"));
+        if (flag.status !== "resolved") button("Resolve", () => updateRiskFlag(flag.flag_id, "resolved"));
+        button("History", () => showRiskFlagHistory(flag.flag_id));
+
+        const history = document.createElement("ul");
+        history.id = `risk-flag-history-${flag.flag_id}`;
+        history.className = "small-text";
+        li.appendChild(history);
+        list.appendChild(li);
+      });
+    })
+    .catch(err => console.error("Failed to load flags:", err));
+}
+
+/**
+ * updateRiskFlag(flagId, status)
+ * Purpose: Acknowledge or resolve a flag (a note is asked for; resolving requires one)
+ */
+function updateRiskFlag(flagId, status) {
+  const note = prompt(status === "resolved"
+    ? "What was done? (required to resolve)"
+    : "Note (optional):");
+  if (note === null) return;
+  if (status === "resolved" && !note.trim()) return alert("A note is required to resolve a flag.");
+
+  apiFetch(`/risk-flags/${flagId}/status`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ status, note: note.trim() || undefined })
+  })
+    .then(async res => {
+      const data = await res.json();
+      if (!res.ok) alert(errorMessage(data, "Failed to update flag"));
+      loadRiskFlags();
+    })
+    .catch(err => console.error(err));
+}
+
+/**
+ * showRiskFlagHistory(flagId)
+ * Purpose: List a flag's audit trail under it (GET /risk-flags/:flag_id/history)
+ */
+function showRiskFlagHistory(flagId) {
+  const list = document.getElementById(`risk-flag-history-${flagId}`);
+  if (!list) return;
+
+  apiFetch(`/risk-flags/${flagId}/history`)
+    .then(res => res.json())
+    .then(rows => {
+      list.innerHTML = "";
+      rows.forEach(h => {
+        const li = document.createElement("li");
+        li.textContent = `${new Date(h.changed_at).toLocaleString()}: ${h.old_status || "new"} → ${h.new_status}` +
+          ` by ${h.changed_by_name || "early-warning scan"}${h.note ? ` – ${h.note}` : ""}`;
+        list.appendChild(li);
+      });
+    })
+    .catch(err => console.error(err));
+}
 
 function updateStatus(id, status) {
-  fetch(`${API_BASE}/appointments/status/${id}`, {
+  apiFetch(`/appointments/status/${id}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ status })
@@ -429,17 +1428,20 @@ function updateStatus(id, status) {
 
 // ==================== RESOURCES FEATURE ====================
 // This function handles the wellness resources page
-// Students can search and browse self-help materials
+// Students can search and browse self-help materials (GET /resources)
+
+// Current search on the resources page
+const resourceQuery = { q: "", category: "", tag: "", page: 1 };
 
 /**
  * initResourceSearch()
- * Purpose: Initialize the search functionality on the resources page
+ * Purpose: Initialize the resources page: search box, category filters and paging
  * Called by: DOMContentLoaded event listener when resources.html loads
- * 
+ *
  * Features:
- * - Real-time search/filter of resource cards
- * - Case-insensitive text matching
- * - Shows/hides cards based on search query
+ * - Server-side full-text search (best matches first), re-run while typing
+ * - Category buttons from GET /resources/categories, clickable tags on each card
+ * - Previous / next page buttons
  */
 function initResourceSearch() {
   // Get reference to the search input element
@@ -448,198 +1450,826 @@ function initResourceSearch() {
   // Early return: Only run on resources page
   if (!input) return;
 
-  // Get all resource cards on the page
-  // querySelectorAll() returns a NodeList of all elements with class "resource-card"
-  const cards = document.querySelectorAll(".resource-card");
-
-  /**
-   * Input event listener
-   * Triggered every time the user types in the search box
-   * This provides real-time filtering as the user types
-   */
+  // Wait until the user stops typing for a moment before searching
+  let timer = null;
   input.addEventListener("input", () => {
-    // Get the current search query and convert to lowercase
-    // toLowerCase() makes the search case-insensitive
-    const q = input.value.toLowerCase();
-
-    // Loop through each resource card
-    // forEach() executes a function for each card
-    cards.forEach(c => {
-      // Check if the card's text content includes the search query
-      // textContent gets all text inside the element (title, description, category)
-      // includes() returns true if the text contains the query
-      const matches = c.textContent.toLowerCase().includes(q);
-
-      // Show or hide the card based on whether it matches
-      // Ternary operator: if matches, display as "block", otherwise "none"
-      c.style.display = matches ? "block" : "none";
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      resourceQuery.q = input.value.trim();
+      resourceQuery.page = 1;
+      loadResources();
+    }, 300);
+  });
+
+  document.getElementById("resource-prev").addEventListener("click", () => {
+    resourceQuery.page -= 1;
+    loadResources();
+  });
+  document.getElementById("resource-next").addEventListener("click", () => {
+    resourceQuery.page += 1;
+    loadResources();
+  });
+
+  loadResourceCategories();
+  loadResources().then(showLinkedResource);
+}
+
+/**
+ * showLinkedResource()
+ * Purpose: Coming from a recommendation link (resources.html#<slug>): scroll to that
+ * resource, fetching it (GET /resources/slug/:slug) when it isn't on the first page
+ */
+async function showLinkedResource() {
+  const slug = decodeURIComponent(location.hash.slice(1));
+  if (!slug) return;
+
+  let target = document.getElementById(slug);
+  if (!target) {
+    const res = await apiFetch(`/resources/slug/${encodeURIComponent(slug)}`);
+    if (!res.ok) return;
+    target = resourceCard(await res.json());
+    document.getElementById("resource-grid").prepend(target);
+  }
+  target.scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * loadResourceCategories()
+ * Purpose: One filter button per category ("All" clears the filter)
+ */
+function loadResourceCategories() {
+  const box = document.getElementById("resource-categories");
+
+  apiFetch(`/resources/categories`)
+    .then(res => res.json())
+    .then(categories => {
+      box.innerHTML = "";
+      [{ category: "", count: null }, ...categories].forEach(c => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn resource-category-btn";
+        btn.dataset.category = c.category;
+        btn.textContent = c.category ? `${c.category} (${c.count})` : "All";
+        btn.classList.toggle("btn-primary", c.category === resourceQuery.category);
+        btn.addEventListener("click", () => {
+          resourceQuery.category = c.category;
+          resourceQuery.page = 1;
+          box.querySelectorAll(".resource-category-btn")
+            .forEach(b => b.classList.toggle("btn-primary", b === btn));
+          loadResources();
+        });
+        box.appendChild(btn);
+      });
+    })
+    .catch(err => console.error("Failed to load categories:", err));
+}
+
+/**
+ * resourceCard(resource)
+ * Purpose: Build one .resource-card (text is set with textContent, never as HTML)
+ */
+function resourceCard(resource) {
+  const card = document.createElement("div");
+  card.className = "resource-card";
+  card.id = resource.slug; // recommendations link to resources.html#<slug>
+
+  const title = document.createElement("h3");
+  title.textContent = resource.title;
+  card.appendChild(title);
+
+  if (resource.summary) {
+    const summary = document.createElement("p");
+    summary.textContent = resource.summary;
+    card.appendChild(summary);
+  }
+
+  if (resource.body) {
+    const details = document.createElement("details");
+    const label = document.createElement("summary");
+    label.textContent = "Read more";
+    const body = document.createElement("p");
+    body.textContent = resource.body;
+    details.append(label, body);
+    card.appendChild(details);
+  }
+
+  if (resource.url) {
+    const link = document.createElement("a");
+    link.href = resource.url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = "Open resource";
+    card.appendChild(link);
+  }
+
+  const meta = document.createElement("p");
+  meta.className = "small-text";
+  meta.textContent = `Category: ${resource.category || "General"}`;
+  resource.tags.forEach(tag => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "resource-tag";
+    chip.textContent = `#${tag}`;
+    chip.addEventListener("click", () => {
+      resourceQuery.tag = resourceQuery.tag === tag ? "" : tag;
+      resourceQuery.page = 1;
+      loadResources();
     });
+    meta.append(" ", chip);
+  });
+  card.appendChild(meta);
+
+  return card;
+}
+
+/**
+ * loadResources()
+ * Purpose: Fetch the current page of results and render the cards
+ */
+async function loadResources() {
+  const grid = document.getElementById("resource-grid");
+  const info = document.getElementById("resource-page-info");
+
+  const params = new URLSearchParams({ page: resourceQuery.page });
+  ["q", "category", "tag"].forEach(name => {
+    if (resourceQuery[name]) params.set(name, resourceQuery[name]);
   });
+
+  const res = await apiFetch(`/resources?${params}`);
+  const data = await res.json();
+  if (!res.ok) {
+    grid.textContent = errorMessage(data, "Failed to load resources");
+    return;
+  }
+
+  grid.innerHTML = "";
+  if (!data.resources.length) {
+    grid.innerHTML = `<p class="small-text">No resources match your search.</p>`;
+  }
+  data.resources.forEach(resource => grid.appendChild(resourceCard(resource)));
+
+  const pages = Math.max(1, Math.ceil(data.total / data.page_size));
+  info.textContent = `${data.total} resource(s)` +
+    (resourceQuery.tag ? `, tagged #${resourceQuery.tag}` : "") +
+    ` – page ${data.page} of ${pages}`;
+  document.getElementById("resource-prev").disabled = data.page <= 1;
+  document.getElementById("resource-next").disabled = data.page >= pages;
 }
 
 // ================= ANALYTICS =================
 // ================= ANALYTICS =================
+// Chart.js instances by canvas id, so loading a new date range replaces the old charts
+const analyticsCharts = {};
+
+/**
+ * drawChart(canvasId, config)
+ * Purpose: (Re)draw one Chart.js chart, destroying the previous one on that canvas
+ */
+function drawChart(canvasId, config) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || typeof Chart === "undefined") return;
+
+  if (analyticsCharts[canvasId]) analyticsCharts[canvasId].destroy();
+  analyticsCharts[canvasId] = new Chart(canvas, config);
+}
+
+/**
+ * describeCorrelation(label, { r, n })
+ * Purpose: Turn a correlation coefficient into a sentence a student can read
+ */
+function describeCorrelation(label, { r, n }) {
+  if (r === null) return `${label}: not enough data yet (${n} day(s))`;
+
+  const strength = Math.abs(r) < 0.2 ? "no clear link" : Math.abs(r) < 0.5 ? "weak" : "strong";
+  const direction = Math.abs(r) < 0.2 ? "" : r > 0 ? " positive" : " negative";
+  return `${label}: ${strength}${direction} (r = ${r}, ${n} days)`;
+}
+
+/**
+ * loadMoodAnalytics()
+ * Purpose: Fetch GET /analytics/mood/:std_id for the picked range and draw the mood charts
+ */
+async function loadMoodAnalytics() {
+  const params = rangeParams();
+  params.set("granularity", document.getElementById("analytics-granularity").value);
+
+  const rangeForm = document.getElementById("analytics-range");
+  const res = await apiFetch(`/analytics/mood/${currentUser.std_id}?${params}`);
+  const data = await res.json();
+  if (!res.ok) return showFormError(rangeForm, data, "Failed to load analytics", name => `analytics-${name}`);
+  clearFieldErrors(rangeForm);
+
+  const { summary, series, rolling_7day, emotions, correlations } = data;
+
+  document.getElementById("mood-summary").textContent = summary.entries
+    ? `${summary.entries} log(s) · average mood ${summary.avg_mood ?? "-"} / 5 · average stress ${summary.avg_stress ?? "-"} / 3`
+    : "No mood logs in this range yet.";
+
+  // ===== MOOD TREND (averages per day / week / month) =====
+  drawChart("moodChart", {
+    type: "line",
+    data: {
+      labels: series.map(p => p.period_start),
+      datasets: [
+        { label: "Mood (1-5)", data: series.map(p => p.avg_mood), borderWidth: 2 },
+        { label: "Energy (1-5)", data: series.map(p => p.avg_energy), borderWidth: 2 },
+        { label: "Stress (1-3)", data: series.map(p => p.avg_stress), borderWidth: 2 },
+        { label: "Sleep (1-3)", data: series.map(p => p.avg_sleep), borderWidth: 2 }
+      ]
+    },
+    options: { scales: { y: { min: 0, max: 5 } } }
+  });
+
+  // ===== 7-DAY ROLLING AVERAGE =====
+  drawChart("rollingChart", {
+    type: "line",
+    data: {
+      labels: rolling_7day.map(p => p.date),
+      datasets: [{ label: "Mood, 7-day average", data: rolling_7day.map(p => p.mood_rating), borderWidth: 2 }]
+    },
+    options: { scales: { y: { min: 0, max: 5 } } }
+  });
+
+  // ===== EMOTION DISTRIBUTION =====
+  drawChart("emotionChart", {
+    type: "doughnut",
+    data: {
+      labels: emotions.map(e => `${e.emotional_status} (${e.percent}%)`),
+      datasets: [{ data: emotions.map(e => e.count) }]
+    }
+  });
+
+  // ===== CORRELATIONS =====
+  const list = document.getElementById("mood-correlations");
+  list.innerHTML = "";
+  [
+    describeCorrelation("Sleep vs next-day mood", correlations.sleep_vs_next_day_mood),
+    describeCorrelation("Stress vs mood", correlations.stress_vs_mood),
+    describeCorrelation("Energy vs mood", correlations.energy_vs_mood)
+  ].forEach(text => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    list.appendChild(li);
+  });
+}
+
+/**
+ * rangeParams()
+ * Purpose: ?from=&to= of the analytics date range picker
+ */
+function rangeParams() {
+  return new URLSearchParams({
+    from: document.getElementById("analytics-from").value,
+    to: document.getElementById("analytics-to").value
+  });
+}
+
+/**
+ * loadHabitAnalytics()
+ * Purpose: Per-habit and per-category completion rates (GET /analytics/habits/:std_id)
+ */
+async function loadHabitAnalytics() {
+  const res = await apiFetch(`/analytics/habits/${currentUser.std_id}?${rangeParams()}`);
+  if (!res.ok) return; // range errors are already shown by loadMoodAnalytics()
+  const { days, overall, habits, categories } = await res.json();
+
+  document.getElementById("habit-summary").textContent = days
+    ? `${overall.completion_rate ?? 0}% of scheduled check-ins done over ${days} day(s) ` +
+      `(${overall.completed} of ${overall.expected})`
+    : "This range hasn't started yet.";
+
+  drawChart("habitChart", {
+    type: "bar",
+    data: {
+      labels: habits.map(h => h.habit_name),
+      datasets: [{ label: "Completion %", data: habits.map(h => h.completion_rate) }]
+    },
+    options: { scales: { y: { min: 0, max: 100 } } }
+  });
+
+  drawChart("habitCategoryChart", {
+    type: "bar",
+    data: {
+      labels: categories.map(c => `${c.category} (${c.habits})`),
+      datasets: [{ label: "Completion %", data: categories.map(c => c.completion_rate) }]
+    },
+    options: { scales: { y: { min: 0, max: 100 } } }
+  });
+}
+
+/**
+ * loadStressAnalytics()
+ * Purpose: Low / Medium / High stress breakdown (GET /analytics/stress/:std_id)
+ */
+async function loadStressAnalytics() {
+  const res = await apiFetch(`/analytics/stress/${currentUser.std_id}?${rangeParams()}`);
+  if (!res.ok) return;
+  const { entries, levels } = await res.json();
+
+  document.getElementById("stress-summary").textContent = entries
+    ? `Based on ${entries} mood log(s)`
+    : "No stress levels logged in this range yet.";
+
+  drawChart("stressChart", {
+    type: "pie",
+    data: {
+      labels: levels.map(l => `${l.label} (${l.percent}%)`),
+      datasets: [{ data: levels.map(l => l.count) }]
+    }
+  });
+}
+
+/**
+ * loadAnalytics()
+ * Purpose: Reload every chart on the analytics page for the picked range
+ */
+function loadAnalytics() {
+  loadMoodAnalytics().catch(console.error);
+  loadHabitAnalytics().catch(console.error);
+  loadStressAnalytics().catch(console.error);
+}
+
+/**
+ * initAnalyticsCharts()
+ * Purpose: Analytics page - date range picker plus mood, habit and stress charts
+ */
 function initAnalyticsCharts() {
-  // ===== MOOD TREND =====
-  const moodCanvas = document.getElementById("moodChart");
-  if (moodCanvas && typeof Chart !== "undefined") {
-    fetch(`${API_BASE}/mood-log/${STUDENT_ID}`)
-      .then(r => r.json())
-      .then(logs => {
-        // fallback sample data if DB empty
-        const data = logs.length ? logs : [
-          { log_date: "Mon", mood_rating: 3 },
-          { log_date: "Tue", mood_rating: 4 },
-          { log_date: "Wed", mood_rating: 2 },
-          { log_date: "Thu", mood_rating: 4 },
-          { log_date: "Fri", mood_rating: 5 }
-        ];
-
-        new Chart(moodCanvas, {
-          type: "line",
-          data: {
-            labels: data.map(l => l.log_date),
-            datasets: [{
-              label: "Mood Trend",
-              data: data.map(l => l.mood_rating),
-              borderWidth: 2
-            }]
-          }
+  const rangeForm = document.getElementById("analytics-range");
+  if (!rangeForm) return;
+
+  // Default range: the last 30 days
+  const today = new Date();
+  const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+  document.getElementById("analytics-to").value = today.toISOString().split("T")[0];
+  document.getElementById("analytics-from").value = monthAgo.toISOString().split("T")[0];
+
+  rangeForm.addEventListener("submit", e => {
+    e.preventDefault();
+    loadAnalytics();
+  });
+  loadAnalytics();
+}
+
+// ================= DATA EXPORT =================
+/**
+ * initDataExport()
+ * Purpose: Analytics page - Download buttons for the student's history (PDF, CSV, JSON)
+ */
+function initDataExport() {
+  const buttons = document.querySelectorAll(".export-btn");
+  if (buttons.length === 0) return;
+
+  buttons.forEach(btn => btn.addEventListener("click", () => downloadExport(btn.dataset.format)));
+}
+
+/**
+ * downloadExport(format)
+ * Purpose: Fetch GET /export/:std_id for the picked range and save it as a file
+ */
+async function downloadExport(format) {
+  const status = document.getElementById("export-status");
+  status.textContent = "Preparing download...";
+
+  const params = rangeParams();
+  params.set("format", format);
+  const res = await apiFetch(`/export/${currentUser.std_id}?${params}`);
+  if (!res.ok) {
+    const data = await res.json();
+    const fields = Object.values((data.error && data.error.fields) || {});
+    status.textContent = [errorMessage(data, "Download failed"), ...fields].join(": ");
+    return;
+  }
+
+  saveDownload(await res.blob(), `wellness-history-${params.get("from") || "start"}-${params.get("to")}.${format}`);
+  status.textContent = "";
+}
+
+/**
+ * saveDownload(blob, filename)
+ * Purpose: Save a fetched file (downloads need the Authorization header,
+ * so they are fetched with apiFetch instead of being opened as plain links)
+ */
+function saveDownload(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000); // give the browser time to start the download
+}
+
+// ================= NOTIFICATIONS (LIVE) =================
+/**
+ * initNotifications()
+ * Purpose: Show the student's notifications and keep them up to date live
+ *
+ * - Loads the list page by page from GET /notifications/:std_id (cursor = ?before=<n_id>)
+ * - Mark-all-read, per-item dismiss, and a "Load more" button
+ * - Opens an EventSource on /notifications/:std_id/stream for new rows and
+ *   appointment status changes, updating the list and the unread badge
+ * - EventSource reconnects by itself and resends Last-Event-ID; if the stream is
+ *   closed for good we reconnect with a growing delay, passing ?since=<last n_id>
+ */
+function initNotifications() {
+  const list = document.getElementById("notification-list");
+  if (!list) return;
+
+  const badge = document.getElementById("notification-badge");
+  const markAllBtn = document.getElementById("notification-mark-all");
+  const moreBtn = document.getElementById("notification-more");
+  let unread = 0;
+  let lastSeenId = 0;
+  let nextCursor = null;
+  let retryDelay = 1000;
+
+  function updateBadge() {
+    if (!badge) return;
+    badge.textContent = unread;
+    badge.style.display = unread ? "inline-block" : "none";
+  }
+
+  function renderNotification(n, prepend) {
+    const li = document.createElement("li");
+    li.textContent = n.msg;
+    li.dataset.read = n.is_read ? "1" : "0";
+
+    if (!n.is_read) {
+      li.style.fontWeight = "bold";
+      li.addEventListener("click", async () => {
+        await apiFetch(`/notifications/read/${n.n_id}`, {
+          method: "PUT"
         });
-      })
-      .catch(console.error);
-  }
-
-  // ===== HABIT COMPLETION =====
-  const habitCanvas = document.getElementById("habitChart");
-  if (habitCanvas && typeof Chart !== "undefined") {
-    new Chart(habitCanvas, {
-      type: "bar",
-      data: {
-        labels: ["Sleep", "Exercise", "Water", "Study", "Meditation"],
-        datasets: [{
-          label: "Completion %",
-          data: [80, 60, 90, 70, 50]
-        }]
-      }
+        li.style.fontWeight = "normal";
+        li.dataset.read = "1";
+        unread = Math.max(0, unread - 1);
+        updateBadge();
+      }, { once: true });
+    }
+
+    // Dismiss button deletes the notification
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.textContent = "✕";
+    dismiss.title = "Dismiss";
+    dismiss.style.marginLeft = "8px";
+    dismiss.addEventListener("click", async e => {
+      e.stopPropagation();
+      const res = await apiFetch(`/notifications/${n.n_id}`, { method: "DELETE" });
+      if (!res.ok) return;
+      if (li.dataset.read === "0") unread = Math.max(0, unread - 1);
+      li.remove();
+      updateBadge();
+    });
+    li.appendChild(dismiss);
+
+    if (prepend) list.prepend(li);
+    else list.appendChild(li);
+  }
+
+  /**
+   * loadPage()
+   * Loads the next page of older notifications (cursor = oldest n_id shown so far)
+   */
+  async function loadPage() {
+    const query = nextCursor ? `?before=${nextCursor}` : "";
+    const res = await apiFetch(`/notifications/${currentUser.std_id}${query}`);
+    const data = await res.json();
+
+    data.notifications.forEach(n => renderNotification(n, false));
+    nextCursor = data.next_cursor;
+    unread = data.unread_count;
+    updateBadge();
+    if (moreBtn) moreBtn.style.display = nextCursor ? "inline-block" : "none";
+    return data;
+  }
+
+  if (markAllBtn) {
+    markAllBtn.addEventListener("click", async () => {
+      await apiFetch(`/notifications/${currentUser.std_id}/read-all`, { method: "PUT" });
+      list.querySelectorAll("li").forEach(li => {
+        li.style.fontWeight = "normal";
+        li.dataset.read = "1";
+      });
+      unread = 0;
+      updateBadge();
     });
   }
+  if (moreBtn) moreBtn.addEventListener("click", loadPage);
+
+  function connect() {
+    const token = encodeURIComponent(localStorage.getItem(TOKEN_KEY));
+    const stream = new EventSource(
+      `${API_BASE}/notifications/${currentUser.std_id}/stream?access_token=${encodeURIComponent(token)}&since=${lastSeenId}`
+    );
+
+    stream.addEventListener("open", () => {
+      retryDelay = 1000;
+    });
+
+    stream.addEventListener("notification", e => {
+      const n = JSON.parse(e.data);
+      if (n.n_id <= lastSeenId) return;
+      lastSeenId = n.n_id;
 
-  // ===== STRESS BREAKDOWN =====
-  const stressCanvas = document.getElementById("stressChart");
-  if (stressCanvas && typeof Chart !== "undefined") {
-    new Chart(stressCanvas, {
-      type: "pie",
-      data: {
-        labels: ["Low", "Medium", "High"],
-        datasets: [{
-          data: [4, 3, 2]
-        }]
+      // Drop the "No notifications" placeholder
+      list.querySelectorAll("li.empty").forEach(li => li.remove());
+
+      renderNotification(n, true);
+      if (!n.is_read) unread++;
+      updateBadge();
+    });
+
+    // An appointment was approved / declined / moved: refresh the dashboard card
+    stream.addEventListener("appointment", () => loadDashboardAppointments());
+
+    stream.addEventListener("error", () => {
+      if (stream.readyState === EventSource.CLOSED) {
+        setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, 30000);
       }
     });
   }
+
+  list.innerHTML = "";
+  loadPage().then(data => {
+    if (!data.notifications.length) {
+      list.innerHTML = "<li class=\"empty\">No notifications</li>";
+    }
+
+    // Newest first, so the first row has the highest id
+    lastSeenId = data.notifications.length ? data.notifications[0].n_id : 0;
+    connect();
+  });
+
+  loadDashboardAppointments();
 }
 
-function initNotifications() {
-  const list = document.getElementById("notification-list");
+/**
+ * loadDashboardAppointments()
+ * Purpose: Fill the dashboard's "Upcoming Appointments" card with active bookings
+ */
+function loadDashboardAppointments() {
+  const list = document.getElementById("dashboard-appointments");
   if (!list) return;
 
-  fetch(`${API_BASE}/notifications/${STUDENT_ID}`)
+  apiFetch(`/appointments/${currentUser.std_id}`)
     .then(res => res.json())
     .then(data => {
-      list.innerHTML = "";
+      const today = new Date().toISOString().split("T")[0];
+      const upcoming = data
+        .filter(a => ["Pending", "Approved", "Rescheduled"].includes(a.status) && a.appointment_date >= today)
+        .reverse();
 
-      if (!data.length) {
-        list.innerHTML = "<li>No notifications</li>";
+      list.innerHTML = "";
+      if (!upcoming.length) {
+        list.innerHTML = "<li>No upcoming appointments found.</li>";
         return;
       }
 
-      data.forEach(n => {
+      upcoming.forEach(a => {
         const li = document.createElement("li");
-        li.textContent = n.msg;
-
-        if (!n.is_read) {
-          li.style.fontWeight = "bold";
-          li.addEventListener("click", async () => {
-            await fetch(`${API_BASE}/notifications/read/${n.n_id}`, {
-              method: "PUT"
-            });
-            li.style.fontWeight = "normal";
-          });
-        }
-
+        li.textContent = `${a.appointment_date} ${a.appointment_time} – ${a.professional_name} (${a.status})`;
         list.appendChild(li);
       });
     });
 }
+
+/**
+ * initRecommendations()
+ * Purpose: Student dashboard "Wellness Suggestions" from GET /recommendations/:std_id
+ * Each suggestion shows why it was made, links to a resource / habit / page,
+ * and can be marked helpful or dismissed (both hide it for a while)
+ */
 function initRecommendations() {
   const box = document.getElementById("recommendation-text");
-  if (!box) return;
+  const list = document.getElementById("recommendation-list");
+  if (!box || !list) return;
 
-  fetch(`${API_BASE}/mood-log/${STUDENT_ID}`)
+  apiFetch(`/recommendations/${currentUser.std_id}`)
     .then(res => res.json())
-    .then(logs => {
-      if (!logs.length) return;
+    .then(suggestions => {
+      list.innerHTML = "";
+      box.textContent = suggestions.length
+        ? ""
+        : "You're doing well! Keep maintaining your healthy habits.";
 
-      const latest = logs[0];
-      let messages = [];
+      suggestions.forEach(s => {
+        // Titles contain habit names and resource titles, so everything goes in as text
+        const li = document.createElement("li");
+        const title = document.createElement("strong");
+        title.textContent = s.title;
+        li.append(title, document.createElement("br"), s.reason, document.createElement("br"));
+
+        s.links.forEach((link, i) => {
+          const a = document.createElement("a");
+          a.href = link.url;
+          a.textContent = link.title;
+          li.append(...(i > 0 ? [" · "] : []), a);
+        });
+        li.appendChild(document.createElement("br"));
+
+        ["helpful", "dismissed"].forEach(feedback => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.textContent = feedback === "helpful" ? "Helpful" : "Dismiss";
+          btn.style.marginRight = "4px";
+          btn.addEventListener("click", () => sendRecommendationFeedback(s.key, feedback, li));
+          li.appendChild(btn);
+        });
 
-      if (latest.stress_level === 3) {
-        messages.push("You seem stressed. Consider reviewing exam stress management resources.");
-      }
+        list.appendChild(li);
+      });
+    })
+    .catch(err => console.error("Failed to load recommendations:", err));
+}
+
+/**
+ * sendRecommendationFeedback(key, feedback, li)
+ * Purpose: Save "helpful" / "dismissed" for a suggestion and take it off the list
+ */
+async function sendRecommendationFeedback(key, feedback, li) {
+  const res = await apiFetch(`/recommendations/${currentUser.std_id}/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ key, feedback })
+  });
+  if (!res.ok) {
+    const data = await res.json();
+    return alert(errorMessage(data, "Failed to save feedback"));
+  }
+  li.remove();
+}
+
+/**
+ * initWeeklyHabitSummary()
+ * Purpose: Student dashboard habit cards, from GET /habit-log/:std_id/summary?period=week
+ * - #dashboard-habit-summary: today's progress and the best running streak
+ * - #weekly-habit-summary: this week's completion rate (only counting days so far)
+ */
+function initWeeklyHabitSummary() {
+  const weeklyEl = document.getElementById("weekly-habit-summary");
+  const todayEl = document.getElementById("dashboard-habit-summary");
+  if (!weeklyEl && !todayEl) return;
 
-      if (latest.sleep_quantity === 1) {
-        messages.push("Poor sleep detected. Try improving your sleep routine.");
+  apiFetch(`/habit-log/${currentUser.std_id}/summary?period=week`)
+    .then(res => res.json())
+    .then(summary => {
+      if (weeklyEl) {
+        weeklyEl.textContent = summary.habits_count
+          ? `You completed ${summary.completion_rate ?? 0}% of your habits this week ` +
+            `(${summary.completed} of ${summary.expected} check-ins so far).`
+          : "No habits to track yet.";
       }
 
-      if (latest.mood_rating <= 2) {
-        messages.push("It's okay to have a bad day. Take a short break and be kind to yourself.");
+      if (todayEl) {
+        const today = new Date().toISOString().split("T")[0];
+        const todayRow = summary.days.find(d => d.date === today);
+        const best = summary.habits
+          .filter(h => h.current_streak > 0)
+          .sort((a, b) => b.current_streak - a.current_streak)[0];
+
+        todayEl.textContent = `${todayRow ? todayRow.completed : 0} of ${todayRow ? todayRow.due : 0} habits done today.` +
+          (best ? ` Best streak: ${best.habit_name}, ${best.current_streak} ${best.streak_unit}(s) in a row.` : "");
       }
+    })
+    .catch(err => console.error("Failed to load habit summary:", err));
+}
 
-      box.textContent = messages.length
-        ? messages.join(" ")
-        : "You're doing well! Keep maintaining your healthy habits.";
-    });
+// ================= HABIT HEATMAP =================
+// First day of the month shown in the habit tracker calendar ("YYYY-MM-01")
+let heatmapMonth = null;
+
+/**
+ * initHabitHeatmap()
+ * Purpose: Calendar heatmap and streak list on the habit tracker page,
+ * with buttons to step to the previous / next month
+ */
+function initHabitHeatmap() {
+  const grid = document.getElementById("habit-heatmap");
+  if (!grid) return;
+
+  heatmapMonth = new Date().toISOString().slice(0, 7) + "-01";
+
+  const step = months => {
+    const d = new Date(`${heatmapMonth}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    heatmapMonth = d.toISOString().slice(0, 10);
+    loadHabitHeatmap();
+  };
+  document.getElementById("heatmap-prev").addEventListener("click", () => step(-1));
+  document.getElementById("heatmap-next").addEventListener("click", () => step(1));
+
+  loadHabitHeatmap();
 }
 
-function initWeeklyHabitSummary() {
-  const el = document.getElementById("weekly-habit-summary");
-  if (!el) return;
+/**
+ * loadHabitHeatmap()
+ * Purpose: Draw heatmapMonth from GET /habit-log/:std_id/summary?period=month&date=
+ */
+async function loadHabitHeatmap() {
+  const grid = document.getElementById("habit-heatmap");
+  if (!grid || !heatmapMonth) return;
+
+  const res = await apiFetch(`/habit-log/${currentUser.std_id}/summary?period=month&date=${heatmapMonth}`);
+  if (!res.ok) return;
+  const summary = await res.json();
+
+  const title = new Date(`${summary.from}T00:00:00Z`)
+    .toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+  document.getElementById("heatmap-title").textContent = title;
+
+  grid.innerHTML = "";
+  ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].forEach(name => {
+    const label = document.createElement("div");
+    label.className = "heatmap-label";
+    label.textContent = name;
+    grid.appendChild(label);
+  });
 
-  fetch(`${API_BASE}/habits`)
-    .then(res => res.json())
-    .then(habits => {
-      const totalHabits = habits.length;
-
-      fetch(`${API_BASE}/habit-log/${STUDENT_ID}`)
-        .then(res => res.json())
-        .then(logs => {
-          const completed = logs.length;
-          const percent = totalHabits
-            ? Math.round((completed / (totalHabits * 7)) * 100)
-            : 0;
-
-          el.textContent = `You completed approximately ${percent}% of your habits this week.`;
-        });
-    });
+  // Empty cells so the 1st lands under the right weekday (Monday first)
+  const offset = (new Date(`${summary.from}T00:00:00Z`).getUTCDay() + 6) % 7;
+  for (let i = 0; i < offset; i++) grid.appendChild(document.createElement("div"));
+
+  summary.days.forEach(day => {
+    const cell = document.createElement("div");
+    cell.className = "heatmap-day";
+    cell.textContent = Number(day.date.slice(8));
+
+    if (day.completed === null) {
+      cell.classList.add("future");
+      cell.title = day.date;
+    } else {
+      // 0 = nothing done, 4 = (almost) everything done
+      cell.dataset.level = day.completed === 0 ? 0 : Math.ceil((day.completion_rate / 100) * 4);
+      cell.title = `${day.date}: ${day.completed} of ${day.due} habits`;
+    }
+    grid.appendChild(cell);
+  });
+
+  const streakList = document.getElementById("habit-streaks");
+  streakList.innerHTML = "";
+  summary.habits.forEach(h => {
+    const li = document.createElement("li");
+    li.textContent = `${h.habit_name}: ${h.current_streak} ${h.streak_unit}(s) now, longest ${h.longest_streak}` +
+      (h.archived ? " (archived)" : "");
+    streakList.appendChild(li);
+  });
 }
 
 function updateAppointmentStatus(appointId, newStatus) {
-  fetch(`${API_BASE}/appointments/status/${appointId}`, {
+  // Declining or cancelling needs a reason for the student
+  let reason;
+  if (["Declined", "Cancelled"].includes(newStatus)) {
+    reason = prompt(`Reason for marking this appointment ${newStatus}:`);
+    if (!reason) return;
+  }
+
+  apiFetch(`/appointments/status/${appointId}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ status: newStatus })
+    body: JSON.stringify({ status: newStatus, reason })
   })
-    .then(res => res.json())
-    .then(() => {
-      alert(`Appointment ${newStatus}`);
-      initProfessionalDashboard(); // refresh list
+    .then(async res => {
+      const data = await res.json();
+      alert(res.ok ? `Appointment ${newStatus}` : errorMessage(data, "Failed to update status"));
+      loadProfessionalSchedule(); // refresh list
+      loadPendingCount();
     })
     .catch(err => {
       console.error(err);
       alert("Failed to update status");
     });
 }
+/**
+ * editSessionNote(appointId)
+ * Purpose: Let a professional view and write the confidential note for a completed session
+ * Creates the note (POST) the first time, edits it (PUT) afterwards
+ */
+async function editSessionNote(appointId) {
+  const res = await apiFetch(`/appointments/${appointId}/notes`);
+  const existing = res.ok ? await res.json() : null;
+
+  const summary = prompt("Session summary:", existing ? existing.summary : "");
+  if (summary === null) return;
+  const plan = prompt("Plan:", existing && existing.plan ? existing.plan : "");
+  if (plan === null) return;
+  const followUp = prompt("Follow-up date (YYYY-MM-DD, optional):", existing && existing.follow_up_date ? existing.follow_up_date : "");
+  if (followUp === null) return;
+
+  const save = await apiFetch(`/appointments/${appointId}/notes`, {
+    method: existing ? "PUT" : "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ summary, plan, follow_up_date: followUp || null })
+  });
+  const data = await save.json();
+  if (!save.ok) {
+    const fields = Object.entries((data.error && data.error.fields) || {}).map(([name, problem]) => `${name} ${problem}`);
+    return alert([errorMessage(data, "Failed to save note"), ...fields].join("\n"));
+  }
+  alert(data.message);
+}
+
 function initAdminDashboard() {
   const studentCount = document.getElementById("student-count");
   const professionalCount = document.getElementById("professional-count");
@@ -648,7 +2278,7 @@ function initAdminDashboard() {
   // If we're not on admin dashboard, stop
   if (!studentCount || !professionalCount || !appointmentCount) return;
 
-  fetch(`${API_BASE}/admin/stats`)
+  apiFetch(`/admin/stats`)
     .then(r => r.json())
     .then(data => {
       studentCount.textContent = data.students;
@@ -662,6 +2292,482 @@ function initAdminDashboard() {
 
 
 
+// ================= ADMIN: CAMPUS TRENDS =================
+
+/**
+ * adminRangeParams()
+ * Purpose: Query string for the admin analytics endpoints from the range form
+ */
+function adminRangeParams() {
+  return new URLSearchParams({
+    from: document.getElementById("admin-from").value,
+    to: document.getElementById("admin-to").value
+  }).toString();
+}
+
+/**
+ * loadAdminAppointmentTrends()
+ * Purpose: Weekly appointments by type and by status (GET /admin/analytics/appointments)
+ */
+async function loadAdminAppointmentTrends() {
+  const errorBox = document.getElementById("admin-analytics-error");
+  const res = await apiFetch(`/admin/analytics/appointments?${adminRangeParams()}`);
+  const data = await res.json();
+  if (!res.ok) {
+    const fields = Object.values((data.error && data.error.fields) || {});
+    errorBox.textContent = [errorMessage(data, "Failed to load analytics"), ...fields].join(": ");
+    return;
+  }
+  errorBox.textContent = "";
+
+  const labels = data.weeks.map(w => w.week);
+  drawChart("adminAppointmentChart", {
+    type: "bar",
+    data: {
+      labels,
+      datasets: data.types.map(type => ({ label: type, data: data.weeks.map(w => w.by_type[type] || 0) }))
+    },
+    options: { scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } } }
+  });
+
+  drawChart("adminStatusChart", {
+    type: "line",
+    data: {
+      labels,
+      datasets: data.statuses.map(status => ({ label: status, data: data.weeks.map(w => w.by_status[status] || 0) }))
+    },
+    options: { scales: { y: { beginAtZero: true } } }
+  });
+}
+
+/**
+ * loadAdminParticipation()
+ * Purpose: Share of students logging a mood each week (GET /admin/analytics/participation)
+ */
+async function loadAdminParticipation() {
+  const res = await apiFetch(`/admin/analytics/participation?${adminRangeParams()}`);
+  if (!res.ok) return; // range errors are already shown by loadAdminAppointmentTrends()
+  const { total_students, weeks } = await res.json();
+
+  document.getElementById("admin-participation-summary").textContent =
+    `Out of ${total_students} registered student(s)`;
+
+  drawChart("adminParticipationChart", {
+    type: "line",
+    data: {
+      labels: weeks.map(w => w.week),
+      datasets: [{ label: "Students logging %", data: weeks.map(w => w.participation_rate) }]
+    },
+    options: { scales: { y: { min: 0, max: 100 } } }
+  });
+}
+
+/**
+ * loadAdminCohorts()
+ * Purpose: Average stress and mood per cohort (GET /admin/analytics/cohorts)
+ * Suppressed cohorts stay on the chart as empty bars so admins can see they exist.
+ */
+async function loadAdminCohorts() {
+  const groupBy = document.getElementById("admin-group-by").value;
+  const res = await apiFetch(`/admin/analytics/cohorts?${adminRangeParams()}&group_by=${groupBy}`);
+  if (!res.ok) return;
+  const { groups, min_cohort_size } = await res.json();
+
+  const hidden = groups.filter(g => g.suppressed).length;
+  document.getElementById("admin-cohort-note").textContent = hidden
+    ? `${hidden} cohort(s) hidden: figures are only shown for groups of at least ${min_cohort_size} students.`
+    : "";
+
+  const label = g => [g.department, g.semester].filter(v => v !== undefined).join(" / ");
+  drawChart("adminCohortChart", {
+    type: "bar",
+    data: {
+      labels: groups.map(g => (g.suppressed ? `${label(g)} (hidden)` : `${label(g)} (${g.students})`)),
+      datasets: [
+        { label: "Average mood", data: groups.map(g => g.avg_mood) },
+        { label: "Average stress", data: groups.map(g => g.avg_stress) }
+      ]
+    },
+    options: { scales: { y: { min: 0, max: 5 } } }
+  });
+}
+
+/**
+ * initAdminAnalytics()
+ * Purpose: Admin dashboard - date range picker plus appointment, participation and cohort charts
+ */
+function initAdminAnalytics() {
+  const rangeForm = document.getElementById("admin-analytics-range");
+  if (!rangeForm) return;
+
+  // Default range: the last 30 days (same as the student analytics page)
+  const today = new Date();
+  const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+  document.getElementById("admin-to").value = today.toISOString().split("T")[0];
+  document.getElementById("admin-from").value = monthAgo.toISOString().split("T")[0];
+
+  const load = () => {
+    loadAdminAppointmentTrends().catch(console.error);
+    loadAdminParticipation().catch(console.error);
+    loadAdminCohorts().catch(console.error);
+  };
+  rangeForm.addEventListener("submit", e => {
+    e.preventDefault();
+    load();
+  });
+  load();
+}
+
+// ================= ADMIN: USER MANAGEMENT =================
+
+// Current search on the admin user list
+const userQuery = { q: "", role: "", status: "all", page: 1 };
+
+/**
+ * initUserAdmin()
+ * Purpose: Admin dashboard - search, create and edit accounts
+ *
+ * Editing a user whose role was changed in the form first calls
+ * PUT /admin/users/:id/role, then saves the other fields.
+ */
+function initUserAdmin() {
+  const form = document.getElementById("user-form");
+  if (!form) return;
+
+  const field = name => document.getElementById(`user-${name}`);
+  const idFor = name => `user-${name.replace(/_/g, "-")}`;
+
+  document.getElementById("user-search-form").addEventListener("submit", e => {
+    e.preventDefault();
+    userQuery.q = field("search").value.trim();
+    userQuery.role = field("role-filter").value;
+    userQuery.status = field("status-filter").value;
+    userQuery.page = 1;
+    loadAdminUsers();
+  });
+  field("prev").addEventListener("click", () => {
+    userQuery.page -= 1;
+    loadAdminUsers();
+  });
+  field("next").addEventListener("click", () => {
+    userQuery.page += 1;
+    loadAdminUsers();
+  });
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+
+    const id = field("id").value;
+    const profile = {
+      department: field("department").value.trim(),
+      semester: field("semester").value.trim(),
+      professional_type: field("professional-type").value || undefined,
+      session_minutes: field("session-minutes").value ? Number(field("session-minutes").value) : undefined
+    };
+    const stdId = field("std-id").value ? Number(field("std-id").value) : undefined;
+    const role = field("role").value;
+
+    if (id && role !== form.dataset.role) {
+      const res = await apiFetch(`/admin/users/${id}/role`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ role, std_id: stdId, ...profile })
+      });
+      const data = await res.json();
+      if (!res.ok) return showFormError(form, data, "Failed to change role", idFor);
+      form.dataset.role = role;
+    }
+
+    const payload = {
+      name: field("name").value.trim(),
+      email: field("email").value.trim(),
+      phone: field("phone").value.trim(),
+      ...profile,
+      ...(id ? {} : { role, std_id: stdId, password: field("password").value || undefined })
+    };
+    const res = await apiFetch(id ? `/admin/users/${id}` : `/admin/users`, {
+      method: id ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) return showFormError(form, data, "Failed to save user", idFor);
+
+    // A new account without a password gets a code to set one
+    if (data.reset_code) {
+      alert(`Account created. Give the user this reset code to set their password:\n${data.reset_code}`);
+    }
+    form.reset();
+    loadAdminUsers();
+  });
+
+  form.addEventListener("reset", () => {
+    field("id").value = "";
+    delete form.dataset.role;
+    field("password").disabled = false;
+    field("std-id").disabled = false;
+    clearFieldErrors(form);
+  });
+
+  loadAdminUsers();
+}
+
+/**
+ * loadAdminUsers()
+ * Purpose: Show one page of the user search (GET /admin/users)
+ */
+async function loadAdminUsers() {
+  const list = document.getElementById("admin-user-list");
+  const params = new URLSearchParams({ status: userQuery.status, page: userQuery.page });
+  if (userQuery.q) params.set("q", userQuery.q);
+  if (userQuery.role) params.set("role", userQuery.role);
+
+  const res = await apiFetch(`/admin/users?${params}`);
+  const data = await res.json();
+  if (!res.ok) {
+    list.textContent = errorMessage(data, "Failed to load users");
+    return;
+  }
+
+  list.innerHTML = "";
+  if (data.users.length === 0) list.textContent = "No users match this search.";
+  data.users.forEach(user => list.appendChild(adminUserItem(user)));
+
+  const pages = Math.max(1, Math.ceil(data.total / data.page_size));
+  document.getElementById("user-page-info").textContent = `${data.total} user(s) – page ${data.page} of ${pages}`;
+  document.getElementById("user-prev").disabled = data.page <= 1;
+  document.getElementById("user-next").disabled = data.page >= pages;
+}
+
+/**
+ * adminUserItem(user)
+ * Purpose: One row of the user list with Edit / Deactivate / Reset password / History buttons
+ */
+function adminUserItem(user) {
+  const li = document.createElement("li");
+  const details = user.role === "student" ? `, ID ${user.std_id}`
+    : user.role === "professional" ? `, ${user.professional_type}` : "";
+  li.textContent = `${user.name} <${user.email}> – ${user.role}${details}` +
+    (user.is_active ? "" : ` – deactivated ${new Date(user.deactivated_at).toLocaleDateString()}`);
+  if (!user.is_active) li.style.opacity = "0.6";
+
+  const button = (label, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.style.marginLeft = "4px";
+    btn.addEventListener("click", onClick);
+    li.appendChild(btn);
+  };
+
+  button("Edit", () => editUser(user));
+  if (user.user_id !== currentUser.user_id) {
+    button(user.is_active ? "Deactivate" : "Reactivate", () => setUserActive(user, !user.is_active));
+  }
+  if (user.is_active) button("Reset password", () => resetUserPassword(user));
+
+  const history = document.createElement("ul");
+  history.id = `user-history-${user.user_id}`;
+  button("History", () => showUserHistory(user.user_id));
+  li.appendChild(history);
+  return li;
+}
+
+/**
+ * editUser(user)
+ * Purpose: Load an account into the admin form (saving then sends PUT)
+ */
+function editUser(user) {
+  const form = document.getElementById("user-form");
+  const field = name => document.getElementById(`user-${name}`);
+  form.reset();
+
+  field("id").value = user.user_id;
+  form.dataset.role = user.role;
+  field("name").value = user.name || "";
+  field("email").value = user.email || "";
+  field("phone").value = user.phone || "";
+  field("role").value = user.role;
+  field("std-id").value = user.std_id || "";
+  field("department").value = user.department || "";
+  field("semester").value = user.semester || "";
+  field("professional-type").value = user.professional_type || "";
+  field("session-minutes").value = user.session_minutes || "";
+
+  // The password is changed with a reset code, and a student ID can't be changed once set
+  field("password").disabled = true;
+  field("std-id").disabled = Boolean(user.std_id);
+  field("name").focus();
+}
+
+/**
+ * setUserActive(user, active)
+ * Purpose: Deactivate (with an optional reason) or reactivate an account
+ */
+async function setUserActive(user, active) {
+  const note = active
+    ? (confirm(`Reactivate ${user.name}?`) ? "" : null)
+    : prompt(`Deactivate ${user.name}? They will be logged out and can't log in. Reason (optional):`);
+  if (note === null) return;
+
+  const res = await apiFetch(`/admin/users/${user.user_id}/status`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ active, note: note.trim() || undefined })
+  });
+  if (!res.ok) alert(errorMessage(await res.json(), "Failed to update user"));
+  loadAdminUsers();
+}
+
+/**
+ * resetUserPassword(user)
+ * Purpose: Issue a reset code and show it to the admin to pass on
+ */
+async function resetUserPassword(user) {
+  if (!confirm(`Create a password reset code for ${user.name}?`)) return;
+
+  const res = await apiFetch(`/admin/users/${user.user_id}/password-reset`, { method: "POST" });
+  const data = await res.json();
+  if (!res.ok) return alert(errorMessage(data, "Failed to create reset code"));
+  alert(`Reset code for ${user.name} (valid ${data.expires_in_hours} hours):\n${data.reset_code}\n\n` +
+    "They can enter it on the login page to set a new password.");
+}
+
+/**
+ * showUserHistory(userId)
+ * Purpose: List an account's changes under it (GET /admin/users/:user_id/history)
+ */
+function showUserHistory(userId) {
+  const list = document.getElementById(`user-history-${userId}`);
+  if (!list) return;
+
+  apiFetch(`/admin/users/${userId}/history`)
+    .then(res => res.json())
+    .then(rows => {
+      list.innerHTML = "";
+      if (rows.length === 0) list.textContent = "No changes recorded.";
+      rows.forEach(h => {
+        const li = document.createElement("li");
+        const change = h.old_value || h.new_value ? ` (${h.old_value || "-"} → ${h.new_value || "-"})` : "";
+        li.textContent = `${new Date(h.changed_at).toLocaleString()}: ${h.action.replace(/_/g, " ")}${change}` +
+          ` by ${h.changed_by_name || "unknown"}${h.note ? ` – ${h.note}` : ""}`;
+        list.appendChild(li);
+      });
+    })
+    .catch(err => console.error(err));
+}
+
+// ================= ADMIN: RESOURCE LIBRARY =================
+
+/**
+ * initResourceAdmin()
+ * Purpose: Admin dashboard form to add / edit resources, and the list of all
+ * resources (drafts included) with Edit and Publish / Unpublish buttons
+ */
+function initResourceAdmin() {
+  const form = document.getElementById("resource-form");
+  if (!form) return;
+
+  const field = name => document.getElementById(`resource-${name}`);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const id = field("id").value;
+    const payload = {
+      title: field("title").value.trim(),
+      summary: field("summary").value.trim(),
+      body: field("body").value.trim(),
+      url: field("url").value.trim(),
+      category: field("category").value.trim(),
+      tags: field("tags").value.split(",").map(t => t.trim()).filter(Boolean),
+      audience: field("audience").value,
+      published: field("published").checked
+    };
+
+    const res = await apiFetch(id ? `/resources/${id}` : `/resources`, {
+      method: id ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      showFormError(form, data, "Failed to save resource", name => `resource-${name}`);
+      return;
+    }
+
+    clearFieldErrors(form);
+    form.reset();
+    field("id").value = "";
+    loadAdminResources();
+  });
+
+  form.addEventListener("reset", () => {
+    field("id").value = "";
+    clearFieldErrors(form);
+  });
+
+  loadAdminResources();
+}
+
+/**
+ * loadAdminResources()
+ * Purpose: List every resource for the admin (GET /resources?include_unpublished=true)
+ */
+async function loadAdminResources() {
+  const list = document.getElementById("admin-resource-list");
+  const res = await apiFetch(`/resources?include_unpublished=true&page_size=50`);
+  if (!res.ok) return;
+  const { resources } = await res.json();
+
+  list.innerHTML = "";
+  resources.forEach(resource => {
+    const li = document.createElement("li");
+    li.textContent = `${resource.title} (${resource.category || "General"}, ${resource.audience})` +
+      (resource.published ? "" : " – draft");
+
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.textContent = "Edit";
+    edit.style.marginLeft = "8px";
+    edit.addEventListener("click", () => editResource(resource));
+
+    const publish = document.createElement("button");
+    publish.type = "button";
+    publish.textContent = resource.published ? "Unpublish" : "Publish";
+    publish.style.marginLeft = "4px";
+    publish.addEventListener("click", async () => {
+      const res = await apiFetch(`/resources/${resource.resource_id}/publish`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ published: !resource.published })
+      });
+      if (!res.ok) alert(errorMessage(await res.json(), "Failed to update resource"));
+      loadAdminResources();
+    });
+
+    li.append(edit, publish);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * editResource(resource)
+ * Purpose: Load a resource into the admin form (saving then sends PUT)
+ */
+function editResource(resource) {
+  const field = name => document.getElementById(`resource-${name}`);
+  field("id").value = resource.resource_id;
+  ["title", "summary", "body", "url", "category"].forEach(name => {
+    field(name).value = resource[name] || "";
+  });
+  field("tags").value = resource.tags.join(", ");
+  field("audience").value = resource.audience;
+  field("published").checked = resource.published;
+  field("title").focus();
+}
+
 //DEMO FLOW (remember this)
 //Login as student → show mood + habits
 //Book appointment → show pending
@@ -0,0 +1,61 @@
+// backend/notifications.js
+// Single place where Notification rows are created, so every part of the server
+// (route handlers and the reminder scheduler) respects the student's preferences
+//
+// Preferences (Notification_Preference) only apply to reminders:
+// - appointment_reminders / mood_reminders / habit_reminders switch each reminder type off
+// - quiet_start / quiet_end: no reminders are created inside that window
+// Booking confirmations and status changes are always delivered.
+
+/**
+ * canDeliverReminder(db, std_id, type)
+ * Purpose: Check a student's preferences for one reminder type right now
+ *
+ * type: "appointment", "mood" or "habit"
+ * Returns: true when the reminder may be created
+ * Students without a preferences row get everything (the defaults)
+ */
+async function canDeliverReminder(db, std_id, type) {
+  // Quiet hours can wrap past midnight (e.g. 22:00 -> 07:00)
+  const [[prefs]] = await db.execute(
+    `SELECT appointment_reminders, mood_reminders, habit_reminders,
+            CASE
+              WHEN quiet_start IS NULL OR quiet_end IS NULL THEN 0
+              WHEN quiet_start <= quiet_end THEN CURTIME() >= quiet_start AND CURTIME() < quiet_end
+              ELSE CURTIME() >= quiet_start OR CURTIME() < quiet_end
+            END AS in_quiet_hours
+     FROM Notification_Preference
+     WHERE std_id = ?`,
+    [std_id]
+  );
+  if (!prefs) return true;
+
+  if (!prefs[`${type}_reminders`]) return false;
+  return !prefs.in_quiet_hours;
+}
+
+/**
+ * createNotification(db, { std_id, msg, type, reminder })
+ * Purpose: Insert a Notification row
+ *
+ * db: the pool, or a transaction connection
+ * type: "appointment", "mood", "habit" or null (sets the matching *_reminder flag)
+ * reminder: true for scheduled nudges, which are subject to the student's preferences
+ *
+ * Returns: the new n_id, or null when preferences said not to send it
+ */
+async function createNotification(db, { std_id, msg, type = null, reminder = false }) {
+  if (reminder && !(await canDeliverReminder(db, std_id, type))) {
+    return null;
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO Notification
+     (std_id, msg, is_read, appointment_reminder, mood_reminder, habit_reminder)
+     VALUES (?, ?, 0, ?, ?, ?)`,
+    [std_id, msg, type === "appointment" ? 1 : 0, type === "mood" ? 1 : 0, type === "habit" ? 1 : 0]
+  );
+  return result.insertId;
+}
+
+module.exports = { createNotification, canDeliverReminder };
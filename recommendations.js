@@ -0,0 +1,294 @@
+// backend/recommendations.js
+// Personal wellness suggestions for GET /recommendations/:std_id
+//
+// Each rule looks at one signal - the last week of mood logs, this week's habit
+// completion or upcoming appointments - and returns a suggestion that explains
+// itself ("reason") and links to something the student can act on: a wellness
+// resource, one of their habits, or the appointments page.
+//
+// Suggestions are ranked by score (higher = more urgent). A student can dismiss a
+// suggestion or mark it helpful; either way its key is hidden for
+// RECOMMENDATION_SNOOZE_DAYS so the same advice doesn't keep repeating.
+const pool = require("./db");
+const { addDays, round, mean, weekStart, habitProgress } = require("./analytics");
+
+// Days a dismissed / helpful suggestion stays hidden
+const RECOMMENDATION_SNOOZE_DAYS = 14;
+
+// Days of mood logs the mood rules look at
+const MOOD_WINDOW_DAYS = 7;
+
+// Habit category -> the resource (Resource.slug) that helps with it
+const CATEGORY_RESOURCES = {
+  Sleep: "healthy-sleep-habits",
+  Academic: "managing-exam-stress",
+  Lifestyle: "nutrition-tips-for-students",
+  Nutrition: "nutrition-tips-for-students",
+  Spiritual: "dealing-with-anxiety",
+  "Mental Health": "dealing-with-anxiety"
+};
+
+// Link builders (suggestions left without any link are dropped)
+// resources: Map slug -> title of the published resources; unpublished ones give no link
+const resourceLink = (resources, slug) => (resources.has(slug)
+  ? { type: "resource", slug, title: resources.get(slug), url: `resources.html#${slug}` }
+  : null);
+const habitLink = habit => ({ type: "habit", habit_id: habit.habit_id, title: habit.habit_name, url: "habit_tracker.html" });
+const appointmentLink = title => ({ type: "appointment", title, url: "appointments.html" });
+
+// ==================== RULES ====================
+// Each rule gets the gathered data ({ today, moods, previousMoods, habits, datesByHabit, appointments, resources })
+// and returns an array of suggestions: { key, category, score, title, reason, links }
+
+/**
+ * stressRule(data)
+ * Purpose: Several high-stress days in the last week
+ */
+function stressRule({ moods, appointments, resources }) {
+  const high = moods.filter(m => m.stress_level === 3).length;
+  if (high < 3) return [];
+
+  const links = [resourceLink(resources, "managing-exam-stress")];
+  if (appointments.length === 0) links.push(appointmentLink("Talk to a counselor"));
+  return [{
+    key: "high_stress",
+    category: "stress",
+    score: 70 + high * 3,
+    title: "Take the pressure down a notch",
+    reason: `Your stress was high on ${high} of your last ${moods.length} mood logs.`,
+    links
+  }];
+}
+
+/**
+ * sleepRule(data)
+ * Purpose: Poor sleep on several days, pointing at the student's sleep habit when they have one
+ */
+function sleepRule({ moods, habits, resources }) {
+  const poor = moods.filter(m => m.sleep_quantity === 1).length;
+  if (poor < 3) return [];
+
+  const links = [resourceLink(resources, "healthy-sleep-habits")];
+  const sleepHabit = habits.find(h => h.category === "Sleep");
+  if (sleepHabit) links.push(habitLink(sleepHabit));
+  return [{
+    key: "poor_sleep",
+    category: "sleep",
+    score: 60 + poor * 3,
+    title: "Give your sleep some attention",
+    reason: `You slept poorly on ${poor} of your last ${moods.length} mood logs.`,
+    links
+  }];
+}
+
+/**
+ * moodRule(data)
+ * Purpose: A low average mood, or a clear drop compared with the week before
+ */
+function moodRule({ moods, previousMoods, appointments, resources }) {
+  const ratings = moods.map(m => m.mood_rating).filter(r => r !== null);
+  if (ratings.length < 3) return [];
+
+  const average = mean(ratings);
+  const previous = mean(previousMoods.map(m => m.mood_rating).filter(r => r !== null));
+  const dropped = previous !== null && previous - average >= 1;
+  if (average > 2.5 && !dropped) return [];
+
+  const reason = dropped
+    ? `Your average mood fell from ${round(previous, 1)} to ${round(average, 1)} compared with the week before.`
+    : `Your average mood over the last week was ${round(average, 1)} out of 5.`;
+  const links = [resourceLink(resources, "dealing-with-anxiety")];
+  if (appointments.length === 0) links.unshift(appointmentLink("Book a counselor"));
+  return [{
+    key: "low_mood",
+    category: "mood",
+    score: 80 + Math.round((3 - average) * 5),
+    title: "You don't have to handle this alone",
+    reason,
+    links
+  }];
+}
+
+/**
+ * emotionRule(data)
+ * Purpose: Repeated anxious or overwhelmed emotion tags
+ */
+function emotionRule({ moods, resources }) {
+  const tagged = moods.filter(m => ["Anxious", "Overwhelmed"].includes(m.emotional_status)).length;
+  if (tagged < 2) return [];
+
+  return [{
+    key: "anxious_emotions",
+    category: "stress",
+    score: 55 + tagged * 3,
+    title: "Try a grounding exercise",
+    reason: `You tagged ${tagged} of your last ${moods.length} mood logs as anxious or overwhelmed.`,
+    links: [resourceLink(resources, "dealing-with-anxiety")]
+  }];
+}
+
+/**
+ * habitGapRule(data)
+ * Purpose: Habits that are falling behind their schedule this week
+ * Only habits with at least 2 expected check-ins so far count, so Monday mornings stay quiet.
+ */
+function habitGapRule({ today, habits, datesByHabit, resources }) {
+  const from = weekStart(today);
+  return habits
+    .map(habit => ({ habit, progress: habitProgress(habit, datesByHabit.get(habit.habit_id) || [], from, today) }))
+    .filter(({ progress }) => progress.expected >= 2 && progress.completion_rate < 50)
+    .map(({ habit, progress }) => {
+      const links = [habitLink(habit), resourceLink(resources, CATEGORY_RESOURCES[habit.category])];
+      return {
+        key: `habit_gap:${habit.habit_id}`,
+        category: "habit",
+        score: 40 + Math.round((50 - progress.completion_rate) / 2),
+        title: `Get back on track with "${habit.habit_name}"`,
+        reason: `Your ${habit.habit_name} habit is at ${progress.completion_rate}% this week ` +
+          `(${progress.completed} of ${progress.expected} check-ins).`,
+        links
+      };
+    });
+}
+
+/**
+ * noHabitsRule(data)
+ * Purpose: Nudge students without any habit to pick one from the catalog
+ */
+function noHabitsRule({ habits }) {
+  if (habits.length > 0) return [];
+  return [{
+    key: "no_habits",
+    category: "habit",
+    score: 20,
+    title: "Pick a small daily habit",
+    reason: "You aren't tracking any habits yet. Small routines make a big difference over a semester.",
+    links: [{ type: "habit", habit_id: null, title: "Browse suggested habits", url: "habit_tracker.html" }]
+  }];
+}
+
+/**
+ * appointmentRule(data)
+ * Purpose: Prepare for an appointment in the next two days
+ */
+function appointmentRule({ today, appointments }) {
+  return appointments
+    .filter(a => a.appointment_date <= addDays(today, 2))
+    .map(a => ({
+      key: `appointment_prep:${a.appoint_id}`,
+      category: "appointment",
+      score: 45,
+      title: `Get ready for your session with ${a.professional_name}`,
+      reason: `You have an appointment on ${a.appointment_date} at ${String(a.appointment_time).slice(0, 5)}. ` +
+        "Jot down what you'd like to talk about.",
+      links: [appointmentLink("View appointment")]
+    }));
+}
+
+/**
+ * loggingRule(data)
+ * Purpose: Remind students who haven't logged a mood for a few days (the other rules need data)
+ */
+function loggingRule({ today, moods }) {
+  const last = moods[moods.length - 1];
+  if (last && last.log_date >= addDays(today, -2)) return [];
+  return [{
+    key: "log_mood",
+    category: "logging",
+    score: 30,
+    title: "Check in with yourself",
+    reason: last
+      ? `Your last mood log was on ${last.log_date}. Logging regularly makes these suggestions more useful.`
+      : "You haven't logged a mood yet. Logging regularly makes these suggestions more useful.",
+    links: [{ type: "mood", title: "Log your mood", url: "mood_log.html" }]
+  }];
+}
+
+const RECOMMENDATION_RULES = [
+  stressRule, sleepRule, moodRule, emotionRule, habitGapRule, noHabitsRule, appointmentRule, loggingRule
+];
+
+/**
+ * rankRecommendations(data, hiddenKeys)
+ * Purpose: Run every rule, drop snoozed keys and sort by score (highest first)
+ */
+function rankRecommendations(data, hiddenKeys = new Set()) {
+  return RECOMMENDATION_RULES
+    .flatMap(rule => rule(data))
+    .map(s => ({ ...s, links: s.links.filter(Boolean) }))
+    .filter(s => s.links.length > 0 && !hiddenKeys.has(s.key))
+    .sort((a, b) => b.score - a.score);
+}
+
+// ==================== DATA ====================
+
+/**
+ * getRecommendations(std_id)
+ * Purpose: Gather the student's recent data and return their ranked suggestions
+ */
+async function getRecommendations(std_id) {
+  const today = new Date().toISOString().split("T")[0];
+  const windowStart = addDays(today, -(MOOD_WINDOW_DAYS - 1));
+
+  const [logs] = await pool.execute(
+    `SELECT log_date, mood_rating, stress_level, sleep_quantity, emotional_status
+     FROM Mood_log
+     WHERE std_id = ? AND log_date BETWEEN ? AND ?
+     ORDER BY log_date`,
+    [std_id, addDays(windowStart, -MOOD_WINDOW_DAYS), today]
+  );
+
+  const [habits] = await pool.execute(
+    `SELECT habit_id, habit_name, category, frequency, times_per_week,
+            DATE(created_at) AS start_date, DATE(archived_at) AS archived_date
+     FROM Habit
+     WHERE std_id = ? AND archived_at IS NULL
+     ORDER BY habit_id`,
+    [std_id]
+  );
+
+  const [completions] = await pool.execute(
+    `SELECT DISTINCT habit_id, log_date
+     FROM Habit_Log
+     WHERE std_id = ? AND completed = 1 AND log_date BETWEEN ? AND ?
+     ORDER BY habit_id, log_date`,
+    [std_id, weekStart(today), today]
+  );
+  const datesByHabit = new Map();
+  completions.forEach(({ habit_id, log_date }) => {
+    if (!datesByHabit.has(habit_id)) datesByHabit.set(habit_id, []);
+    datesByHabit.get(habit_id).push(log_date);
+  });
+
+  const [appointments] = await pool.execute(
+    `SELECT appoint_id, professional_name, appointment_date, appointment_time
+     FROM Appointment
+     WHERE std_id = ? AND status IN ('Pending', 'Approved', 'Rescheduled')
+       AND appointment_date BETWEEN ? AND ?
+     ORDER BY appointment_date, appointment_time`,
+    [std_id, today, addDays(today, 14)]
+  );
+
+  // Resources students can see (see GET /resources)
+  const [resourceRows] = await pool.execute(
+    "SELECT slug, title FROM Resource WHERE published = 1 AND audience IN ('all', 'student')"
+  );
+
+  const [feedback] = await pool.execute(
+    `SELECT rec_key FROM Recommendation_Feedback
+     WHERE std_id = ? AND updated_at >= NOW() - INTERVAL ? DAY`,
+    [std_id, RECOMMENDATION_SNOOZE_DAYS]
+  );
+
+  return rankRecommendations({
+    today,
+    moods: logs.filter(m => m.log_date >= windowStart),
+    previousMoods: logs.filter(m => m.log_date < windowStart),
+    habits,
+    datesByHabit,
+    appointments,
+    resources: new Map(resourceRows.map(r => [r.slug, r.title]))
+  }, new Set(feedback.map(f => f.rec_key)));
+}
+
+module.exports = { RECOMMENDATION_SNOOZE_DAYS, rankRecommendations, getRecommendations };
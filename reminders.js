@@ -0,0 +1,169 @@
+// backend/reminders.js
+// In-process reminder scheduler: fills the Notification reminder flags
+//
+// Every few minutes it looks for:
+// - Approved/Rescheduled appointments starting within 24 hours and within 1 hour
+// - Students who haven't posted a mood log today (evening nudge)
+// - Students with active habits but no Habit_Log rows today (evening nudge)
+// Deactivated accounts, and users whose role changed away from student, get no nudges.
+//
+// Each reminder has a unique key stored in Reminder_Log, so running the same
+// check twice (or restarting the server) never creates a duplicate notification.
+const pool = require("./db");
+const { createNotification } = require("./notifications");
+
+// How often the checks run (minutes)
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 5;
+
+// Mood and habit nudges are only sent from this hour (database clock, 0-23) onwards.
+// 0 is a valid hour, so only a missing or non-numeric value falls back to 19.
+const eveningHour = parseInt(process.env.EVENING_REMINDER_HOUR, 10);
+const EVENING_REMINDER_HOUR = isNaN(eveningHour) ? 19 : eveningHour;
+
+/**
+ * sendReminder(key, std_id, msg, type)
+ * Purpose: Insert a reminder notification exactly once per key
+ *
+ * type: "appointment", "mood" or "habit" (sets the matching *_reminder flag)
+ * Returns: true if a notification was created, false if it was already sent
+ * or the student's preferences (type switched off, quiet hours) held it back
+ *
+ * The Reminder_Log insert and the Notification insert share one transaction,
+ * so a crash in between can't leave a key without its notification. A reminder
+ * held back by quiet hours is rolled back too, so it is retried on a later run.
+ */
+async function sendReminder(key, std_id, msg, type) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // reminder_key is UNIQUE: INSERT IGNORE affects 0 rows if it was sent before
+    const [logged] = await conn.execute(
+      "INSERT IGNORE INTO Reminder_Log (reminder_key, std_id) VALUES (?, ?)",
+      [key, std_id]
+    );
+    if (logged.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+
+    const n_id = await createNotification(conn, { std_id, msg, type, reminder: true });
+    if (!n_id) {
+      await conn.rollback();
+      return false;
+    }
+
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * remindAppointments()
+ * Purpose: 24-hour and 1-hour reminders for approved appointments
+ *
+ * The key includes the date and time, so a rescheduled appointment gets fresh reminders
+ */
+async function remindAppointments() {
+  const [rows] = await pool.query(
+    `SELECT appoint_id, std_id, professional_name, appointment_date, appointment_time,
+            TIMESTAMPDIFF(MINUTE, NOW(), TIMESTAMP(appointment_date, appointment_time)) AS minutes_until
+     FROM Appointment
+     WHERE status IN ('Approved', 'Rescheduled')
+       AND TIMESTAMP(appointment_date, appointment_time) BETWEEN NOW() AND NOW() + INTERVAL 24 HOUR`
+  );
+
+  for (const a of rows) {
+    const when = `${a.appointment_date} ${a.appointment_time}`;
+    const time = String(a.appointment_time).slice(0, 5);
+
+    if (a.minutes_until <= 60) {
+      await sendReminder(
+        `appointment-1h:${a.appoint_id}:${when}`, a.std_id,
+        `Reminder: your appointment with ${a.professional_name} starts at ${time} (within the hour)`,
+        "appointment"
+      );
+    } else {
+      await sendReminder(
+        `appointment-24h:${a.appoint_id}:${when}`, a.std_id,
+        `Reminder: you have an appointment with ${a.professional_name} on ${a.appointment_date} at ${time}`,
+        "appointment"
+      );
+    }
+  }
+}
+
+/**
+ * remindMoodAndHabits()
+ * Purpose: Evening nudges for students who haven't logged their mood or habits today
+ */
+async function remindMoodAndHabits() {
+  // Same clock as the CURDATE() checks below
+  const [[{ today, hour }]] = await pool.query("SELECT CURDATE() AS today, HOUR(NOW()) AS hour");
+  if (hour < EVENING_REMINDER_HOUR) return;
+
+  const [noMood] = await pool.query(
+    `SELECT st.std_id FROM Student st
+     JOIN User u ON u.user_id = st.user_id AND u.role = 'student' AND u.is_active = 1
+     WHERE NOT EXISTS (SELECT 1 FROM Mood_log m WHERE m.std_id = st.std_id AND m.log_date = CURDATE())`
+  );
+  for (const { std_id } of noMood) {
+    await sendReminder(
+      `mood:${std_id}:${today}`, std_id,
+      "You haven't logged your mood today. It only takes a minute!",
+      "mood"
+    );
+  }
+
+  const [noHabits] = await pool.query(
+    `SELECT st.std_id FROM Student st
+     JOIN User u ON u.user_id = st.user_id AND u.role = 'student' AND u.is_active = 1
+     WHERE EXISTS (SELECT 1 FROM Habit hb WHERE hb.std_id = st.std_id AND hb.archived_at IS NULL)
+       AND NOT EXISTS (SELECT 1 FROM Habit_Log h WHERE h.std_id = st.std_id AND h.log_date = CURDATE())`
+  );
+  for (const { std_id } of noHabits) {
+    await sendReminder(
+      `habit:${std_id}:${today}`, std_id,
+      "Don't forget to tick off today's habits before bed.",
+      "habit"
+    );
+  }
+}
+
+// Guards against a slow run overlapping the next tick
+let running = false;
+
+/**
+ * runReminderJobs()
+ * Purpose: Run every reminder check once
+ * Errors are logged and swallowed so one bad run doesn't stop the scheduler
+ */
+async function runReminderJobs() {
+  if (running) return;
+  running = true;
+  try {
+    await remindAppointments();
+    await remindMoodAndHabits();
+  } catch (err) {
+    console.error("Reminder job failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * startReminderScheduler()
+ * Purpose: Run the checks now and then every REMINDER_INTERVAL_MINUTES
+ * Returns the interval handle (clearInterval() it to stop)
+ */
+function startReminderScheduler() {
+  runReminderJobs();
+  return setInterval(runReminderJobs, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = { startReminderScheduler, runReminderJobs };
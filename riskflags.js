@@ -0,0 +1,227 @@
+// backend/riskflags.js
+// Early-warning rules: looks for worrying trends in a student's recent Mood_log entries
+// and raises Risk_Flag rows for the counselors' queue
+//
+// Rules (every threshold can be changed with the environment variable next to it):
+// - sustained_stress:    stress_level 3 on RISK_STRESS_DAYS (3) consecutive days
+// - persistent_low_mood: every mood in the last RISK_LOW_MOOD_DAYS (7) days is at or
+//                        below RISK_LOW_MOOD_MAX (2), with at least RISK_LOW_MOOD_MIN_ENTRIES (4) entries
+// - mood_drop:           a mood RISK_MOOD_DROP_POINTS (2) or more below the average of the
+//                        week before it (needs at least 3 entries in that week)
+//
+// Only the last RISK_LOOKBACK_DAYS (14) days are looked at: older entries are history, not a warning.
+// A rule that already has an open or acknowledged flag for the student doesn't raise another,
+// and a resolved flag covers everything up to the day it was resolved, so re-saving
+// a mood log never floods the queue. Every status change is written to Risk_Flag_History.
+const pool = require("./db");
+const { createNotification } = require("./notifications");
+const { addDays, daysBetween, round, mean } = require("./analytics");
+
+/**
+ * envNumber(name, fallback)
+ * Purpose: Numeric setting from .env, or the default when it is missing or not a number
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && !Number.isNaN(value) ? value : fallback;
+}
+
+const RISK_THRESHOLDS = {
+  lookbackDays: envNumber("RISK_LOOKBACK_DAYS", 14),
+  stressDays: envNumber("RISK_STRESS_DAYS", 3),
+  lowMoodDays: envNumber("RISK_LOW_MOOD_DAYS", 7),
+  lowMoodMax: envNumber("RISK_LOW_MOOD_MAX", 2),
+  lowMoodMinEntries: envNumber("RISK_LOW_MOOD_MIN_ENTRIES", 4),
+  moodDropPoints: envNumber("RISK_MOOD_DROP_POINTS", 2)
+};
+
+// Days before a mood that mood_drop compares it against
+const MOOD_DROP_BASELINE_DAYS = 7;
+
+// Sent to the student whenever a scan raises a flag (Notification.msg is VARCHAR(255))
+const CRISIS_CONTACT = process.env.CRISIS_CONTACT || "988";
+const SUPPORT_MESSAGE =
+  "It looks like things have been hard lately. You're not alone: a counselor may reach out, " +
+  `and you can book one any time. If you are in crisis, call or text ${CRISIS_CONTACT} now.`;
+
+// ==================== RULES ====================
+// Each rule gets the student's entries (sorted by log_date, one per day) and today,
+// and returns null or { rule, severity, summary, details, evidence_from, evidence_to }
+
+/**
+ * sustainedStress(logs, today, t)
+ * Purpose: The latest run of consecutive days with stress_level 3
+ */
+function sustainedStress(logs, today, t) {
+  let run = [];
+  let found = null;
+  logs.forEach(log => {
+    if (log.stress_level !== 3) {
+      run = [];
+      return;
+    }
+    const previous = run[run.length - 1];
+    run = previous && addDays(previous.log_date, 1) === log.log_date ? [...run, log] : [log];
+    if (run.length >= t.stressDays) found = run;
+  });
+  if (!found) return null;
+
+  const from = found[0].log_date;
+  const to = found[found.length - 1].log_date;
+  return {
+    rule: "sustained_stress",
+    severity: "medium",
+    summary: `High stress on ${found.length} consecutive days (${from} to ${to})`,
+    details: { days: found.length, threshold_days: t.stressDays },
+    evidence_from: from,
+    evidence_to: to
+  };
+}
+
+/**
+ * persistentLowMood(logs, today, t)
+ * Purpose: Every mood in the last lowMoodDays days at or below lowMoodMax
+ */
+function persistentLowMood(logs, today, t) {
+  const from = addDays(today, -(t.lowMoodDays - 1));
+  const moods = logs.filter(log => log.log_date >= from && log.mood_rating !== null);
+  if (moods.length < t.lowMoodMinEntries) return null;
+  if (moods.some(log => log.mood_rating > t.lowMoodMax)) return null;
+
+  const average = round(mean(moods.map(log => log.mood_rating)));
+  return {
+    rule: "persistent_low_mood",
+    severity: "high",
+    summary: `Mood at or below ${t.lowMoodMax} in all ${moods.length} entries of the last ${t.lowMoodDays} days (average ${average})`,
+    details: { entries: moods.length, average, max_mood: t.lowMoodMax, window_days: t.lowMoodDays },
+    evidence_from: moods[0].log_date,
+    evidence_to: moods[moods.length - 1].log_date
+  };
+}
+
+/**
+ * moodDrop(logs, today, t)
+ * Purpose: The latest mood that fell moodDropPoints or more below the week before it
+ */
+function moodDrop(logs, today, t) {
+  const moods = logs.filter(log => log.mood_rating !== null);
+  for (let i = moods.length - 1; i >= 0; i--) {
+    const log = moods[i];
+    const baselineFrom = addDays(log.log_date, -MOOD_DROP_BASELINE_DAYS);
+    const baseline = moods.filter(m => m.log_date >= baselineFrom && m.log_date < log.log_date);
+    if (baseline.length < 3) continue;
+
+    const average = mean(baseline.map(m => m.mood_rating));
+    if (average - log.mood_rating >= t.moodDropPoints) {
+      return {
+        rule: "mood_drop",
+        severity: "medium",
+        summary: `Mood dropped to ${log.mood_rating} on ${log.log_date} from a ${round(average, 1)} average the week before`,
+        details: { mood: log.mood_rating, baseline_average: round(average), baseline_entries: baseline.length, threshold_points: t.moodDropPoints },
+        evidence_from: baseline[0].log_date,
+        evidence_to: log.log_date
+      };
+    }
+  }
+  return null;
+}
+
+const RISK_RULES = [sustainedStress, persistentLowMood, moodDrop];
+
+/**
+ * evaluateRiskRules(logs, today, thresholds)
+ * Purpose: Run every rule over a student's entries
+ *
+ * Only findings whose evidence ends inside the lookback window count,
+ * so backfilling an old entry doesn't raise a flag about last month.
+ * Returns: [{ rule, severity, summary, details, evidence_from, evidence_to }, ...]
+ */
+function evaluateRiskRules(logs, today, thresholds = RISK_THRESHOLDS) {
+  return RISK_RULES
+    .map(rule => rule(logs, today, thresholds))
+    .filter(finding => finding && daysBetween(finding.evidence_to, today) < thresholds.lookbackDays);
+}
+
+// ==================== SCANNING ====================
+
+/**
+ * scanStudent(std_id)
+ * Purpose: Evaluate the rules for one student and raise any new flags
+ *
+ * Raising a flag, its first history row and the student's supportive notification
+ * share one transaction. The Student row is locked so two scans for the same
+ * student (e.g. two quick mood saves) can't raise the same flag twice.
+ * The student gets one notification per scan, however many flags were raised.
+ *
+ * Returns: the new flag_ids (empty when nothing new was found)
+ */
+async function scanStudent(std_id) {
+  const [[{ today }]] = await pool.query("SELECT CURDATE() AS today");
+  const since = addDays(today, -(RISK_THRESHOLDS.lookbackDays + MOOD_DROP_BASELINE_DAYS));
+
+  const [logs] = await pool.execute(
+    `SELECT log_date, mood_rating, stress_level
+     FROM Mood_log
+     WHERE std_id = ? AND log_date BETWEEN ? AND ?
+     ORDER BY log_date`,
+    [std_id, since, today]
+  );
+
+  const findings = evaluateRiskRules(logs, today);
+  if (findings.length === 0) return [];
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.execute("SELECT std_id FROM Student WHERE std_id = ? FOR UPDATE", [std_id]);
+
+    const raised = [];
+    for (const finding of findings) {
+      // Skip rules that are still being handled, or were resolved after this evidence
+      const [[existing]] = await conn.execute(
+        `SELECT flag_id FROM Risk_Flag
+         WHERE std_id = ? AND rule_name = ?
+           AND (status <> 'resolved' OR DATE(resolved_at) >= ?)
+         LIMIT 1`,
+        [std_id, finding.rule, finding.evidence_to]
+      );
+      if (existing) continue;
+
+      const [result] = await conn.execute(
+        `INSERT INTO Risk_Flag (std_id, rule_name, severity, summary, details, evidence_from, evidence_to)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [std_id, finding.rule, finding.severity, finding.summary, JSON.stringify(finding.details),
+          finding.evidence_from, finding.evidence_to]
+      );
+      await conn.execute(
+        `INSERT INTO Risk_Flag_History (flag_id, changed_by, old_status, new_status, note)
+         VALUES (?, NULL, NULL, 'open', ?)`,
+        [result.insertId, "Raised by the early-warning scan"]
+      );
+      raised.push(result.insertId);
+    }
+
+    if (raised.length > 0) {
+      await createNotification(conn, { std_id, msg: SUPPORT_MESSAGE });
+    }
+
+    await conn.commit();
+    return raised;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * scanStudentInBackground(std_id)
+ * Purpose: Run scanStudent() after a mood log was saved, without holding up the response
+ * A failed scan is logged; the student's mood log is saved either way.
+ */
+function scanStudentInBackground(std_id) {
+  scanStudent(std_id).catch(err => console.error(`Risk scan for student ${std_id} failed:`, err.message));
+}
+
+module.exports = { RISK_THRESHOLDS, evaluateRiskRules, scanStudent, scanStudentInBackground };
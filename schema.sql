@@ -3,22 +3,76 @@ USE campus_wellness;
 
 -- ============ USER / STUDENT ============
 CREATE TABLE IF NOT EXISTS User (
-  user_id INT PRIMARY KEY,
+  user_id INT AUTO_INCREMENT PRIMARY KEY,
   name VARCHAR(100),
   email VARCHAR(100) UNIQUE,
-  password VARCHAR(255),
+  password_hash VARCHAR(255),
   phone VARCHAR(30),
-  role VARCHAR(30)
+  role VARCHAR(30),
+  -- Deactivated accounts can't log in; their rows and history are kept
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  deactivated_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every admin change to an account (created, edited, role, deactivated, reactivated, password reset)
+CREATE TABLE IF NOT EXISTS User_History (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  changed_by INT,                               -- admin's user_id
+  action VARCHAR(30) NOT NULL,
+  old_value VARCHAR(100),
+  new_value VARCHAR(100),
+  note VARCHAR(255),
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES User(user_id),
+  FOREIGN KEY (changed_by) REFERENCES User(user_id)
 );
 
 CREATE TABLE IF NOT EXISTS Student (
   user_id INT PRIMARY KEY,
-  std_id INT UNIQUE,
+  std_id INT NOT NULL UNIQUE,
   department VARCHAR(100),
   semester VARCHAR(30),
   FOREIGN KEY (user_id) REFERENCES User(user_id)
 );
 
+-- ============ SESSIONS ============
+-- Only a SHA-256 hash of the bearer token is stored, never the token itself
+CREATE TABLE IF NOT EXISTS Session (
+  session_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES User(user_id)
+);
+
+-- Secret tokens for the subscribable calendar feed (GET /calendar/:token.ics), hashed like sessions
+-- A user has at most one token with revoked_at NULL
+CREATE TABLE IF NOT EXISTS Calendar_Token (
+  token_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES User(user_id)
+);
+
+-- One-time password reset codes issued by an admin (hashed like session tokens)
+CREATE TABLE IF NOT EXISTS Password_Reset (
+  reset_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES User(user_id),
+  FOREIGN KEY (created_by) REFERENCES User(user_id)
+);
+
 -- ============ MOOD LOG ============
 CREATE TABLE IF NOT EXISTS Mood_log (
   log_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -30,14 +84,26 @@ CREATE TABLE IF NOT EXISTS Mood_log (
   sleep_quantity INT,
   emotional_status VARCHAR(100),
   notes TEXT,
+  UNIQUE (std_id, log_date), -- one mood entry per student per day
   FOREIGN KEY (std_id) REFERENCES Student(std_id)
 );
 
 -- ============ HABITS ============
+-- Shared catalog habits have std_id NULL and act as templates;
+-- a student's own habits (created or adopted from a template) have their std_id
 CREATE TABLE IF NOT EXISTS Habit (
   habit_id INT AUTO_INCREMENT PRIMARY KEY,
+  std_id INT NULL,
+  template_id INT NULL,                              -- catalog habit it was adopted from
   habit_name VARCHAR(100) NOT NULL,
-  category VARCHAR(100)
+  category VARCHAR(100),
+  frequency VARCHAR(20) NOT NULL DEFAULT 'daily',    -- daily / weekdays / weekly
+  times_per_week TINYINT NULL,                       -- target for 'weekly' habits (1-7)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  archived_at TIMESTAMP NULL,                        -- archived habits keep their Habit_Log history
+  FOREIGN KEY (std_id) REFERENCES Student(std_id),
+  FOREIGN KEY (template_id) REFERENCES Habit(habit_id),
+  INDEX idx_habit_owner (std_id, archived_at)
 );
 
 CREATE TABLE IF NOT EXISTS Habit_Log (
@@ -46,22 +112,89 @@ CREATE TABLE IF NOT EXISTS Habit_Log (
   habit_id INT NOT NULL,
   log_date DATE NOT NULL,
   completed TINYINT(1) NOT NULL DEFAULT 0,
+  UNIQUE (std_id, habit_id, log_date), -- one row per habit per day
   FOREIGN KEY (std_id) REFERENCES Student(std_id),
   FOREIGN KEY (habit_id) REFERENCES Habit(habit_id)
 );
 
+-- ============ PROFESSIONALS ============
+-- One row per User with role 'professional'
+CREATE TABLE IF NOT EXISTS Professional (
+  professional_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL UNIQUE,
+  professional_type VARCHAR(50) NOT NULL, -- Counselor / Doctor / Nutritionist
+  session_minutes INT NOT NULL DEFAULT 30,
+  FOREIGN KEY (user_id) REFERENCES User(user_id)
+);
+
+-- Weekly availability windows (day_of_week: 0 = Sunday ... 6 = Saturday)
+CREATE TABLE IF NOT EXISTS Professional_Availability (
+  availability_id INT AUTO_INCREMENT PRIMARY KEY,
+  professional_id INT NOT NULL,
+  day_of_week TINYINT NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  FOREIGN KEY (professional_id) REFERENCES Professional(professional_id)
+);
+
+-- Whole days a professional is unavailable (leave, holidays)
+CREATE TABLE IF NOT EXISTS Professional_Blocked_Date (
+  block_id INT AUTO_INCREMENT PRIMARY KEY,
+  professional_id INT NOT NULL,
+  blocked_date DATE NOT NULL,
+  reason VARCHAR(255),
+  UNIQUE (professional_id, blocked_date),
+  FOREIGN KEY (professional_id) REFERENCES Professional(professional_id)
+);
+
 -- ============ APPOINTMENTS (optional but useful) ============
 CREATE TABLE IF NOT EXISTS Appointment (
   appoint_id INT AUTO_INCREMENT PRIMARY KEY,
   std_id INT NOT NULL,
+  professional_id INT,
   appointment_type VARCHAR(50) NOT NULL,
   professional_name VARCHAR(100) NOT NULL,
   appointment_date DATE NOT NULL,
   appointment_time TIME NOT NULL,
-  status VARCHAR(30) NOT NULL DEFAULT 'Pending',
+  duration_minutes INT NOT NULL DEFAULT 30,
+  status VARCHAR(30) NOT NULL DEFAULT 'Pending', -- Pending / Approved / Declined / Rescheduled / Cancelled / Completed / No-show
   reason TEXT,
-  session_note TEXT,
-  FOREIGN KEY (std_id) REFERENCES Student(std_id)
+  cancel_reason VARCHAR(255),
+  INDEX idx_appointment_pro_day (professional_id, appointment_date),
+  INDEX idx_appointment_std_day (std_id, appointment_date),
+  FOREIGN KEY (std_id) REFERENCES Student(std_id),
+  FOREIGN KEY (professional_id) REFERENCES Professional(professional_id)
+);
+
+-- Every status change or reschedule of an appointment, who made it and why
+CREATE TABLE IF NOT EXISTS Appointment_History (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  appoint_id INT NOT NULL,
+  changed_by INT,
+  old_status VARCHAR(30),
+  new_status VARCHAR(30) NOT NULL,
+  old_date DATE,
+  old_time TIME,
+  new_date DATE,
+  new_time TIME,
+  reason VARCHAR(255),
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (appoint_id) REFERENCES Appointment(appoint_id),
+  FOREIGN KEY (changed_by) REFERENCES User(user_id)
+);
+
+-- Confidential session notes, one per appointment
+-- body_encrypted holds AES-256-GCM ciphertext of { summary, plan }
+CREATE TABLE IF NOT EXISTS Session_Note (
+  note_id INT AUTO_INCREMENT PRIMARY KEY,
+  appoint_id INT NOT NULL UNIQUE,
+  author_id INT NOT NULL,
+  body_encrypted TEXT NOT NULL,
+  follow_up_date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (appoint_id) REFERENCES Appointment(appoint_id),
+  FOREIGN KEY (author_id) REFERENCES Professional(professional_id)
 );
 
 -- ============ NOTIFICATIONS ============
@@ -74,29 +207,178 @@ CREATE TABLE IF NOT EXISTS Notification (
   mood_reminder TINYINT(1) DEFAULT 0,
   habit_reminder TINYINT(1) DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notification_std (std_id, n_id),
+  FOREIGN KEY (std_id) REFERENCES Student(std_id)
+);
+
+-- Per-student reminder preferences (no row = every reminder on, no quiet hours)
+CREATE TABLE IF NOT EXISTS Notification_Preference (
+  std_id INT PRIMARY KEY,
+  appointment_reminders TINYINT(1) NOT NULL DEFAULT 1,
+  mood_reminders TINYINT(1) NOT NULL DEFAULT 1,
+  habit_reminders TINYINT(1) NOT NULL DEFAULT 1,
+  quiet_start TIME,
+  quiet_end TIME,
+  FOREIGN KEY (std_id) REFERENCES Student(std_id)
+);
+
+-- Reminders already sent by the scheduler (reminders.js), one row per unique key
+-- e.g. "appointment-24h:12:2026-01-10 14:00:00" or "mood:101:2026-01-10"
+CREATE TABLE IF NOT EXISTS Reminder_Log (
+  reminder_key VARCHAR(150) PRIMARY KEY,
+  std_id INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (std_id) REFERENCES Student(std_id)
 );
 
+-- ============ EARLY WARNING ============
+-- Flags raised by the early-warning scan (riskflags.js) for the counselors' queue
+CREATE TABLE IF NOT EXISTS Risk_Flag (
+  flag_id INT AUTO_INCREMENT PRIMARY KEY,
+  std_id INT NOT NULL,
+  rule_name VARCHAR(50) NOT NULL,                -- sustained_stress / persistent_low_mood / mood_drop
+  severity VARCHAR(10) NOT NULL,                 -- medium / high
+  summary VARCHAR(255) NOT NULL,
+  details JSON,
+  evidence_from DATE NOT NULL,                   -- the mood logs that triggered the rule
+  evidence_to DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',    -- open / acknowledged / resolved
+  raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  acknowledged_by INT NULL,
+  acknowledged_at TIMESTAMP NULL,
+  resolved_by INT NULL,
+  resolved_at TIMESTAMP NULL,
+  INDEX idx_risk_flag_queue (status, raised_at),
+  INDEX idx_risk_flag_student (std_id, rule_name),
+  FOREIGN KEY (std_id) REFERENCES Student(std_id),
+  FOREIGN KEY (acknowledged_by) REFERENCES User(user_id),
+  FOREIGN KEY (resolved_by) REFERENCES User(user_id)
+);
+
+-- Audit trail: every status change of a flag, who made it (NULL = the scan) and why
+CREATE TABLE IF NOT EXISTS Risk_Flag_History (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  flag_id INT NOT NULL,
+  changed_by INT,
+  old_status VARCHAR(20),
+  new_status VARCHAR(20) NOT NULL,
+  note TEXT,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (flag_id) REFERENCES Risk_Flag(flag_id),
+  FOREIGN KEY (changed_by) REFERENCES User(user_id)
+);
+
+-- ============ WELLNESS RESOURCES ============
+-- Self-help library shown on resources.html (admins manage it, see /resources endpoints)
+CREATE TABLE IF NOT EXISTS Resource (
+  resource_id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(100) NOT NULL UNIQUE,              -- stable id for links, e.g. resources.html#healthy-sleep-habits
+  title VARCHAR(200) NOT NULL,
+  summary VARCHAR(500),
+  body TEXT,                                      -- the article itself, and/or
+  url VARCHAR(500),                               -- a link to an outside page or video
+  category VARCHAR(100),
+  audience VARCHAR(20) NOT NULL DEFAULT 'all',    -- all / student / professional
+  published TINYINT(1) NOT NULL DEFAULT 0,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FULLTEXT INDEX ft_resource (title, summary, body),
+  INDEX idx_resource_category (published, category),
+  FOREIGN KEY (created_by) REFERENCES User(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS Resource_Tag (
+  resource_id INT NOT NULL,
+  tag VARCHAR(50) NOT NULL,                       -- stored lowercase
+  PRIMARY KEY (resource_id, tag),
+  INDEX idx_resource_tag (tag),
+  FOREIGN KEY (resource_id) REFERENCES Resource(resource_id)
+);
+
+-- ============ RECOMMENDATIONS ============
+-- Suggestions a student dismissed or marked helpful (recommendations.js hides them for a while)
+-- rec_key identifies the suggestion, e.g. "poor_sleep" or "habit_gap:6"
+CREATE TABLE IF NOT EXISTS Recommendation_Feedback (
+  std_id INT NOT NULL,
+  rec_key VARCHAR(100) NOT NULL,
+  feedback VARCHAR(20) NOT NULL,                 -- dismissed / helpful
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (std_id, rec_key),
+  FOREIGN KEY (std_id) REFERENCES Student(std_id)
+);
 
 -- ============ SEED DEMO DATA ============
-INSERT INTO User (user_id, name, email, password, phone, role)
-VALUES (1, 'Sample Student', 'sample@student.com', 'demo', '0000000000', 'student')
+-- All demo accounts use the password 'demo' (stored as a scrypt hash)
+INSERT INTO User (user_id, name, email, password_hash, phone, role)
+VALUES
+(1, 'Sample Student', 'sample@student.com', 'scrypt$37e03ee5d8f2163a08bcdd7ef81be3a6$373c411997f65db40dadcc6e028e2aad4dc4238cd5b1063ff4f4111da6b5b6c878a90d827a671de1674f1e7c89758e51f226bb609e9f1944017bbc43210a633e', '0000000000', 'student'),
+(2, 'Dr. Rahman', 'rahman@campus.edu', 'scrypt$37e03ee5d8f2163a08bcdd7ef81be3a6$373c411997f65db40dadcc6e028e2aad4dc4238cd5b1063ff4f4111da6b5b6c878a90d827a671de1674f1e7c89758e51f226bb609e9f1944017bbc43210a633e', '0000000001', 'professional'),
+(3, 'System Admin', 'admin@campus.edu', 'scrypt$37e03ee5d8f2163a08bcdd7ef81be3a6$373c411997f65db40dadcc6e028e2aad4dc4238cd5b1063ff4f4111da6b5b6c878a90d827a671de1674f1e7c89758e51f226bb609e9f1944017bbc43210a633e', '0000000002', 'admin')
 ON DUPLICATE KEY UPDATE user_id = user_id;
 
 INSERT INTO Student (user_id, std_id, department, semester)
 VALUES (1, 101, 'CSE', '5')
 ON DUPLICATE KEY UPDATE std_id = std_id;
 
--- habits seed
-INSERT INTO Habit (habit_name, category)
+-- professional seed (Dr. Rahman, Sunday-Thursday, morning and afternoon)
+INSERT INTO Professional (professional_id, user_id, professional_type, session_minutes)
+VALUES (1, 2, 'Counselor', 30)
+ON DUPLICATE KEY UPDATE professional_id = professional_id;
+
+INSERT INTO Professional_Availability (availability_id, professional_id, day_of_week, start_time, end_time)
+VALUES
+(1, 1, 0, '09:00', '12:00'), (2, 1, 0, '14:00', '17:00'),
+(3, 1, 1, '09:00', '12:00'), (4, 1, 1, '14:00', '17:00'),
+(5, 1, 2, '09:00', '12:00'), (6, 1, 2, '14:00', '17:00'),
+(7, 1, 3, '09:00', '12:00'), (8, 1, 3, '14:00', '17:00'),
+(9, 1, 4, '09:00', '12:00'), (10, 1, 4, '14:00', '17:00')
+ON DUPLICATE KEY UPDATE start_time = start_time;
+
+-- habits seed: the shared catalog (templates)
+INSERT INTO Habit (habit_id, habit_name, category, frequency, times_per_week)
 VALUES
-('Sleep before 12 AM', 'Sleep'),
-('Exercise / Walk', 'Fitness'),
-('Drink enough water', 'Lifestyle'),
-('Study 2 hours', 'Academic'),
-('Pray or Meditate', 'Spiritual')
+(1, 'Sleep before 12 AM', 'Sleep', 'daily', NULL),
+(2, 'Exercise / Walk', 'Fitness', 'weekly', 3),
+(3, 'Drink enough water', 'Lifestyle', 'daily', NULL),
+(4, 'Study 2 hours', 'Academic', 'weekdays', NULL),
+(5, 'Pray or Meditate', 'Spiritual', 'daily', NULL)
 ON DUPLICATE KEY UPDATE habit_name = habit_name;
 
+-- the seed student has adopted every template
+INSERT INTO Habit (habit_id, std_id, template_id, habit_name, category, frequency, times_per_week)
+VALUES
+(6, 101, 1, 'Sleep before 12 AM', 'Sleep', 'daily', NULL),
+(7, 101, 2, 'Exercise / Walk', 'Fitness', 'weekly', 3),
+(8, 101, 3, 'Drink enough water', 'Lifestyle', 'daily', NULL),
+(9, 101, 4, 'Study 2 hours', 'Academic', 'weekdays', NULL),
+(10, 101, 5, 'Pray or Meditate', 'Spiritual', 'daily', NULL)
+ON DUPLICATE KEY UPDATE habit_name = habit_name;
+
+-- resource library seed (the cards resources.html used to hardcode)
+INSERT INTO Resource (resource_id, slug, title, summary, body, category, audience, published)
+VALUES
+(1, 'managing-exam-stress', 'Managing Exam Stress', 'Practical tips to handle exam pressure and stay focused.',
+ 'Break revision into short blocks with breaks in between. Plan the week ahead, sleep before exams instead of cramming, and talk to someone when the pressure builds up.',
+ 'Academic Stress', 'all', 1),
+(2, 'healthy-sleep-habits', 'Healthy Sleep Habits', 'Small changes in routine that can improve your sleep quality.',
+ 'Go to bed and wake up at the same time every day, keep screens out of bed for the last half hour, and avoid caffeine late in the afternoon.',
+ 'Sleep', 'all', 1),
+(3, 'nutrition-tips-for-students', 'Nutrition Tips for Students', 'Easy and budget-friendly ideas to eat better on campus.',
+ 'Keep fruit and nuts around for snacks, drink water through the day, and cook simple meals in batches to save time and money.',
+ 'Nutrition', 'all', 1),
+(4, 'dealing-with-anxiety', 'Dealing with Anxiety', 'Grounding exercises and breathing techniques for anxiety.',
+ 'Try box breathing: in for four counts, hold for four, out for four, hold for four. The 5-4-3-2-1 exercise (five things you see, four you hear...) brings you back to the present.',
+ 'Mental Health', 'all', 1)
+ON DUPLICATE KEY UPDATE resource_id = resource_id;
+
+INSERT IGNORE INTO Resource_Tag (resource_id, tag)
+VALUES
+(1, 'exams'), (1, 'stress'), (1, 'study'),
+(2, 'sleep'), (2, 'routine'),
+(3, 'food'), (3, 'budget'),
+(4, 'anxiety'), (4, 'breathing'), (4, 'stress');
+
 -- mood seed
 INSERT INTO Mood_log
 (std_id, log_date, mood_rating, stress_level, energy_level, sleep_quantity, emotional_status, notes)
@@ -1,18 +1,571 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const { promisify } = require("util");
 const express = require("express");
 const cors = require("cors");
 const pool = require("./db"); //to import database connection
+const { startReminderScheduler } = require("./reminders");
+const { createNotification } = require("./notifications");
+const { scanStudentInBackground } = require("./riskflags");
+const { getRecommendations } = require("./recommendations");
+const { EXPORT_FORMATS, getExportData, toCsv, writePdf } = require("./export");
+const { buildCalendar, getFeedAppointments, getEventAppointment } = require("./calendar");
+const { validate, sendError, serverError, notFoundHandler, errorHandler } = require("./validation");
+const {
+  addDays, daysBetween, round, rollingMeans, pearson, pairFields,
+  weekStart, isDueOn, activeDays, habitProgress, habitStreaks, suppressSmallGroups
+} = require("./analytics");
+
+const scrypt = promisify(crypto.scrypt);
+
+// How long a login session stays valid (hours), configurable via .env
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// How long an admin-issued password reset code stays valid (hours)
+const PASSWORD_RESET_HOURS = Number(process.env.PASSWORD_RESET_HOURS) || 24;
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Reusable rules for validate() (see validation.js for the rule format)
+const ID = { type: "int", min: 1, required: true };   // std_id, appoint_id, log_id, ...
+const DATE = { type: "date", required: true };         // YYYY-MM-DD
+const TIME = { type: "time", required: true };         // HH:MM
+const MAX_TEXT = 2000;                                 // Free-text fields stored as TEXT
+
 // -------------------- HEALTH CHECK --------------------
 app.get("/health", async (req, res) => {
   try {
     const [rows] = await pool.query("SELECT 1 AS result");
     res.json({ status: "OK", database: "connected", result: rows[0].result });
   } catch (err) {
-    res.status(500).json({ status: "ERROR", message: err.message });
+    console.error(err);
+    res.status(500).json({ status: "ERROR", database: "unreachable" });
+  }
+});
+
+// ==================== AUTH ENDPOINTS ====================
+// These endpoints handle login, logout and "who am I" lookups
+// A successful login returns a random bearer token; the frontend sends it back
+// in the Authorization header ("Bearer <token>") on every request
+
+/**
+ * hashPassword(password)
+ * Purpose: Hash a plaintext password with scrypt and a random salt
+ * Returns: "scrypt$<salt>$<hash>" string to store in User.password_hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+/**
+ * verifyPassword(password, stored)
+ * Purpose: Check a plaintext password against a stored scrypt hash
+ * Uses timingSafeEqual so the comparison time does not leak the hash
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * hashToken(token)
+ * Purpose: SHA-256 a session token so the database never holds the raw token
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * authenticate (middleware)
+ * Purpose: Resolve the bearer token into the logged-in user
+ *
+ * On success sets req.user = { user_id, name, email, role, std_id, professional_id }
+ * (std_id is only set for students, professional_id only for professionals, even if
+ * a role change left the user with an old Student or Professional row)
+ * Sessions of deactivated accounts are refused, so deactivation takes effect at once
+ * (the live notification stream may pass its token in the URL, see streamTokenFromQuery)
+ *
+ * Response on failure:
+ * - 401: { error: { code: "UNAUTHENTICATED", message: "Authentication required" } }
+ */
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get("Authorization") || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return sendError(res, 401, "Authentication required");
+    }
+
+    // Only sessions that have not expired are accepted
+    const [rows] = await pool.execute(
+      `SELECT u.user_id, u.name, u.email, u.role,
+              CASE WHEN u.role = 'student' THEN st.std_id END AS std_id,
+              CASE WHEN u.role = 'professional' THEN p.professional_id END AS professional_id
+       FROM Session s
+       JOIN User u ON u.user_id = s.user_id
+       LEFT JOIN Student st ON st.user_id = u.user_id
+       LEFT JOIN Professional p ON p.user_id = u.user_id
+       WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.is_active = 1`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      return sendError(res, 401, "Authentication required");
+    }
+
+    req.user = rows[0];
+    req.token = token;
+    next();
+  } catch (err) {
+    serverError(res, err);
+  }
+}
+
+/**
+ * POST /auth/login
+ * Purpose: Check email/password and start a new session
+ *
+ * Request Body (JSON):
+ * {
+ *   email: string,     // Login email (required)
+ *   password: string   // Plaintext password (required)
+ * }
+ *
+ * Response:
+ * - 200: { token: "...", user: { user_id, name, email, role, std_id, professional_id } }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { email: "is required" } } }
+ * - 401: { error: { code: "UNAUTHENTICATED", message: "Invalid email or password" } }
+ * - 403: { error: { code: "FORBIDDEN", message: "This account has been deactivated" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ */
+const loginSchema = {
+  body: {
+    email: { type: "string", required: true, maxLength: 100 },
+    password: { type: "string", required: true, maxLength: 200 }
+  }
+};
+
+app.post("/auth/login", validate(loginSchema), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const [rows] = await pool.execute(
+      `SELECT u.user_id, u.name, u.email, u.role, u.password_hash, u.is_active, st.std_id, p.professional_id
+       FROM User u
+       LEFT JOIN Student st ON st.user_id = u.user_id
+       LEFT JOIN Professional p ON p.user_id = u.user_id
+       WHERE u.email = ?`,
+      [email]
+    );
+
+    // Same message for unknown email and wrong password,
+    // so the response doesn't reveal which emails are registered
+    const user = rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return sendError(res, 401, "Invalid email or password");
+    }
+    // Only told after a correct password, so this doesn't reveal which accounts exist
+    if (!user.is_active) {
+      return sendError(res, 403, "This account has been deactivated");
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await pool.execute(
+      `INSERT INTO Session (user_id, token_hash, expires_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [user.user_id, hashToken(token), SESSION_TTL_HOURS]
+    );
+
+    delete user.password_hash;
+    delete user.is_active;
+    res.json({ token, user });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Purpose: End the current session (the token stops working immediately)
+ *
+ * Response:
+ * - 200: { message: "Logged out" }
+ * - 401: { error: { code: "UNAUTHENTICATED", message: "Authentication required" } }
+ */
+app.post("/auth/logout", authenticate, async (req, res) => {
+  try {
+    await pool.execute("DELETE FROM Session WHERE token_hash = ?", [hashToken(req.token)]);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /auth/me
+ * Purpose: Tell the frontend who is logged in
+ *
+ * Response:
+ * - 200: { user_id, name, email, role, std_id, professional_id }
+ * - 401: { error: { code: "UNAUTHENTICATED", message: "Authentication required" } }
+ *
+ * Used by: Every page on load, to find the current student's id and role
+ */
+app.get("/auth/me", authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * POST /auth/reset-password
+ * Purpose: Set a new password with a reset code from an admin
+ * (see POST /admin/users/:user_id/password-reset)
+ *
+ * Request Body (JSON):
+ * {
+ *   code: string,       // Reset code (required, single use)
+ *   password: string    // New password, at least 6 characters (required)
+ * }
+ *
+ * Response:
+ * - 200: { message: "Password updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid or expired reset code" } }
+ *
+ * Every existing session of the account is ended, so the new password must be used to log in
+ */
+const resetPasswordSchema = {
+  body: {
+    code: { type: "string", required: true, maxLength: 100 },
+    password: { type: "string", required: true, minLength: 6, maxLength: 200 }
+  }
+};
+
+app.post("/auth/reset-password", validate(resetPasswordSchema), async (req, res) => {
+  const { code, password } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[reset]] = await conn.execute(
+      `SELECT r.reset_id, r.user_id
+       FROM Password_Reset r
+       JOIN User u ON u.user_id = r.user_id
+       WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW() AND u.is_active = 1
+       FOR UPDATE`,
+      [hashToken(code.trim())]
+    );
+    if (!reset) {
+      await conn.rollback();
+      return sendError(res, 400, "Invalid or expired reset code");
+    }
+
+    await conn.execute("UPDATE User SET password_hash = ? WHERE user_id = ?", [await hashPassword(password), reset.user_id]);
+    await conn.execute("UPDATE Password_Reset SET used_at = NOW() WHERE reset_id = ?", [reset.reset_id]);
+    await conn.execute("DELETE FROM Session WHERE user_id = ?", [reset.user_id]);
+    await recordUserChange(conn, { user_id: reset.user_id, changed_by: reset.user_id, action: "password_changed" });
+
+    await conn.commit();
+    res.json({ message: "Password updated" });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+// ==================== STUDENT REGISTRATION ====================
+// Registration is public: a new student has no session yet
+
+/**
+ * POST /students
+ * Purpose: Let a student create their own account
+ *
+ * Request Body (JSON):
+ * {
+ *   name: string,        // Full name (required)
+ *   email: string,       // Login email (required, unique)
+ *   password: string,    // At least 6 characters (required)
+ *   std_id: number,      // University student ID (required, unique)
+ *   phone: string,       // (optional)
+ *   department: string,  // e.g. "CSE" (optional)
+ *   semester: string     // e.g. "5" (optional)
+ * }
+ *
+ * Response:
+ * - 201: { message: "Student registered", user_id, std_id }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { password: "must be at least 6 characters" } } }
+ * - 409: { error: { code: "CONFLICT", message: "Email is already registered" } } or { error: { code: "CONFLICT", message: "Student ID is already registered" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Database: Inserts the User row and the Student row in one transaction,
+ * so a failure never leaves a User without its Student profile
+ */
+const registerSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true, maxLength: 100 },
+    password: { type: "string", required: true, minLength: 6, maxLength: 200 },
+    std_id: ID,
+    phone: { type: "string", maxLength: 30 },
+    department: { type: "string", maxLength: 100 },
+    semester: { type: "string", maxLength: 30 }
+  }
+};
+
+app.post("/students", validate(registerSchema), async (req, res) => {
+  const { name, email, password, std_id, phone, department, semester } = req.body;
+
+  // A dedicated connection is needed so both INSERTs share one transaction
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [userResult] = await conn.execute(
+      `INSERT INTO User (name, email, password_hash, phone, role)
+       VALUES (?, ?, ?, ?, 'student')`,
+      [name, email, await hashPassword(password), phone ?? null]
+    );
+
+    await conn.execute(
+      `INSERT INTO Student (user_id, std_id, department, semester)
+       VALUES (?, ?, ?, ?)`,
+      [userResult.insertId, std_id, department ?? null, semester ?? null]
+    );
+
+    await conn.commit();
+    res.status(201).json({ message: "Student registered", user_id: userResult.insertId, std_id: Number(std_id) });
+  } catch (err) {
+    await conn.rollback();
+
+    // The UNIQUE keys on User.email and Student.std_id catch duplicates,
+    // even when two registrations race each other
+    if (err.code === "ER_DUP_ENTRY") {
+      const message = /email/i.test(err.message)
+        ? "Email is already registered"
+        : "Student ID is already registered";
+      return sendError(res, 409, message);
+    }
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+// ==================== CALENDAR FEED (PUBLIC) ====================
+// Calendar apps can't log in, so the subscribable feed is reached with its own
+// secret token instead of a session (tokens are managed under CALENDAR FEED TOKENS below)
+
+/**
+ * GET /calendar/:token.ics
+ * Purpose: The user's appointments as an iCalendar feed to subscribe to
+ *
+ * Students get their own bookings, professionals the bookings made with them,
+ * from 90 days ago onwards (see calendar.js). Cancelled / declined appointments
+ * are listed with STATUS:CANCELLED. Reasons and session notes are never included.
+ *
+ * Response:
+ * - 200: text/calendar file
+ * - 404: { error: { code: "NOT_FOUND", message: "Calendar not found" } }
+ *   (unknown or revoked token, or a deactivated account)
+ */
+const calendarFeedSchema = {
+  params: { token: { type: "string", required: true, maxLength: 100 } }
+};
+
+app.get("/calendar/:token.ics", validate(calendarFeedSchema), async (req, res) => {
+  try {
+    const [[owner]] = await pool.execute(
+      `SELECT c.token_id, u.role, st.std_id, p.professional_id
+       FROM Calendar_Token c
+       JOIN User u ON u.user_id = c.user_id
+       LEFT JOIN Student st ON st.user_id = u.user_id
+       LEFT JOIN Professional p ON p.user_id = u.user_id
+       WHERE c.token_hash = ? AND c.revoked_at IS NULL AND u.is_active = 1`,
+      [hashToken(req.params.token)]
+    );
+    if (!owner || !["student", "professional"].includes(owner.role)) {
+      return sendError(res, 404, "Calendar not found");
+    }
+
+    await pool.execute("UPDATE Calendar_Token SET last_used_at = NOW() WHERE token_id = ?", [owner.token_id]);
+    const appointments = await getFeedAppointments(owner);
+
+    res.type("text/calendar; charset=utf-8").set("Cache-Control", "no-cache");
+    res.send(buildCalendar("Campus Wellness appointments", appointments, owner.role));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== AUTHORIZATION ====================
+// Everything registered below this point requires a logged-in user.
+// Roles come from User.role: "student", "professional" or "admin"
+//
+// Denied calls always get one of:
+// - 401: { error: { code: "UNAUTHENTICATED", message: "Authentication required" } }  (no / expired session)
+// - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }                (logged in, but not allowed)
+
+/**
+ * streamTokenFromQuery (middleware)
+ * Purpose: Let GET /notifications/:std_id/stream pass the token as ?access_token=...,
+ * because the browser's EventSource cannot send headers
+ * No other route takes a token from the URL, where it would end up in proxy logs,
+ * browser history and Referer headers.
+ */
+function streamTokenFromQuery(req, res, next) {
+  if (!req.get("Authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+app.get("/notifications/:std_id/stream", streamTokenFromQuery);
+app.use(authenticate);
+
+/**
+ * requireRole(...roles) (middleware factory)
+ * Purpose: Only let users with one of the given roles through
+ * Example: app.get("/admin/stats", requireRole("admin"), ...)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, 403, "Access denied");
+    }
+    next();
+  };
+}
+
+/**
+ * requireStudentAccess(...staffRoles) (middleware factory)
+ * Purpose: Guard routes that act on one student's data
+ *
+ * The target student is read from req.params.std_id, falling back to req.body.std_id.
+ * - A student may only touch their own std_id
+ * - Users whose role is listed in staffRoles may access any student
+ *
+ * Example: requireStudentAccess("professional") lets the student and counselors through
+ */
+function requireStudentAccess(...staffRoles) {
+  return (req, res, next) => {
+    const std_id = req.params.std_id ?? req.body?.std_id;
+
+    if (req.user.role === "student" && Number(std_id) === req.user.std_id) {
+      return next();
+    }
+    if (staffRoles.includes(req.user.role)) {
+      return next();
+    }
+    sendError(res, 403, "Access denied");
+  };
+}
+
+// ==================== STUDENT PROFILE ENDPOINTS ====================
+// Students can view and edit their own profile details
+
+/**
+ * GET /students/:std_id
+ * Purpose: Retrieve a student's profile
+ *
+ * Response:
+ * - 200: { user_id, std_id, name, email, phone, department, semester }
+ * - 404: { error: { code: "NOT_FOUND", message: "Student not found" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself, professionals and admins
+ */
+app.get("/students/:std_id", requireStudentAccess("professional", "admin"), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT u.user_id, st.std_id, u.name, u.email, u.phone, st.department, st.semester
+       FROM Student st
+       JOIN User u ON u.user_id = st.user_id
+       WHERE st.std_id = ?`,
+      [req.params.std_id]
+    );
+
+    if (rows.length === 0) {
+      return sendError(res, 404, "Student not found");
+    }
+    res.json(rows[0]);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /students/:std_id
+ * Purpose: Update a student's profile
+ *
+ * Request Body (JSON) - every field is optional, missing fields are left unchanged:
+ * {
+ *   name: string,
+ *   phone: string,
+ *   department: string,
+ *   semester: string
+ * }
+ *
+ * Response:
+ * - 200: { message: "Profile updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Student not found" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and admins
+ * Email, std_id and role are not editable here
+ */
+const profileSchema = {
+  params: { std_id: ID },
+  body: {
+    name: { type: "string", maxLength: 100 },
+    phone: { type: "string", maxLength: 30 },
+    department: { type: "string", maxLength: 100 },
+    semester: { type: "string", maxLength: 30 }
+  }
+};
+
+app.put("/students/:std_id", requireStudentAccess("admin"), validate(profileSchema), async (req, res) => {
+  const { std_id } = req.params;
+  const { name, phone, department, semester } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.execute("SELECT user_id FROM Student WHERE std_id = ? FOR UPDATE", [std_id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return sendError(res, 404, "Student not found");
+    }
+
+    // COALESCE keeps the old value when a field was not sent
+    await conn.execute(
+      "UPDATE User SET name = COALESCE(?, name), phone = COALESCE(?, phone) WHERE user_id = ?",
+      [name ?? null, phone ?? null, rows[0].user_id]
+    );
+    await conn.execute(
+      `UPDATE Student SET department = COALESCE(?, department), semester = COALESCE(?, semester)
+       WHERE std_id = ?`,
+      [department ?? null, semester ?? null, std_id]
+    );
+
+    await conn.commit();
+    res.json({ message: "Profile updated" });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
   }
 });
 
@@ -37,13 +590,29 @@ app.get("/health", async (req, res) => {
  * }
  * 
  * Response:
- * - 201: { message: "Mood log saved" }
- * - 400: { message: "std_id and log_date are required" }
- * - 500: { message: "error message" }
+ * - 201: { message: "Mood log saved", log_id: number }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { mood_rating: "must be between 1 and 5" } } }
+ * - 409: { error: { code: "CONFLICT", message: "A mood log already exists for this date" }, log_id: number }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
  * 
- * Database: Inserts into Mood_log table
+ * Database: Inserts into Mood_log table (one entry per student per day)
+ * Afterwards the early-warning rules run for the student (see riskflags.js)
  */
-app.post("/mood-log", async (req, res) => {
+// Value ranges shared by POST and PUT /mood-log
+const MOOD_FIELDS = {
+  mood_rating: { type: "int", min: 1, max: 5 },
+  stress_level: { type: "int", min: 1, max: 3 },
+  energy_level: { type: "int", min: 1, max: 5 },
+  sleep_quantity: { type: "int", min: 1, max: 3 },
+  emotional_status: { type: "string", maxLength: 100 },
+  notes: { type: "string", maxLength: MAX_TEXT }
+};
+
+const moodLogSchema = {
+  body: { std_id: ID, log_date: DATE, ...MOOD_FIELDS }
+};
+
+app.post("/mood-log", requireStudentAccess(), validate(moodLogSchema), async (req, res) => {
   try {
     // Destructure all fields from request body
     // This extracts the JSON data sent from the frontend
@@ -58,11 +627,7 @@ app.post("/mood-log", async (req, res) => {
       notes,              // Optional notes
     } = req.body;
 
-    // Validation: Ensure required fields are present
-    // std_id and log_date are mandatory for tracking who logged what and when
-    if (!std_id || !log_date) {
-      return res.status(400).json({ message: "std_id and log_date are required" });
-    }
+    // Validation (required fields, value ranges) already ran in validate(moodLogSchema)
 
     // SQL INSERT statement with placeholders (?)
     // Placeholders prevent SQL injection attacks
@@ -76,7 +641,7 @@ app.post("/mood-log", async (req, res) => {
     // pool.execute() safely inserts values into placeholders
     // The ?? operator (nullish coalescing) sets undefined values to null
     // This allows optional fields to be stored as NULL in the database
-    await pool.execute(sql, [
+    const [result] = await pool.execute(sql, [
       std_id,                    // First ? placeholder
       log_date,                  // Second ? placeholder
       mood_rating ?? null,       // If undefined, store NULL
@@ -88,10 +653,108 @@ app.post("/mood-log", async (req, res) => {
     ]);
 
     // Send success response with 201 status (Created)
-    res.status(201).json({ message: "Mood log saved" });
+    res.status(201).json({ message: "Mood log saved", log_id: result.insertId });
+
+    // Look for worrying trends now that there's a new entry (see riskflags.js)
+    scanStudentInBackground(std_id);
   } catch (err) {
+    // UNIQUE (std_id, log_date): the student already logged a mood that day
+    // Send back the existing log_id so the frontend can offer to edit it instead
+    if (err.code === "ER_DUP_ENTRY") {
+      const [[existing]] = await pool.execute(
+        "SELECT log_id FROM Mood_log WHERE std_id = ? AND log_date = ?",
+        [req.body.std_id, req.body.log_date]
+      );
+      return sendError(res, 409, "A mood log already exists for this date", {
+        log_id: existing ? existing.log_id : null
+      });
+    }
     // If any error occurs (database error, etc.), send 500 status
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /mood-log/:log_id
+ * Purpose: Edit one of the student's own mood log entries
+ *
+ * Request Body (JSON) - same fields as POST /mood-log (except std_id);
+ * fields that are not sent keep their current value. The optional energy_level,
+ * emotional_status and notes are cleared by sending null or "".
+ *
+ * Response:
+ * - 200: { message: "Mood log updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Mood log not found" } }   (also when it belongs to another student)
+ * - 409: { error: { code: "CONFLICT", message: "A mood log already exists for this date" } }  (log_date moved onto another entry)
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ */
+const moodLogUpdateSchema = {
+  params: { log_id: ID },
+  body: { log_date: { type: "date" }, ...MOOD_FIELDS }
+};
+
+app.put("/mood-log/:log_id", requireRole("student"), validate(moodLogUpdateSchema), async (req, res) => {
+  try {
+    const { log_id } = req.params;
+    const { log_date, mood_rating, stress_level, sleep_quantity } = req.body;
+
+    // Clearable fields: [keep the old value?, new value] for IF(?, column, ?)
+    // (not sent keeps it; null or "" clears it)
+    const clearable = name => [req.body[name] === undefined ? 1 : 0, req.body[name] === "" ? null : req.body[name] ?? null];
+
+    // COALESCE keeps the old value when a field was not sent;
+    // the std_id check makes sure students can only edit their own entries
+    const [result] = await pool.execute(
+      `UPDATE Mood_log SET
+         log_date = COALESCE(?, log_date),
+         mood_rating = COALESCE(?, mood_rating),
+         stress_level = COALESCE(?, stress_level),
+         energy_level = IF(?, energy_level, ?),
+         sleep_quantity = COALESCE(?, sleep_quantity),
+         emotional_status = IF(?, emotional_status, ?),
+         notes = IF(?, notes, ?)
+       WHERE log_id = ? AND std_id = ?`,
+      [log_date ?? null, mood_rating ?? null, stress_level ?? null, ...clearable("energy_level"),
+        sleep_quantity ?? null, ...clearable("emotional_status"), ...clearable("notes"), log_id, req.user.std_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Mood log not found");
+    }
+    res.json({ message: "Mood log updated" });
+
+    scanStudentInBackground(req.user.std_id);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return sendError(res, 409, "A mood log already exists for this date");
+    }
+    serverError(res, err);
+  }
+});
+
+/**
+ * DELETE /mood-log/:log_id
+ * Purpose: Delete one of the student's own mood log entries
+ *
+ * Response:
+ * - 200: { message: "Mood log deleted" }
+ * - 404: { error: { code: "NOT_FOUND", message: "Mood log not found" } }   (also when it belongs to another student)
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ */
+app.delete("/mood-log/:log_id", requireRole("student"), validate({ params: { log_id: ID } }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "DELETE FROM Mood_log WHERE log_id = ? AND std_id = ?",
+      [req.params.log_id, req.user.std_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Mood log not found");
+    }
+    res.json({ message: "Mood log deleted" });
+  } catch (err) {
+    serverError(res, err);
   }
 });
 
@@ -118,11 +781,11 @@ app.post("/mood-log", async (req, res) => {
  *     },
  *     ...
  *   ]
- * - 500: { message: "error message" }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
  * 
  * Used by: Frontend to display mood history and analytics
  */
-app.get("/mood-log/:std_id", async (req, res) => {
+app.get("/mood-log/:std_id", requireStudentAccess("professional"), validate({ params: { std_id: ID } }), async (req, res) => {
   try {
     // Extract std_id from URL parameter
     // req.params contains all URL parameters (e.g., :std_id)
@@ -141,373 +804,4204 @@ app.get("/mood-log/:std_id", async (req, res) => {
     res.json(rows);
   } catch (err) {
     // Handle any database or server errors
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
 // ==================== HABITS ENDPOINTS ====================
 // These endpoints handle habit tracking functionality
-// Students can view available habits and log which ones they completed each day
+// Each student keeps their own list of habits (created from scratch or adopted
+// from the shared catalog) and logs which ones they completed each day.
+//
+// Habit rows with std_id NULL are the catalog templates; a student's habits have their std_id.
+// Archiving a habit hides it from the tracker but keeps its Habit_Log history and statistics.
+
+const HABIT_FREQUENCIES = ["daily", "weekdays", "weekly"];
+
+// Columns every habit endpoint returns; start_date / archived_date drive the schedule maths
+const HABIT_COLUMNS = `habit_id, template_id, habit_name, category, frequency, times_per_week,
+  DATE(created_at) AS start_date, DATE(archived_at) AS archived_date`;
+
+// Editable habit fields (shared by create and edit)
+const HABIT_FIELDS = {
+  habit_name: { type: "string", maxLength: 100 },
+  category: { type: "string", maxLength: 100 },
+  frequency: { type: "enum", values: HABIT_FREQUENCIES },
+  times_per_week: { type: "int", min: 1, max: 7 }
+};
 
 /**
- * GET /habits
- * Purpose: Retrieve the master list of all available habits
- * 
+ * checkSchedule(frequency, times_per_week)
+ * Purpose: "weekly" habits need a target, the others must not have one
+ * Returns: validation fields, or null when the combination is fine
+ */
+function checkSchedule(frequency, times_per_week) {
+  if (frequency === "weekly" && !times_per_week) {
+    return { times_per_week: "is required for weekly habits" };
+  }
+  return null;
+}
+
+/**
+ * getStudentHabits(std_id, { includeArchived })
+ * Purpose: A student's own habits, active ones first
+ */
+async function getStudentHabits(std_id, { includeArchived = false } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT ${HABIT_COLUMNS}
+     FROM Habit
+     WHERE std_id = ? AND (? OR archived_at IS NULL)
+     ORDER BY archived_at IS NOT NULL, habit_id`,
+    [std_id, includeArchived ? 1 : 0]
+  );
+  return rows;
+}
+
+/**
+ * findOwnHabit(habit_id, user)
+ * Purpose: Load one habit if it belongs to the logged-in student
+ */
+async function findOwnHabit(habit_id, user) {
+  const [[habit]] = await pool.execute(
+    `SELECT ${HABIT_COLUMNS} FROM Habit WHERE habit_id = ? AND std_id = ?`,
+    [habit_id, user.std_id]
+  );
+  return habit || null;
+}
+
+/**
+ * GET /habits?include_archived=true
+ * Purpose: The logged-in student's habits (staff get the shared catalog instead)
+ *
  * Response:
  * - 200: Array of habit objects
  *   Example: [
- *     { habit_id: 1, habit_name: "Sleep before 12 AM", category: "Sleep" },
- *     { habit_id: 2, habit_name: "Exercise / Walk", category: "Fitness" },
+ *     { habit_id: 6, template_id: 1, habit_name: "Sleep before 12 AM", category: "Sleep",
+ *       frequency: "daily", times_per_week: null, start_date: "2026-01-01", archived_date: null },
+ *     { habit_id: 12, template_id: null, habit_name: "Read 20 pages", category: "Academic",
+ *       frequency: "weekly", times_per_week: 3, ... },
  *     ...
  *   ]
- * - 500: { message: "error message" }
- * 
- * Database: Selects from Habit table
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Archived habits are only included with ?include_archived=true
  * Used by: Frontend to display habit checkboxes
  */
-app.get("/habits", async (req, res) => {
+app.get("/habits", validate({ query: { include_archived: { type: "boolean" } } }), async (req, res) => {
   try {
-    // Query all habits from the Habit table
-    // pool.query() is used for simple SELECT queries without parameters
-    // Returns habits ordered by habit_id for consistent display
-    const [rows] = await pool.query("SELECT habit_id, habit_name, category FROM Habit ORDER BY habit_id");
+    if (req.user.role !== "student") {
+      const [templates] = await pool.query(
+        `SELECT ${HABIT_COLUMNS} FROM Habit WHERE std_id IS NULL ORDER BY habit_id`
+      );
+      return res.json(templates);
+    }
 
-    // Send the array of habits as JSON
-    res.json(rows);
+    const includeArchived = ["true", "1"].includes(req.query.include_archived);
+    res.json(await getStudentHabits(req.user.std_id, { includeArchived }));
   } catch (err) {
-    // Handle database errors
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
 /**
- * GET /habit-log/:std_id?log_date=YYYY-MM-DD
- * Purpose: Retrieve which habits a student completed on a specific date
- * 
- * URL Parameter:
- * - std_id: Student ID (e.g., /habit-log/101)
- * 
- * Query Parameter (optional):
- * - log_date: Date in YYYY-MM-DD format (defaults to today if not provided)
- *   Example: /habit-log/101?log_date=2026-01-06
- * 
+ * GET /habits/templates
+ * Purpose: The shared habit catalog students can adopt from
+ *
  * Response:
- * - 200: Array of completed habit logs
- *   Example: [
- *     { habit_id: 1, completed: 1 },
- *     { habit_id: 3, completed: 1 },
- *     ...
- *   ]
- * - 500: { message: "error message" }
- * 
- * Database: Selects from Habit_Log table
- * Used by: Frontend to pre-check completed habits when viewing a specific date
+ * - 200: [{ habit_id, habit_name, category, frequency, times_per_week, adopted: true|false }, ...]
+ *   (adopted: the student already has an active habit made from this template)
  */
-app.get("/habit-log/:std_id", async (req, res) => {
+app.get("/habits/templates", async (req, res) => {
   try {
-    // Extract student ID from URL parameter
-    const { std_id } = req.params;
-
-    // Get log_date from query string, or default to today's date
-    // req.query contains URL query parameters (e.g., ?log_date=2026-01-06)
-    // new Date().toISOString().split("T")[0] formats date as YYYY-MM-DD
-    const log_date = req.query.log_date || new Date().toISOString().split("T")[0];
-
-    // Query habit logs for this student on this specific date
-    // Only returns habits that were marked as completed
     const [rows] = await pool.execute(
-      `SELECT habit_id, completed
-       FROM Habit_Log
-       WHERE std_id = ? AND log_date = ?`,
-      [std_id, log_date]  // Replace ? placeholders with actual values
+      `SELECT t.habit_id, t.habit_name, t.category, t.frequency, t.times_per_week,
+              EXISTS (SELECT 1 FROM Habit h
+                      WHERE h.template_id = t.habit_id AND h.std_id = ? AND h.archived_at IS NULL) AS adopted
+       FROM Habit t
+       WHERE t.std_id IS NULL
+       ORDER BY t.habit_id`,
+      [req.user.std_id ?? null]
     );
-
-    // Return the list of completed habits
-    res.json(rows);
+    res.json(rows.map(t => ({ ...t, adopted: !!t.adopted })));
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
 /**
- * POST /habit-log
- * Purpose: Save which habits a student completed on a specific date
- * 
+ * POST /habits
+ * Purpose: Create a personal habit
+ *
  * Request Body (JSON):
  * {
- *   std_id: number,         // Student ID (required)
- *   habit_ids: number[],    // Array of completed habit IDs (required)
- *   log_date: string        // Date in YYYY-MM-DD format (required)
+ *   habit_name: string,       // (required)
+ *   category: string,         // e.g. "Fitness" (optional)
+ *   frequency: string,        // "daily" (default), "weekdays" or "weekly"
+ *   times_per_week: number    // 1-7, required when frequency is "weekly"
  * }
- * Example: { std_id: 101, habit_ids: [1, 3, 5], log_date: "2026-01-06" }
- * 
+ *
  * Response:
- * - 200: { message: "Habit log saved" }
- * - 400: { message: "std_id, habit_ids[], and log_date are required" }
- * - 500: { message: "error message" }
- * 
- * Database: 
- * - First DELETES existing logs for that date (allows resubmission/updates)
- * - Then INSERTS new logs with completed=1
- * 
- * Approach: Delete-and-insert pattern ensures clean updates
+ * - 201: { message: "Habit created", habit_id }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }   (only students have habits)
  */
-app.post("/habit-log", async (req, res) => {
-  // Extract data from request body
-  const { std_id, habit_ids, log_date } = req.body;
+const createHabitSchema = {
+  body: { ...HABIT_FIELDS, habit_name: { ...HABIT_FIELDS.habit_name, required: true } }
+};
+
+app.post("/habits", requireRole("student"), validate(createHabitSchema), async (req, res) => {
+  try {
+    const { habit_name, category } = req.body;
+    const frequency = req.body.frequency || "daily";
+    const times_per_week = frequency === "weekly" ? req.body.times_per_week : null;
+
+    const scheduleError = checkSchedule(frequency, times_per_week);
+    if (scheduleError) {
+      return sendError(res, 400, "Invalid request", { fields: scheduleError });
+    }
 
-  // Validation: Ensure all required fields are present and valid
-  // habit_ids must be an array with at least one element
-  if (!std_id || !Array.isArray(habit_ids) || !log_date) {
-    return res.status(400).json({ message: "std_id, habit_ids[], and log_date are required" });
+    const [result] = await pool.execute(
+      `INSERT INTO Habit (std_id, habit_name, category, frequency, times_per_week)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.user.std_id, habit_name, category ?? null, frequency, times_per_week]
+    );
+    res.status(201).json({ message: "Habit created", habit_id: result.insertId });
+  } catch (err) {
+    serverError(res, err);
   }
+});
 
+/**
+ * POST /habits/templates/:habit_id/adopt
+ * Purpose: Copy a catalog habit into the student's own list
+ *
+ * Response:
+ * - 201: { message: "Habit added", habit_id }   (the id of the student's new copy)
+ * - 404: { error: { code: "NOT_FOUND", message: "Template not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "You already have this habit" }, habit_id }
+ */
+app.post("/habits/templates/:habit_id/adopt", requireRole("student"), validate({ params: { habit_id: ID } }), async (req, res) => {
   try {
-    // STEP 1: Delete any existing habit logs for this student on this date
-    // This allows users to resubmit/update their habits for the same day
-    // Without this, we'd get duplicate entries or need complex update logic
-    await pool.execute("DELETE FROM Habit_Log WHERE std_id = ? AND log_date = ?", [std_id, log_date]);
+    const { habit_id } = req.params;
 
-    // STEP 2: Insert new habit logs for each checked habit
-    // Prepare the INSERT statement
-    const insertSql = `
-      INSERT INTO Habit_Log (std_id, habit_id, log_date, completed)
-      VALUES (?, ?, ?, 1)
-    `;
+    const [[template]] = await pool.execute(
+      "SELECT habit_name, category, frequency, times_per_week FROM Habit WHERE habit_id = ? AND std_id IS NULL",
+      [habit_id]
+    );
+    if (!template) {
+      return sendError(res, 404, "Template not found");
+    }
 
-    // Loop through each habit ID and insert a record
-    // completed is hardcoded to 1 (true) since we only store completed habits
-    for (const hid of habit_ids) {
-      await pool.execute(insertSql, [std_id, hid, log_date]);
+    const [[existing]] = await pool.execute(
+      "SELECT habit_id FROM Habit WHERE template_id = ? AND std_id = ? AND archived_at IS NULL",
+      [habit_id, req.user.std_id]
+    );
+    if (existing) {
+      return sendError(res, 409, "You already have this habit", { habit_id: existing.habit_id });
     }
 
-    // Send success response
-    res.json({ message: "Habit log saved" });
+    const [result] = await pool.execute(
+      `INSERT INTO Habit (std_id, template_id, habit_name, category, frequency, times_per_week)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.user.std_id, habit_id, template.habit_name, template.category, template.frequency, template.times_per_week]
+    );
+    res.status(201).json({ message: "Habit added", habit_id: result.insertId });
   } catch (err) {
-    // Handle any database errors
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
-// ==================== APPOINTMENTS ENDPOINTS ====================
-// These endpoints handle appointment booking and management
-// Students can book appointments with professionals (counselors, doctors, etc.)
-// Professionals can view and update appointment status
-
 /**
- * POST /appointments
- * Purpose: Create a new appointment booking
- * 
- * Request Body (JSON):
- * {
- *   std_id: number,              // Student ID (required)
- *   appointment_type: string,    // Type: "Counselor", "Doctor", "Nutritionist" (required)
- *   professional_name: string,   // Name of the professional (required)
- *   appointment_date: string,    // Date in YYYY-MM-DD format (required)
- *   appointment_time: string,    // Time in HH:MM format (required)
- *   reason: string              // Reason for appointment (optional)
- * }
- * 
+ * PUT /habits/:habit_id
+ * Purpose: Rename, recategorise or reschedule one of the student's habits
+ *
+ * Request Body (JSON): same fields as POST /habits, all optional (missing fields keep their value)
+ * Note: a new schedule also applies to past statistics of the habit
+ *
  * Response:
- * - 201: { message: "Appointment created" }
- * - 400: { message: "Missing required appointment fields" }
- * - 500: { message: "error message" }
- * 
- * Database:
- * - Inserts into Appointment table with status='Pending'
- * - Creates a notification for the student
- * 
- * Side Effect: Automatically sends notification to student
+ * - 200: { message: "Habit updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Habit not found" } }   (also when it belongs to someone else)
  */
-app.post("/appointments", async (req, res) => {
+app.put("/habits/:habit_id", requireRole("student"), validate({ params: { habit_id: ID }, body: HABIT_FIELDS }), async (req, res) => {
   try {
-    // Extract appointment details from request body
-    const { std_id, appointment_type, professional_name, appointment_date, appointment_time, reason } = req.body;
+    const habit = await findOwnHabit(req.params.habit_id, req.user);
+    if (!habit) {
+      return sendError(res, 404, "Habit not found");
+    }
 
-    // Validation: Ensure all required fields are present
-    if (!std_id || !appointment_type || !professional_name || !appointment_date || !appointment_time) {
-      return res.status(400).json({ message: "Missing required appointment fields" });
+    const frequency = req.body.frequency ?? habit.frequency;
+    const times_per_week = frequency === "weekly" ? req.body.times_per_week ?? habit.times_per_week : null;
+    const scheduleError = checkSchedule(frequency, times_per_week);
+    if (scheduleError) {
+      return sendError(res, 400, "Invalid request", { fields: scheduleError });
     }
 
-    // Insert the appointment into the database
-    // Status is automatically set to 'Pending' for new appointments
-    // Professionals will later approve/cancel/complete it
     await pool.execute(
-      `INSERT INTO Appointment
-       (std_id, appointment_type, professional_name, appointment_date, appointment_time, reason, status)
-       VALUES (?, ?, ?, ?, ?, ?, 'Pending')`,
-      [std_id, appointment_type, professional_name, appointment_date, appointment_time, reason ?? null]
+      `UPDATE Habit SET habit_name = ?, category = ?, frequency = ?, times_per_week = ?
+       WHERE habit_id = ?`,
+      [req.body.habit_name ?? habit.habit_name, req.body.category ?? habit.category,
+        frequency, times_per_week, habit.habit_id]
     );
+    res.json({ message: "Habit updated" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
 
-    // Create a notification to inform the student about the booking
-    // This notification will appear in the student's notification list
-    await pool.execute(
-      `INSERT INTO Notification
-       (std_id, msg, is_read, appointment_reminder, mood_reminder, habit_reminder)
-       VALUES (?, ?, 0, 1, 0, 0)`,
-      [
-        std_id,  // Who gets the notification
-        `Appointment booked with ${professional_name} on ${appointment_date} at ${appointment_time}`  // Message text
-      ]
+/**
+ * PUT /habits/:habit_id/archive and PUT /habits/:habit_id/unarchive
+ * Purpose: Hide a habit from the tracker (or bring it back) without deleting its history
+ *
+ * Response:
+ * - 200: { message: "Habit archived" } / { message: "Habit restored" }
+ * - 404: { error: { code: "NOT_FOUND", message: "Habit not found" } }
+ */
+app.put("/habits/:habit_id/archive", requireRole("student"), validate({ params: { habit_id: ID } }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE Habit SET archived_at = COALESCE(archived_at, NOW()) WHERE habit_id = ? AND std_id = ?",
+      [req.params.habit_id, req.user.std_id]
     );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Habit not found");
+    }
+    res.json({ message: "Habit archived" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
 
-    // Send success response with 201 status (Created)
-    res.status(201).json({ message: "Appointment created" });
+app.put("/habits/:habit_id/unarchive", requireRole("student"), validate({ params: { habit_id: ID } }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE Habit SET archived_at = NULL WHERE habit_id = ? AND std_id = ?",
+      [req.params.habit_id, req.user.std_id]
+    );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Habit not found");
+    }
+    res.json({ message: "Habit restored" });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
 /**
- * GET /appointments/:std_id
- * Purpose: Retrieve all appointments for a specific student
+ * GET /habit-log/:std_id?log_date=YYYY-MM-DD
+ * Purpose: Retrieve which habits a student completed on a specific date
  * 
  * URL Parameter:
- * - std_id: Student ID (e.g., /appointments/101)
+ * - std_id: Student ID (e.g., /habit-log/101)
+ * 
+ * Query Parameter (optional):
+ * - log_date: Date in YYYY-MM-DD format (defaults to today if not provided)
+ *   Example: /habit-log/101?log_date=2026-01-06
  * 
  * Response:
- * - 200: Array of appointment objects, ordered by date (newest first)
+ * - 200: Array of completed habit logs
  *   Example: [
- *     {
- *       appoint_id: 1,
- *       std_id: 101,
- *       appointment_type: "Counselor",
- *       professional_name: "Dr. Rahman",
- *       appointment_date: "2026-01-10",
- *       appointment_time: "14:00:00",
- *       status: "Pending",
- *       reason: "Stress management",
- *       session_note: null
- *     },
+ *     { habit_id: 1, completed: 1 },
+ *     { habit_id: 3, completed: 1 },
  *     ...
  *   ]
- * - 500: { message: "error message" }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
  * 
- * Used by: Student dashboard to display upcoming appointments
+ * Database: Selects from Habit_Log table
+ * Used by: Frontend to pre-check completed habits when viewing a specific date
  */
-app.get("/appointments/:std_id", async (req, res) => {
+const habitLogQuerySchema = {
+  params: { std_id: ID },
+  query: { log_date: { type: "date" } }
+};
+
+app.get("/habit-log/:std_id", requireStudentAccess("professional"), validate(habitLogQuerySchema), async (req, res) => {
   try {
     // Extract student ID from URL parameter
     const { std_id } = req.params;
 
-    // Query all appointments for this student
-    // ORDER BY ensures newest appointments appear first
+    // Get log_date from query string, or default to today's date
+    // req.query contains URL query parameters (e.g., ?log_date=2026-01-06)
+    // new Date().toISOString().split("T")[0] formats date as YYYY-MM-DD
+    const log_date = req.query.log_date || new Date().toISOString().split("T")[0];
+
+    // Query habit logs for this student on this specific date
+    // Only returns habits that were marked as completed
     const [rows] = await pool.execute(
-      `SELECT * FROM Appointment
-       WHERE std_id = ?
-       ORDER BY appointment_date DESC, appointment_time DESC`,
-      [std_id]
+      `SELECT habit_id, completed
+       FROM Habit_Log
+       WHERE std_id = ? AND log_date = ?`,
+      [std_id, log_date]  // Replace ? placeholders with actual values
     );
 
-    // Return the list of appointments
+    // Return the list of completed habits
     res.json(rows);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
-const PORT = 3000;
-app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
-//professional dashboard
-app.get("/professional/today", async (req, res) => {
+/**
+ * periodBounds(period, date)
+ * Purpose: First and last day of the calendar week (Monday-Sunday) or month containing date
+ */
+function periodBounds(period, date) {
+  if (period === "month") {
+    const from = `${date.slice(0, 7)}-01`;
+    return { from, to: addDays(addDays(from, 32).slice(0, 7) + "-01", -1) };
+  }
+  const from = weekStart(date);
+  return { from, to: addDays(from, 6) };
+}
+
+/**
+ * getCompletionDates(std_id, upTo)
+ * Purpose: Every day each of the student's habits was completed, up to a date
+ * Returns: Map habit_id -> sorted ["YYYY-MM-DD", ...] (whole history, needed for streaks)
+ */
+async function getCompletionDates(std_id, upTo) {
+  const [logs] = await pool.execute(
+    `SELECT DISTINCT habit_id, log_date
+     FROM Habit_Log
+     WHERE std_id = ? AND completed = 1 AND log_date <= ?
+     ORDER BY habit_id, log_date`,
+    [std_id, upTo]
+  );
+
+  const datesByHabit = new Map();
+  logs.forEach(({ habit_id, log_date }) => {
+    if (!datesByHabit.has(habit_id)) datesByHabit.set(habit_id, []);
+    datesByHabit.get(habit_id).push(log_date);
+  });
+  return datesByHabit;
+}
+
+/**
+ * GET /habit-log/:std_id/summary?period=week|month&date=YYYY-MM-DD
+ * Purpose: Habit completion for one calendar week or month, plus streaks
+ *
+ * Query Parameters (optional):
+ * - period: "week" (Monday-Sunday, default) or "month"
+ * - date: any day inside the wanted period (default: today)
+ *
+ * Every number respects each habit's schedule (see HABIT SCHEDULES in analytics.js):
+ * "expected" only counts days up to today on which the habit was due (weekly habits
+ * are prorated), and only while the habit existed and wasn't archived.
+ * Streaks look at the student's whole history, in days (or weeks for weekly habits).
+ *
+ * Response:
+ * - 200: {
+ *     std_id, period, from: "2026-01-05", to: "2026-01-11", days_elapsed: 3, habits_count: 5,
+ *     completed: 9, expected: 14, completion_rate: 64.3,
+ *     days: [{ date, completed: 3, due: 4, completion_rate: 75 }, ...],   // every day of the period;
+ *                                                                         // future days have nulls
+ *     habits: [{ habit_id, habit_name, category, frequency, times_per_week, archived,
+ *                completed, expected, completion_rate,
+ *                current_streak, longest_streak, streak_unit: "day" | "week", last_completed }, ...]
+ *   }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { period: "..." } } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and professionals
+ * Used by: student dashboard habit cards and the habit tracker heatmap
+ */
+const habitSummarySchema = {
+  params: { std_id: ID },
+  query: { period: { type: "enum", values: ["week", "month"] }, date: { type: "date" } }
+};
+
+app.get("/habit-log/:std_id/summary", requireStudentAccess("professional"), validate(habitSummarySchema), async (req, res) => {
   try {
+    const { std_id } = req.params;
+    const period = req.query.period || "week";
     const today = new Date().toISOString().split("T")[0];
+    const { from, to } = periodBounds(period, req.query.date || today);
 
-    const [rows] = await pool.execute(
-      `SELECT * FROM Appointment
-       WHERE appointment_date = ?
-       ORDER BY appointment_time`,
-      [today]
-    );
+    const lastDay = to < today ? to : today;
+    const daysElapsed = lastDay < from ? 0 : daysBetween(from, lastDay) + 1;
+    const rate = (done, possible) => (possible > 0 ? round(Math.min(done / possible, 1) * 100, 1) : null);
 
-    res.json(rows);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+    // Habits that existed (and weren't archived) at some point in the period
+    const allHabits = await getStudentHabits(std_id, { includeArchived: true });
+    const habitRows = allHabits.filter(h => activeDays(h, from, to));
+    const datesByHabit = await getCompletionDates(std_id, today);
 
-//admin dashboard 
+    const habits = habitRows.map(h => {
+      const dates = datesByHabit.get(h.habit_id) || [];
+      const progress = daysElapsed ? habitProgress(h, dates, from, lastDay) : { completed: 0, expected: 0, completion_rate: null };
+      const streak = habitStreaks(h, dates, today);
+      return {
+        habit_id: h.habit_id,
+        habit_name: h.habit_name,
+        category: h.category,
+        frequency: h.frequency,
+        times_per_week: h.times_per_week,
+        archived: !!h.archived_date,
+        ...progress,
+        current_streak: streak.current,
+        longest_streak: streak.longest,
+        streak_unit: streak.unit,
+        last_completed: streak.last_date
+      };
+    });
 
-//admin dashboard 
-app.get("/admin/stats", async (req, res) => {
-  try {
-    const [[students]] = await pool.query("SELECT COUNT(*) AS count FROM Student");
-    const [[professionals]] = await pool.query("SELECT COUNT(*) AS count FROM User WHERE role = 'professional'");
-    const [[appointments]] = await pool.query("SELECT COUNT(*) AS count FROM Appointment");
+    // Per day: habits that were due that day, plus any other habit done that day
+    // (a weekly habit done on Tuesday counts for Tuesday)
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (date > today) {
+        days.push({ date, completed: null, due: null, completion_rate: null });
+        continue;
+      }
+      let due = 0;
+      let completed = 0;
+      habitRows.forEach(h => {
+        if (!activeDays(h, date, date)) return;
+        const done = (datesByHabit.get(h.habit_id) || []).includes(date);
+        if (done) completed += 1;
+        if (done || isDueOn(h, date)) due += 1;
+      });
+      days.push({ date, completed, due, completion_rate: rate(completed, due) });
+    }
+
+    const completed = habits.reduce((sum, h) => sum + h.completed, 0);
+    const expected = round(habits.reduce((sum, h) => sum + h.expected, 0));
 
     res.json({
-      students: students.count,
-      professionals: professionals.count,
-      appointments: appointments.count
+      std_id: Number(std_id),
+      period,
+      from,
+      to,
+      days_elapsed: daysElapsed,
+      habits_count: habitRows.length,
+      completed,
+      expected,
+      completion_rate: rate(completed, expected),
+      days,
+      habits
     });
   } catch (err) {
-    console.error("Error fetching admin stats:", err);
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
-app.get("/notifications/:std_id", async (req, res) => {
+
+/**
+ * checkHabitDate(log_date)
+ * Purpose: Habits can be logged for today or backfilled for past days, never ahead
+ * Returns: validation fields, or null when the date is fine
+ */
+function checkHabitDate(log_date) {
+  const today = new Date().toISOString().split("T")[0];
+  return log_date > today ? { log_date: "can't be in the future" } : null;
+}
+
+/**
+ * POST /habit-log
+ * Purpose: Save which habits a student completed on a specific date (today or a past day)
+ * 
+ * Request Body (JSON):
+ * {
+ *   std_id: number,         // Student ID (required)
+ *   habit_ids: number[],    // Array of completed habit IDs (required, may be empty)
+ *   log_date: string        // Date in YYYY-MM-DD format (required, not in the future)
+ * }
+ * Example: { std_id: 101, habit_ids: [6, 8, 10], log_date: "2026-01-06" }
+ * 
+ * Response:
+ * - 200: { message: "Habit log saved", log_date, habit_ids: [6, 8, 10] }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { habit_ids: "..." } } }
+ *        (also when a habit_id isn't one of the student's active habits, or log_date is in the future)
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ * 
+ * Database (one transaction, so a failure halfway changes nothing):
+ * - DELETES the day's logs of active habits that are no longer ticked
+ * - INSERTS the ticked habits in one statement (already logged ones are left as they are,
+ *   thanks to the UNIQUE (std_id, habit_id, log_date) key)
+ * Logs of archived habits aren't on the form, so they are left alone.
+ */
+const habitLogSchema = {
+  body: {
+    std_id: ID,
+    habit_ids: { type: "array", required: true, items: { type: "int", min: 1 }, maxItems: 100 },
+    log_date: DATE
+  }
+};
+
+app.post("/habit-log", requireStudentAccess(), validate(habitLogSchema), async (req, res) => {
+  // Extract data from request body
+  const { std_id, habit_ids, log_date } = req.body;
+
+  const dateError = checkHabitDate(log_date);
+  if (dateError) {
+    return sendError(res, 400, "Invalid request", { fields: dateError });
+  }
+
+  const conn = await pool.getConnection();
   try {
-    const { std_id } = req.params;
-    const [rows] = await pool.execute(
-      `SELECT * FROM Notification
-       WHERE std_id = ?
-       ORDER BY n_id DESC`,
-      [std_id]
+    await conn.beginTransaction();
+
+    // Every habit_id must be one of the student's active habits,
+    // otherwise a foreign key error would surface as a 500
+    const uniqueIds = [...new Set(habit_ids.map(Number))];
+    if (uniqueIds.length > 0) {
+      const [known] = await conn.query(
+        "SELECT habit_id FROM Habit WHERE habit_id IN (?) AND std_id = ? AND archived_at IS NULL",
+        [uniqueIds, std_id]
+      );
+      const knownIds = new Set(known.map(h => h.habit_id));
+      const unknown = uniqueIds.filter(id => !knownIds.has(id));
+      if (unknown.length > 0) {
+        await conn.rollback();
+        return sendError(res, 400, "Invalid request", {
+          fields: { habit_ids: `unknown or archived habit_id(s): ${unknown.join(", ")}` }
+        });
+      }
+    }
+
+    // STEP 1: Remove the day's logs of active habits that are no longer ticked
+    // (-1 keeps NOT IN valid when nothing is ticked; it never matches a habit_id)
+    await conn.query(
+      `DELETE FROM Habit_Log
+       WHERE std_id = ? AND log_date = ? AND habit_id NOT IN (?)
+         AND habit_id IN (SELECT habit_id FROM Habit WHERE std_id = ? AND archived_at IS NULL)`,
+      [std_id, log_date, uniqueIds.length > 0 ? uniqueIds : [-1], std_id]
     );
-    res.json(rows);
+
+    // STEP 2: Insert all ticked habits in one statement
+    // completed is always 1 since we only store completed habits
+    if (uniqueIds.length > 0) {
+      await conn.query(
+        `INSERT INTO Habit_Log (std_id, habit_id, log_date, completed)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE completed = 1`,
+        [uniqueIds.map(hid => [std_id, hid, log_date, 1])]
+      );
+    }
+
+    await conn.commit();
+    res.json({ message: "Habit log saved", log_date, habit_ids: uniqueIds });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
   }
 });
-app.put("/notifications/read/:n_id", async (req, res) => {
+
+/**
+ * PUT /habit-log/:std_id/:habit_id/:date
+ * Purpose: Tick or untick one habit for one day (today or a past day)
+ * The tracker calls this as soon as a checkbox changes, so nothing waits for a Save button.
+ *
+ * Request Body (JSON):
+ * { completed: boolean }   // true = done that day, false = remove the tick
+ *
+ * Response:
+ * - 200: { habit_id, log_date, completed: true|false }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { date: "..." } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Habit not found" } }   (not one of the student's habits)
+ * - 409: { error: { code: "CONFLICT", message: "This habit is archived" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Ticking twice (or unticking something that wasn't ticked) is harmless,
+ * so a retried request gives the same result.
+ */
+const habitToggleSchema = {
+  params: { std_id: ID, habit_id: ID, date: DATE },
+  body: { completed: { type: "boolean", required: true } }
+};
+
+app.put("/habit-log/:std_id/:habit_id/:date", requireStudentAccess(), validate(habitToggleSchema), async (req, res) => {
   try {
-    const { n_id } = req.params;
-    await pool.execute(
-      `UPDATE Notification SET is_read = 1 WHERE n_id = ?`,
-      [n_id]
+    const { std_id, habit_id, date } = req.params;
+    const completed = [true, 1, "true", "1"].includes(req.body.completed);
+
+    const dateError = checkHabitDate(date);
+    if (dateError) {
+      return sendError(res, 400, "Invalid request", { fields: { date: dateError.log_date } });
+    }
+
+    const [[habit]] = await pool.execute(
+      "SELECT archived_at FROM Habit WHERE habit_id = ? AND std_id = ?",
+      [habit_id, std_id]
     );
-    res.json({ message: "Notification marked as read" });
+    if (!habit) {
+      return sendError(res, 404, "Habit not found");
+    }
+    if (habit.archived_at) {
+      return sendError(res, 409, "This habit is archived");
+    }
+
+    // Each branch is a single statement, so it is atomic on its own
+    if (completed) {
+      await pool.execute(
+        `INSERT INTO Habit_Log (std_id, habit_id, log_date, completed)
+         VALUES (?, ?, ?, 1)
+         ON DUPLICATE KEY UPDATE completed = 1`,
+        [std_id, habit_id, date]
+      );
+    } else {
+      await pool.execute(
+        "DELETE FROM Habit_Log WHERE std_id = ? AND habit_id = ? AND log_date = ?",
+        [std_id, habit_id, date]
+      );
+    }
+
+    res.json({ habit_id: Number(habit_id), log_date: date, completed });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
-app.put("/appointments/status/:id", async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+// ==================== ANALYTICS ENDPOINTS ====================
+// Trends computed from a student's own logs for the analytics page
+// (mood trends, habit completion rates, stress breakdown).
+// Every endpoint takes the same ?from=&to= date range (default: the last 30 days).
+
+// Longest range one request may cover
+const ANALYTICS_MAX_DAYS = 366;
+
+// Query parameters shared by the analytics endpoints
+const ANALYTICS_RANGE = {
+  from: { type: "date" },
+  to: { type: "date" }
+};
 
-  if (!["Approved", "Cancelled", "Completed"].includes(status)) {
-    return res.status(400).json({ message: "Invalid status" });
+/**
+ * resolveRange(query)
+ * Purpose: Fill in the default ?from=&to= and check the range
+ * Returns: { from, to } or { fields } describing what is wrong
+ */
+function resolveRange(query) {
+  const to = query.to || new Date().toISOString().split("T")[0];
+  const from = query.from || addDays(to, -29);
+
+  if (from > to) return { fields: { to: "must not be before from" } };
+  if (daysBetween(from, to) >= ANALYTICS_MAX_DAYS) {
+    return { fields: { from: `range must be at most ${ANALYTICS_MAX_DAYS} days` } };
   }
+  return { from, to };
+}
 
-  await pool.execute(
-    "UPDATE Appointment SET status = ? WHERE appoint_id = ?",
-    [status, id]
-  );
+// How each ?granularity= groups log_date (week = starts on Monday)
+const PERIOD_START_SQL = {
+  day: "log_date",
+  week: "DATE_SUB(log_date, INTERVAL WEEKDAY(log_date) DAY)",
+  month: "DATE_FORMAT(log_date, '%Y-%m-01')"
+};
+
+// AVG() comes back from MySQL as a DECIMAL string, round() turns it into a number
+const MOOD_AVERAGES_SQL = `
+  COUNT(*) AS entries,
+  AVG(mood_rating) AS avg_mood,
+  AVG(stress_level) AS avg_stress,
+  AVG(energy_level) AS avg_energy,
+  AVG(sleep_quantity) AS avg_sleep`;
+
+function roundAverages(row) {
+  return {
+    ...row,
+    entries: Number(row.entries),
+    avg_mood: round(row.avg_mood),
+    avg_stress: round(row.avg_stress),
+    avg_energy: round(row.avg_energy),
+    avg_sleep: round(row.avg_sleep)
+  };
+}
+
+/**
+ * GET /analytics/mood/:std_id?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+ * Purpose: Mood trends for the analytics page
+ *
+ * Query Parameters (all optional):
+ * - from / to: date range, inclusive (default: the 30 days ending today, at most 366 days)
+ * - granularity: how series[] is grouped (default: day)
+ *
+ * Response:
+ * - 200: {
+ *     std_id, from, to, granularity,
+ *     summary: { entries, avg_mood, avg_stress, avg_energy, avg_sleep },
+ *     series: [{ period_start: "2026-01-05", entries, avg_mood, avg_stress, avg_energy, avg_sleep }, ...],
+ *     rolling_7day: [{ date, mood_rating, stress_level, energy_level, sleep_quantity, days_logged }, ...],
+ *     emotions: [{ emotional_status: "Calm", count: 4, percent: 40 }, ...],
+ *     correlations: {
+ *       sleep_vs_next_day_mood: { r: 0.62, n: 12 },   // r is null with fewer than 3 pairs
+ *       stress_vs_mood: { r: -0.4, n: 20 },
+ *       energy_vs_mood: { r: 0.55, n: 20 }
+ *     }
+ *   }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { to: "must not be before from" } } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and professionals
+ * Used by: analytics.html (mood trend, emotion and correlation charts)
+ */
+const moodAnalyticsSchema = {
+  params: { std_id: ID },
+  query: { ...ANALYTICS_RANGE, granularity: { type: "enum", values: Object.keys(PERIOD_START_SQL) } }
+};
+
+app.get("/analytics/mood/:std_id", requireStudentAccess("professional"), validate(moodAnalyticsSchema), async (req, res) => {
+  try {
+    const { std_id } = req.params;
+    const granularity = req.query.granularity || "day";
+
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
+    }
+    const { from, to } = range;
+
+    // Averages for the whole range and per period
+    const [[summary]] = await pool.execute(
+      `SELECT ${MOOD_AVERAGES_SQL}
+       FROM Mood_log
+       WHERE std_id = ? AND log_date BETWEEN ? AND ?`,
+      [std_id, from, to]
+    );
+    const [series] = await pool.execute(
+      `SELECT ${PERIOD_START_SQL[granularity]} AS period_start, ${MOOD_AVERAGES_SQL}
+       FROM Mood_log
+       WHERE std_id = ? AND log_date BETWEEN ? AND ?
+       GROUP BY period_start
+       ORDER BY period_start`,
+      [std_id, from, to]
+    );
+
+    // Emotion tags, most common first
+    const [emotions] = await pool.execute(
+      `SELECT emotional_status, COUNT(*) AS count
+       FROM Mood_log
+       WHERE std_id = ? AND log_date BETWEEN ? AND ?
+         AND emotional_status IS NOT NULL AND emotional_status <> ''
+       GROUP BY emotional_status
+       ORDER BY count DESC, emotional_status`,
+      [std_id, from, to]
+    );
+    const tagged = emotions.reduce((sum, e) => sum + Number(e.count), 0);
 
-  res.json({ message: "Status updated" });
+    // Daily rows (one per day), starting 6 days early so the first
+    // rolling window inside the range is complete
+    const [daily] = await pool.execute(
+      `SELECT log_date, mood_rating, stress_level, energy_level, sleep_quantity
+       FROM Mood_log
+       WHERE std_id = ? AND log_date BETWEEN ? AND ?
+       ORDER BY log_date`,
+      [std_id, addDays(from, -6), to]
+    );
+    const inRange = daily.filter(d => d.log_date >= from);
+
+    res.json({
+      std_id: Number(std_id),
+      from,
+      to,
+      granularity,
+      summary: roundAverages(summary),
+      series: series.map(roundAverages),
+      rolling_7day: rollingMeans(daily, ["mood_rating", "stress_level", "energy_level", "sleep_quantity"])
+        .filter(point => point.date >= from),
+      emotions: emotions.map(e => ({
+        emotional_status: e.emotional_status,
+        count: Number(e.count),
+        percent: round((Number(e.count) / tagged) * 100, 1)
+      })),
+      correlations: {
+        sleep_vs_next_day_mood: pearson(pairFields(inRange, "sleep_quantity", "mood_rating", 1)),
+        stress_vs_mood: pearson(pairFields(inRange, "stress_level", "mood_rating")),
+        energy_vs_mood: pearson(pairFields(inRange, "energy_level", "mood_rating"))
+      }
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
 });
-// UPDATE appointment status (approve / cancel / complete)
-app.put("/appointments/status/:appoint_id", async (req, res) => {
+
+// Stress_level values in Mood_log and how the mood form labels them
+const STRESS_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
+
+/**
+ * GET /analytics/habits/:std_id?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Purpose: How well each of the student's habits kept to its schedule in the range,
+ * with per-category rollups
+ *
+ * completion_rate = completed / expected, in percent (capped at 100).
+ * "expected" follows each habit's frequency and only counts the days the habit
+ * existed and wasn't archived (see habitProgress in analytics.js).
+ * Days after today are not counted, so a range ending in the future isn't diluted.
+ *
+ * Response:
+ * - 200: {
+ *     std_id, from, to, days: 30,
+ *     overall: { completed: 41, expected: 80, completion_rate: 51.3 },
+ *     habits: [{ habit_id, habit_name, category, frequency, times_per_week, archived,
+ *                completed: 12, expected: 22, completion_rate: 54.5 }, ...],
+ *     categories: [{ category: "Health", habits: 3, completed: 30, expected: 50, completion_rate: 60 }, ...]
+ *   }
+ *   (habits only lists habits that were active at some point in the range;
+ *    completion_rate is null when nothing was expected)
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and professionals
+ * Used by: analytics.html (habit completion charts)
+ */
+app.get("/analytics/habits/:std_id", requireStudentAccess("professional"), validate({ params: { std_id: ID }, query: ANALYTICS_RANGE }), async (req, res) => {
   try {
-    const { appoint_id } = req.params;
-    const { status } = req.body;
+    const { std_id } = req.params;
+
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
+    }
+    const { from, to } = range;
+
+    const today = new Date().toISOString().split("T")[0];
+    const lastDay = to < today ? to : today;
+    const days = lastDay < from ? 0 : daysBetween(from, lastDay) + 1;
+    const rate = (done, possible) => (possible > 0 ? round(Math.min(done / possible, 1) * 100, 1) : null);
+
+    const allHabits = await getStudentHabits(std_id, { includeArchived: true });
+    const datesByHabit = await getCompletionDates(std_id, lastDay);
+
+    const habits = allHabits
+      .filter(h => days > 0 && activeDays(h, from, lastDay))
+      .map(h => ({
+        habit_id: h.habit_id,
+        habit_name: h.habit_name,
+        category: h.category,
+        frequency: h.frequency,
+        times_per_week: h.times_per_week,
+        archived: !!h.archived_date,
+        ...habitProgress(h, datesByHabit.get(h.habit_id) || [], from, lastDay)
+      }));
+
+    // Roll habits up into their categories (in first-seen order)
+    const byCategory = new Map();
+    habits.forEach(h => {
+      const name = h.category || "Uncategorized";
+      const group = byCategory.get(name) || { category: name, habits: 0, completed: 0, expected: 0 };
+      group.habits += 1;
+      group.completed += h.completed;
+      group.expected += h.expected;
+      byCategory.set(name, group);
+    });
+    const categories = [...byCategory.values()].map(c => ({
+      ...c,
+      expected: round(c.expected),
+      completion_rate: rate(c.completed, c.expected)
+    }));
+
+    const completed = habits.reduce((sum, h) => sum + h.completed, 0);
+    const expected = round(habits.reduce((sum, h) => sum + h.expected, 0));
+
+    res.json({
+      std_id: Number(std_id),
+      from,
+      to,
+      days,
+      overall: { completed, expected, completion_rate: rate(completed, expected) },
+      habits,
+      categories
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
 
-    const allowedStatuses = ["Approved", "Cancelled", "Completed"];
+/**
+ * GET /analytics/stress/:std_id?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Purpose: How many mood logs in the range had Low, Medium and High stress
+ *
+ * Response:
+ * - 200: {
+ *     std_id, from, to, entries: 9,
+ *     levels: [{ stress_level: 1, label: "Low", count: 4, percent: 44.4 }, ...]   // always all three levels
+ *   }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and professionals
+ * Used by: analytics.html (stress level breakdown)
+ */
+app.get("/analytics/stress/:std_id", requireStudentAccess("professional"), validate({ params: { std_id: ID }, query: ANALYTICS_RANGE }), async (req, res) => {
+  try {
+    const { std_id } = req.params;
 
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ message: "Invalid status value" });
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
     }
+    const { from, to } = range;
 
-    await pool.execute(
-      "UPDATE Appointment SET status = ? WHERE appoint_id = ?",
-      [status, appoint_id]
+    const [rows] = await pool.execute(
+      `SELECT stress_level, COUNT(*) AS count
+       FROM Mood_log
+       WHERE std_id = ? AND log_date BETWEEN ? AND ? AND stress_level IS NOT NULL
+       GROUP BY stress_level`,
+      [std_id, from, to]
     );
 
-    res.json({ message: "Appointment status updated" });
+    const counts = new Map(rows.map(r => [Number(r.stress_level), Number(r.count)]));
+    const entries = rows.reduce((sum, r) => sum + Number(r.count), 0);
+
+    res.json({
+      std_id: Number(std_id),
+      from,
+      to,
+      entries,
+      levels: Object.entries(STRESS_LABELS).map(([level, label]) => {
+        const count = counts.get(Number(level)) || 0;
+        return {
+          stress_level: Number(level),
+          label,
+          count,
+          percent: entries > 0 ? round((count / entries) * 100, 1) : 0
+        };
+      })
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    serverError(res, err);
   }
 });
 
+// ==================== DATA EXPORT ====================
+// Students can download their own history (mood logs, habit check-ins, appointments),
+// e.g. to take it to an off-campus therapist. Building the files lives in export.js.
+
+/**
+ * GET /export/:std_id?format=csv|json|pdf&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Purpose: Download the student's history as a file
+ *
+ * Query Parameters (all optional):
+ * - format: json (default), csv or pdf
+ * - from: first day to include (default: from the first entry)
+ * - to: last day to include (default: today)
+ *
+ * Response:
+ * - 200: a file download named wellness-history-<std_id>-<from>-<to>.<format>
+ *   - json: { student: { std_id, name, department, semester }, from, to, generated_at,
+ *             mood_logs: [...], habit_logs: [{ log_date, habit_name, category, completed }], appointments: [...] }
+ *   - csv:  "Mood log", "Habit log" and "Appointments" sections, each with a header row
+ *   - pdf:  summary, mood chart and tables
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { to: "must not be before from" } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Student not found" } }
+ *
+ * Access: the student themself
+ * Used by: analytics.html (Download buttons)
+ */
+const exportSchema = {
+  params: { std_id: ID },
+  query: { ...ANALYTICS_RANGE, format: { type: "enum", values: EXPORT_FORMATS } }
+};
+
+app.get("/export/:std_id", requireStudentAccess(), validate(exportSchema), async (req, res) => {
+  try {
+    const { std_id } = req.params;
+    const format = req.query.format || "json";
+    const from = req.query.from || null;
+    const to = req.query.to || new Date().toISOString().split("T")[0];
+    if (from && from > to) {
+      return sendError(res, 400, "Invalid request", { fields: { to: "must not be before from" } });
+    }
+
+    const data = await getExportData(std_id, from, to);
+    if (!data) {
+      return sendError(res, 404, "Student not found");
+    }
+
+    res.attachment(`wellness-history-${std_id}-${from || "start"}-${to}.${format}`);
+    if (format === "csv") {
+      // The byte order mark makes Excel read the file as UTF-8
+      res.type("text/csv; charset=utf-8").send(`\uFEFF${toCsv(data)}`);
+    } else if (format === "pdf") {
+      writePdf(data, res);
+    } else {
+      res.json(data);
+    }
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== RECOMMENDATIONS ====================
+// Ranked, explainable suggestions built from the student's recent mood logs,
+// habit completion and upcoming appointments (rules live in recommendations.js)
+
+/**
+ * GET /recommendations/:std_id
+ * Purpose: The student's current suggestions, most urgent first
+ *
+ * Response:
+ * - 200: [{
+ *     key: "habit_gap:6",              // send back with POST .../feedback
+ *     category: "habit",               // stress / sleep / mood / habit / appointment / logging
+ *     score: 65,
+ *     title: "Get back on track with \"Sleep before 12 AM\"",
+ *     reason: "Your Sleep before 12 AM habit is at 20% this week (1 of 5 check-ins).",
+ *     links: [{ type: "habit", habit_id: 6, title, url },
+ *             { type: "resource", slug: "healthy-sleep-habits", title: "Healthy Sleep Habits", url }]
+ *   }, ...]
+ *   (suggestions the student dismissed or marked helpful recently are left out)
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Access: the student themself and professionals
+ * Used by: student dashboard "Wellness Suggestions"
+ */
+app.get("/recommendations/:std_id", requireStudentAccess("professional"), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    res.json(await getRecommendations(req.params.std_id));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * POST /recommendations/:std_id/feedback
+ * Purpose: Dismiss a suggestion or mark it helpful, so it stops repeating
+ *
+ * Request Body (JSON):
+ * {
+ *   key: string,                       // the suggestion's key
+ *   feedback: "dismissed" | "helpful"
+ * }
+ *
+ * Response:
+ * - 200: { message: "Thanks for the feedback", key, feedback }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { feedback: "..." } } }
+ *
+ * Access: the student themself
+ */
+const recommendationFeedbackSchema = {
+  params: { std_id: ID },
+  body: {
+    key: { type: "string", maxLength: 100, required: true },
+    feedback: { type: "enum", values: ["dismissed", "helpful"], required: true }
+  }
+};
+
+app.post("/recommendations/:std_id/feedback", requireStudentAccess(), validate(recommendationFeedbackSchema), async (req, res) => {
+  try {
+    const { std_id } = req.params;
+    const { key, feedback } = req.body;
+
+    // Giving feedback again restarts the snooze period
+    await pool.execute(
+      `INSERT INTO Recommendation_Feedback (std_id, rec_key, feedback)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE feedback = VALUES(feedback), updated_at = CURRENT_TIMESTAMP`,
+      [std_id, key, feedback]
+    );
+    res.json({ message: "Thanks for the feedback", key, feedback });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== WELLNESS RESOURCES ====================
+// The self-help library on resources.html. Everyone logged in can search the
+// published resources meant for them; admins create, edit and publish them.
+
+const RESOURCE_AUDIENCES = ["all", "student", "professional"];
+const RESOURCE_PAGE_SIZE = 12;
+
+// Columns the resource endpoints return (tags come back as "a,b,c", see formatResource)
+const RESOURCE_COLUMNS = `r.resource_id, r.slug, r.title, r.summary, r.body, r.url, r.category,
+  r.audience, r.published, r.updated_at,
+  (SELECT GROUP_CONCAT(t.tag ORDER BY t.tag) FROM Resource_Tag t WHERE t.resource_id = r.resource_id) AS tags`;
+
+// Editable resource fields (shared by create and edit)
+const RESOURCE_FIELDS = {
+  title: { type: "string", minLength: 1, maxLength: 200 },
+  slug: { type: "string", maxLength: 100 },
+  summary: { type: "string", maxLength: 500 },
+  body: { type: "string", maxLength: 20000 },
+  url: { type: "string", maxLength: 500 },
+  category: { type: "string", maxLength: 100 },
+  tags: { type: "array", maxItems: 10, items: { type: "string", minLength: 1, maxLength: 50 } },
+  audience: { type: "enum", values: RESOURCE_AUDIENCES },
+  published: { type: "boolean" }
+};
+
+/**
+ * slugify(text)
+ * Purpose: "Managing Exam Stress!" -> "managing-exam-stress"
+ */
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 100);
+}
+
+/**
+ * normalizeTags(tags)
+ * Purpose: Lowercase, trimmed, without duplicates
+ */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * visibleAudiences(role)
+ * Purpose: Which resource audiences a role may see
+ */
+function visibleAudiences(role) {
+  if (role === "student") return ["all", "student"];
+  if (role === "professional") return ["all", "professional"];
+  return RESOURCE_AUDIENCES;
+}
+
+/**
+ * formatResource(row)
+ * Purpose: tags "a,b" -> ["a", "b"] and published 0/1 -> false/true
+ */
+function formatResource(row) {
+  return { ...row, tags: row.tags ? row.tags.split(",") : [], published: !!row.published };
+}
+
+/**
+ * fullTextQuery(q)
+ * Purpose: Turn a search box query into a BOOLEAN MODE full-text query
+ * Every word becomes a prefix match ("sleep" also finds "sleeping");
+ * full-text operators typed by the user are stripped.
+ * Returns: the query, or "" when nothing searchable is left
+ */
+function fullTextQuery(q) {
+  return String(q)
+    .split(/\s+/)
+    .map(word => word.replace(/[+\-<>()~*"@]/g, ""))
+    .filter(Boolean)
+    .map(word => `${word}*`)
+    .join(" ");
+}
+
+/**
+ * checkResourceLinks(resource)
+ * Purpose: A resource needs a body or a url, and the url must be http(s)
+ * Returns: validation fields, or null when the resource is fine
+ */
+function checkResourceLinks({ body, url }) {
+  if (!body && !url) return { body: "a body or a url is required" };
+  if (url && !/^https?:\/\//i.test(url)) return { url: "must start with http:// or https://" };
+  return null;
+}
+
+/**
+ * saveResourceTags(conn, resource_id, tags)
+ * Purpose: Replace a resource's tags (inside the caller's transaction)
+ */
+async function saveResourceTags(conn, resource_id, tags) {
+  await conn.execute("DELETE FROM Resource_Tag WHERE resource_id = ?", [resource_id]);
+  const unique = normalizeTags(tags);
+  if (unique.length > 0) {
+    await conn.query("INSERT INTO Resource_Tag (resource_id, tag) VALUES ?", [unique.map(tag => [resource_id, tag])]);
+  }
+}
+
+/**
+ * GET /resources?q=&category=&tag=&page=&page_size=
+ * Purpose: Search the resource library
+ *
+ * Query Parameters (all optional):
+ * - q: search words, matched against title, summary and body (full-text, best matches first)
+ * - category: only this category
+ * - tag: only resources with this tag
+ * - page / page_size: pagination (page_size 1-50, default 12)
+ * - include_unpublished: admins only, also list drafts
+ *
+ * Response:
+ * - 200: {
+ *     page: 1, page_size: 12, total: 4,
+ *     resources: [{ resource_id, slug, title, summary, body, url, category, tags: ["sleep"],
+ *                   audience, published, updated_at, relevance }, ...]   // relevance only with q
+ *   }
+ *   Without q, resources are sorted by category and title
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { page_size: "..." } } }
+ *
+ * Only published resources for the user's audience are listed (admins see every audience)
+ * Used by: resources.html, admin dashboard resource list
+ */
+const resourceSearchSchema = {
+  query: {
+    q: { type: "string", maxLength: 200 },
+    category: { type: "string", maxLength: 100 },
+    tag: { type: "string", maxLength: 50 },
+    page: { type: "int", min: 1 },
+    page_size: { type: "int", min: 1, max: 50 },
+    include_unpublished: { type: "boolean" }
+  }
+};
+
+app.get("/resources", validate(resourceSearchSchema), async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const pageSize = Number(req.query.page_size) || RESOURCE_PAGE_SIZE;
+    const search = req.query.q ? fullTextQuery(req.query.q) : "";
+    const showDrafts = req.user.role === "admin" && ["true", "1"].includes(req.query.include_unpublished);
+
+    // Build the WHERE clause from the filters that were sent
+    const where = ["r.audience IN (?)"];
+    const params = [visibleAudiences(req.user.role)];
+    if (!showDrafts) where.push("r.published = 1");
+    if (search) {
+      where.push("MATCH (r.title, r.summary, r.body) AGAINST (? IN BOOLEAN MODE)");
+      params.push(search);
+    }
+    if (req.query.category) {
+      where.push("r.category = ?");
+      params.push(req.query.category);
+    }
+    if (req.query.tag) {
+      where.push("EXISTS (SELECT 1 FROM Resource_Tag t WHERE t.resource_id = r.resource_id AND t.tag = ?)");
+      params.push(req.query.tag.trim().toLowerCase());
+    }
+    const whereSql = where.join(" AND ");
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM Resource r WHERE ${whereSql}`, params);
+
+    const [rows] = await pool.query(
+      `SELECT ${RESOURCE_COLUMNS}
+              ${search ? ", MATCH (r.title, r.summary, r.body) AGAINST (? IN BOOLEAN MODE) AS relevance" : ""}
+       FROM Resource r
+       WHERE ${whereSql}
+       ORDER BY ${search ? "relevance DESC, r.title" : "r.category, r.title"}
+       LIMIT ? OFFSET ?`,
+      [...(search ? [search] : []), ...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      page,
+      page_size: pageSize,
+      total: Number(total),
+      resources: rows.map(row => ({
+        ...formatResource(row),
+        ...(search ? { relevance: round(row.relevance, 3) } : {})
+      }))
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /resources/categories
+ * Purpose: Categories that have published resources, for the filter buttons
+ *
+ * Response:
+ * - 200: [{ category: "Sleep", count: 2 }, ...]
+ */
+app.get("/resources/categories", async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT category, COUNT(*) AS count
+       FROM Resource
+       WHERE published = 1 AND audience IN (?) AND category IS NOT NULL
+       GROUP BY category
+       ORDER BY category`,
+      [visibleAudiences(req.user.role)]
+    );
+    res.json(rows.map(row => ({ category: row.category, count: Number(row.count) })));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /resources/slug/:slug
+ * Purpose: One resource by its slug (drafts are only visible to admins)
+ * Used by: resources.html when opened from a recommendation link (resources.html#<slug>)
+ *
+ * Response: same as GET /resources/:resource_id
+ */
+app.get("/resources/slug/:slug", validate({ params: { slug: { type: "string", maxLength: 100, required: true } } }), async (req, res) => {
+  try {
+    const [[row]] = await pool.query(
+      `SELECT ${RESOURCE_COLUMNS} FROM Resource r
+       WHERE r.slug = ? AND r.audience IN (?) AND (r.published = 1 OR ?)`,
+      [req.params.slug, visibleAudiences(req.user.role), req.user.role === "admin"]
+    );
+    if (!row) {
+      return sendError(res, 404, "Resource not found");
+    }
+    res.json(formatResource(row));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /resources/:resource_id
+ * Purpose: One resource (drafts are only visible to admins)
+ *
+ * Response:
+ * - 200: { resource_id, slug, title, summary, body, url, category, tags, audience, published, updated_at }
+ * - 404: { error: { code: "NOT_FOUND", message: "Resource not found" } }
+ */
+app.get("/resources/:resource_id", validate({ params: { resource_id: ID } }), async (req, res) => {
+  try {
+    const [[row]] = await pool.query(
+      `SELECT ${RESOURCE_COLUMNS} FROM Resource r
+       WHERE r.resource_id = ? AND r.audience IN (?) AND (r.published = 1 OR ?)`,
+      [req.params.resource_id, visibleAudiences(req.user.role), req.user.role === "admin"]
+    );
+    if (!row) {
+      return sendError(res, 404, "Resource not found");
+    }
+    res.json(formatResource(row));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * POST /resources
+ * Purpose: Add a resource to the library (admins)
+ *
+ * Request Body (JSON):
+ * {
+ *   title: string,                 // (required)
+ *   slug: string,                  // optional, made from the title when missing
+ *   summary: string,
+ *   body: string,                  // body and/or url is required
+ *   url: string,                   // http(s) link
+ *   category: string,
+ *   tags: string[],                // up to 10
+ *   audience: "all" | "student" | "professional",   // default "all"
+ *   published: boolean             // default false (a draft)
+ * }
+ *
+ * Response:
+ * - 201: { message: "Resource created", resource_id, slug }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 409: { error: { code: "CONFLICT", message: "A resource with this slug already exists", fields: { slug: "..." } } }
+ */
+const createResourceSchema = {
+  body: { ...RESOURCE_FIELDS, title: { ...RESOURCE_FIELDS.title, required: true } }
+};
+
+app.post("/resources", requireRole("admin"), validate(createResourceSchema), async (req, res) => {
+  const { title, summary, body, url, category, tags = [], audience = "all", published } = req.body;
+  const slug = slugify(req.body.slug || title);
+
+  const problem = !slug ? { slug: "must contain letters or digits" } : checkResourceLinks({ body, url });
+  if (problem) {
+    return sendError(res, 400, "Invalid request", { fields: problem });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [result] = await conn.execute(
+      `INSERT INTO Resource (slug, title, summary, body, url, category, audience, published, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [slug, title, summary || null, body || null, url || null, category || null, audience || "all",
+        [true, 1, "true", "1"].includes(published) ? 1 : 0, req.user.user_id]
+    );
+    await saveResourceTags(conn, result.insertId, tags);
+
+    await conn.commit();
+    res.status(201).json({ message: "Resource created", resource_id: result.insertId, slug });
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") {
+      return sendError(res, 409, "A resource with this slug already exists", {
+        fields: { slug: `"${slug}" is already used` }
+      });
+    }
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /resources/:resource_id
+ * Purpose: Edit a resource (admins)
+ *
+ * Request Body (JSON): same fields as POST /resources, all optional
+ * (missing fields keep their value; tags, when sent, replace the old tags)
+ *
+ * Response:
+ * - 200: { message: "Resource updated" }
+ * - 400 / 404 / 409 as for POST /resources
+ */
+app.put("/resources/:resource_id", requireRole("admin"), validate({ params: { resource_id: ID }, body: RESOURCE_FIELDS }), async (req, res) => {
+  const { resource_id } = req.params;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[current]] = await conn.execute("SELECT * FROM Resource WHERE resource_id = ? FOR UPDATE", [resource_id]);
+    if (!current) {
+      await conn.rollback();
+      return sendError(res, 404, "Resource not found");
+    }
+
+    // Sent fields win over the stored ones ("" clears an optional text field)
+    const pick = name => (req.body[name] !== undefined ? req.body[name] || null : current[name]);
+    const updated = {
+      title: req.body.title || current.title,
+      slug: req.body.slug ? slugify(req.body.slug) : current.slug,
+      summary: pick("summary"),
+      body: pick("body"),
+      url: pick("url"),
+      category: pick("category"),
+      audience: req.body.audience || current.audience,
+      published: req.body.published !== undefined
+        ? ([true, 1, "true", "1"].includes(req.body.published) ? 1 : 0)
+        : current.published
+    };
+
+    const problem = !updated.slug ? { slug: "must contain letters or digits" } : checkResourceLinks(updated);
+    if (problem) {
+      await conn.rollback();
+      return sendError(res, 400, "Invalid request", { fields: problem });
+    }
+
+    await conn.execute(
+      `UPDATE Resource
+       SET title = ?, slug = ?, summary = ?, body = ?, url = ?, category = ?, audience = ?, published = ?
+       WHERE resource_id = ?`,
+      [updated.title, updated.slug, updated.summary, updated.body, updated.url, updated.category,
+        updated.audience, updated.published, resource_id]
+    );
+    if (req.body.tags !== undefined) {
+      await saveResourceTags(conn, resource_id, req.body.tags);
+    }
+
+    await conn.commit();
+    res.json({ message: "Resource updated" });
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") {
+      return sendError(res, 409, "A resource with this slug already exists", {
+        fields: { slug: "is already used" }
+      });
+    }
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /resources/:resource_id/publish
+ * Purpose: Publish a resource or take it back to draft (admins)
+ *
+ * Request Body (JSON): { published: boolean }
+ *
+ * Response:
+ * - 200: { message: "Resource published" } / { message: "Resource unpublished" }
+ * - 404: { error: { code: "NOT_FOUND", message: "Resource not found" } }
+ */
+const publishResourceSchema = {
+  params: { resource_id: ID },
+  body: { published: { type: "boolean", required: true } }
+};
+
+app.put("/resources/:resource_id/publish", requireRole("admin"), validate(publishResourceSchema), async (req, res) => {
+  try {
+    const published = [true, 1, "true", "1"].includes(req.body.published);
+    const [result] = await pool.execute(
+      "UPDATE Resource SET published = ? WHERE resource_id = ?",
+      [published ? 1 : 0, req.params.resource_id]
+    );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Resource not found");
+    }
+    res.json({ message: published ? "Resource published" : "Resource unpublished" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== PROFESSIONAL DIRECTORY ENDPOINTS ====================
+// Counselors, doctors and nutritionists students can book
+// Each professional has weekly availability rules (e.g. Sunday 09:00-12:00)
+// and blocked dates (leave, holidays). Bookable slots are computed from both.
+
+const PROFESSIONAL_TYPES = ["Counselor", "Doctor", "Nutritionist"];
+
+// Appointments in these states hold their time slot
+const ACTIVE_STATUSES = ["Pending", "Approved", "Rescheduled"];
+const ACTIVE_STATUS_LIST = ACTIVE_STATUSES.map(status => `'${status}'`).join(", ");
+
+/**
+ * toMinutes("09:30:00") -> 570
+ * Purpose: Convert a MySQL TIME / "HH:MM" string into minutes after midnight
+ */
+function toMinutes(time) {
+  const [h, m] = String(time).split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * toTimeString(570) -> "09:30"
+ * Purpose: Convert minutes after midnight back into "HH:MM"
+ */
+function toTimeString(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+/**
+ * canManageProfessional(user, professional_id)
+ * Purpose: A professional may edit only their own schedule; admins may edit any
+ */
+function canManageProfessional(user, professional_id) {
+  return user.role === "admin" || user.professional_id === Number(professional_id);
+}
+
+/**
+ * getFreeSlots(professional_id, date, db)
+ * Purpose: List the "HH:MM" start times a professional can still be booked at on a date
+ *
+ * Steps:
+ * 1. Nothing on blocked dates or past dates
+ * 2. Cut that weekday's availability windows into session-length slots
+ *    (today: only slots that haven't started yet, by the database clock)
+ * 3. Drop slots that overlap an active (Pending/Approved/Rescheduled) appointment
+ *
+ * db: pool by default, or a transaction connection (see POST /appointments)
+ * excludeAppointId: ignore this appointment's own slot (used when rescheduling it)
+ * Returns: null if the professional doesn't exist or is deactivated, otherwise an array of slot strings
+ */
+async function getFreeSlots(professional_id, date, db = pool, excludeAppointId = null) {
+  const [[professional]] = await db.execute(
+    `SELECT p.session_minutes
+     FROM Professional p
+     JOIN User u ON u.user_id = p.user_id
+     WHERE p.professional_id = ? AND u.role = 'professional' AND u.is_active = 1`,
+    [professional_id]
+  );
+  if (!professional) return null;
+
+  // Same clock as the appointment times stored in the database
+  const [[{ today, now }]] = await db.query(
+    "SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS today, CURTIME() AS now"
+  );
+  if (date < today) return [];
+  const earliest = date === today ? toMinutes(now) : 0;
+
+  const [blocked] = await db.execute(
+    "SELECT 1 FROM Professional_Blocked_Date WHERE professional_id = ? AND blocked_date = ?",
+    [professional_id, date]
+  );
+  if (blocked.length) return [];
+
+  // day_of_week uses JavaScript numbering: 0 = Sunday ... 6 = Saturday
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const [rules] = await db.execute(
+    `SELECT start_time, end_time FROM Professional_Availability
+     WHERE professional_id = ? AND day_of_week = ?
+     ORDER BY start_time`,
+    [professional_id, dayOfWeek]
+  );
+
+  const [booked] = await db.execute(
+    `SELECT appointment_time, duration_minutes FROM Appointment
+     WHERE professional_id = ? AND appointment_date = ? AND status IN (${ACTIVE_STATUS_LIST})
+       AND (? IS NULL OR appoint_id <> ?)`,
+    [professional_id, date, excludeAppointId, excludeAppointId]
+  );
+  const busy = booked.map(b => {
+    const start = toMinutes(b.appointment_time);
+    return { start, end: start + b.duration_minutes };
+  });
+
+  const slots = [];
+  const length = professional.session_minutes;
+  for (const rule of rules) {
+    const end = toMinutes(rule.end_time);
+    for (let start = toMinutes(rule.start_time); start + length <= end; start += length) {
+      if (start < earliest) continue;
+      // Two sessions overlap when each one starts before the other ends
+      const overlaps = busy.some(b => start < b.end && b.start < start + length);
+      if (!overlaps) slots.push(toTimeString(start));
+    }
+  }
+  return slots;
+}
+
+/**
+ * findAlternativeSlots(professional_id, date, limit)
+ * Purpose: Suggest other free slots when a booking is rejected
+ * Looks at the requested day first, then up to a week ahead
+ *
+ * Returns: [{ appointment_date: "2026-01-10", appointment_time: "10:30" }, ...]
+ */
+async function findAlternativeSlots(professional_id, date, limit = 5) {
+  const alternatives = [];
+  const day = new Date(`${date}T00:00:00Z`);
+
+  for (let i = 0; i < 7 && alternatives.length < limit; i++) {
+    const d = day.toISOString().split("T")[0];
+    const slots = (await getFreeSlots(professional_id, d)) || [];
+    slots.slice(0, limit - alternatives.length).forEach(t => {
+      alternatives.push({ appointment_date: d, appointment_time: t });
+    });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return alternatives;
+}
+
+/**
+ * studentHasClash(db, std_id, date, start, length, excludeAppointId)
+ * Purpose: Check whether a student already has an active session overlapping
+ * [start, start + length) minutes on a date
+ */
+async function studentHasClash(db, std_id, date, start, length, excludeAppointId = null) {
+  const [clashes] = await db.execute(
+    `SELECT appoint_id FROM Appointment
+     WHERE std_id = ? AND appointment_date = ? AND status IN (${ACTIVE_STATUS_LIST})
+       AND TIME_TO_SEC(appointment_time) / 60 < ?
+       AND TIME_TO_SEC(appointment_time) / 60 + duration_minutes > ?
+       AND (? IS NULL OR appoint_id <> ?)`,
+    [std_id, date, start + length, start, excludeAppointId, excludeAppointId]
+  );
+  return clashes.length > 0;
+}
+
+/**
+ * GET /professionals?type=Counselor
+ * Purpose: List bookable professionals, optionally filtered by type
+ *
+ * Response:
+ * - 200: [{ professional_id: 1, name: "Dr. Rahman", professional_type: "Counselor", session_minutes: 30 }, ...]
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { type: "must be one of Counselor, Doctor, Nutritionist" } } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ *
+ * Used by: Appointment booking form (professional picker)
+ */
+app.get("/professionals", validate({ query: { type: { type: "enum", values: PROFESSIONAL_TYPES } } }), async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const [rows] = await pool.execute(
+      `SELECT p.professional_id, u.name, p.professional_type, p.session_minutes
+       FROM Professional p
+       JOIN User u ON u.user_id = p.user_id
+       WHERE u.role = 'professional' AND u.is_active = 1 AND (? IS NULL OR p.professional_type = ?)
+       ORDER BY u.name`,
+      [type ?? null, type ?? null]
+    );
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /professionals/:id/slots?date=YYYY-MM-DD
+ * Purpose: Free time slots for one professional on one day
+ *
+ * Response:
+ * - 200: { professional_id: 1, date: "2026-01-10", slots: ["09:00", "09:30", ...] }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { date: "is required" } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Professional not found" } }
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ */
+app.get("/professionals/:id/slots", validate({ params: { id: ID }, query: { date: DATE } }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.query;
+
+    const slots = await getFreeSlots(id, date);
+    if (!slots) {
+      return sendError(res, 404, "Professional not found");
+    }
+    res.json({ professional_id: Number(id), date, slots });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /professionals/:id/availability
+ * Purpose: A professional's weekly rules and upcoming blocked dates
+ *
+ * Response:
+ * - 200: {
+ *     rules: [{ day_of_week: 0, start_time: "09:00:00", end_time: "12:00:00" }, ...],
+ *     blocked_dates: [{ blocked_date: "2026-01-15", reason: "Conference" }, ...]
+ *   }
+ */
+app.get("/professionals/:id/availability", validate({ params: { id: ID } }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rules] = await pool.execute(
+      `SELECT day_of_week, start_time, end_time FROM Professional_Availability
+       WHERE professional_id = ? ORDER BY day_of_week, start_time`,
+      [id]
+    );
+    const [blocked_dates] = await pool.execute(
+      `SELECT blocked_date, reason FROM Professional_Blocked_Date
+       WHERE professional_id = ? AND blocked_date >= CURDATE() ORDER BY blocked_date`,
+      [id]
+    );
+    res.json({ rules, blocked_dates });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * findOverlappingRules(rules)
+ * Purpose: The indexes of the first two rules on the same weekday whose times overlap, or null
+ */
+function findOverlappingRules(rules) {
+  for (let i = 0; i < rules.length; i++) {
+    for (let j = i + 1; j < rules.length; j++) {
+      const a = rules[i];
+      const b = rules[j];
+      if (Number(a.day_of_week) !== Number(b.day_of_week)) continue;
+      // Same test as for sessions: each one starts before the other ends
+      if (toMinutes(a.start_time) < toMinutes(b.end_time) && toMinutes(b.start_time) < toMinutes(a.end_time)) {
+        return [i, j];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * PUT /professionals/:id/availability
+ * Purpose: Replace a professional's weekly availability rules
+ *
+ * Request Body (JSON):
+ * {
+ *   rules: [{ day_of_week: 0-6, start_time: "09:00", end_time: "12:00" }, ...]
+ * }
+ *
+ * Response:
+ * - 200: { message: "Availability updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "..." } }
+ *   (also when two rules on the same day overlap)
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }
+ *
+ * Access: the professional themself and admins
+ */
+const availabilitySchema = {
+  params: { id: ID },
+  body: {
+    rules: {
+      type: "array",
+      required: true,
+      maxItems: 50,
+      items: {
+        type: "object",
+        fields: {
+          day_of_week: { type: "int", min: 0, max: 6, required: true },
+          start_time: TIME,
+          end_time: TIME
+        }
+      }
+    }
+  }
+};
+
+app.put("/professionals/:id/availability", requireRole("professional", "admin"), validate(availabilitySchema), async (req, res) => {
+  const { id } = req.params;
+  const { rules } = req.body;
+
+  if (!canManageProfessional(req.user, id)) {
+    return sendError(res, 403, "Access denied");
+  }
+  // The schema checks each field, this checks them against each other
+  const badIndex = rules.findIndex(r => toMinutes(r.start_time) >= toMinutes(r.end_time));
+  if (badIndex !== -1) {
+    return sendError(res, 400, "Invalid request", {
+      fields: { rules: `item ${badIndex + 1}: start_time must be before end_time` }
+    });
+  }
+  // Overlapping windows on the same day would offer the same slot twice
+  const overlap = findOverlappingRules(rules);
+  if (overlap) {
+    return sendError(res, 400, "Invalid request", {
+      fields: { rules: `items ${overlap[0] + 1} and ${overlap[1] + 1} overlap` }
+    });
+  }
+
+  // Delete-and-insert inside one transaction so a failure keeps the old rules
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.execute("DELETE FROM Professional_Availability WHERE professional_id = ?", [id]);
+    for (const r of rules) {
+      await conn.execute(
+        `INSERT INTO Professional_Availability (professional_id, day_of_week, start_time, end_time)
+         VALUES (?, ?, ?, ?)`,
+        [id, r.day_of_week, r.start_time, r.end_time]
+      );
+    }
+    await conn.commit();
+    res.json({ message: "Availability updated" });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * POST /professionals/:id/blocked-dates
+ * Purpose: Block a whole day (no slots will be offered)
+ *
+ * Request Body (JSON): { blocked_date: "YYYY-MM-DD", reason: string (optional) }
+ *
+ * Response:
+ * - 201: { message: "Date blocked" }
+ * - 400 / 403 / 500
+ */
+const blockedDateSchema = {
+  params: { id: ID },
+  body: { blocked_date: DATE, reason: { type: "string", maxLength: 255 } }
+};
+
+app.post("/professionals/:id/blocked-dates", requireRole("professional", "admin"), validate(blockedDateSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { blocked_date, reason } = req.body;
+
+    if (!canManageProfessional(req.user, id)) {
+      return sendError(res, 403, "Access denied");
+    }
+
+    // Blocking the same day twice just updates the reason
+    await pool.execute(
+      `INSERT INTO Professional_Blocked_Date (professional_id, blocked_date, reason)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [id, blocked_date, reason ?? null]
+    );
+    res.status(201).json({ message: "Date blocked" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * DELETE /professionals/:id/blocked-dates/:date
+ * Purpose: Unblock a previously blocked day
+ */
+app.delete("/professionals/:id/blocked-dates/:date", requireRole("professional", "admin"), validate({ params: { id: ID, date: DATE } }), async (req, res) => {
+  try {
+    const { id, date } = req.params;
+
+    if (!canManageProfessional(req.user, id)) {
+      return sendError(res, 403, "Access denied");
+    }
+
+    await pool.execute(
+      "DELETE FROM Professional_Blocked_Date WHERE professional_id = ? AND blocked_date = ?",
+      [id, date]
+    );
+    res.json({ message: "Date unblocked" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== APPOINTMENTS ENDPOINTS ====================
+// These endpoints handle appointment booking and management
+// Students can book appointments with professionals (counselors, doctors, etc.)
+// Professionals can view and update appointment status
+
+/**
+ * POST /appointments
+ * Purpose: Create a new appointment booking
+ * 
+ * Request Body (JSON):
+ * {
+ *   std_id: number,              // Student ID (required)
+ *   professional_id: number,     // Professional from GET /professionals (required)
+ *   appointment_date: string,    // Date in YYYY-MM-DD format (required)
+ *   appointment_time: string,    // Slot in HH:MM format, from GET /professionals/:id/slots (required)
+ *   reason: string              // Reason for appointment (optional)
+ * }
+ * 
+ * Response:
+ * - 201: { message: "Appointment created", appoint_id: number, event_url: "/appointments/<appoint_id>/event.ics" }
+ *   (event_url downloads the booking as a calendar event)
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { appointment_date: "is required" } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Professional not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "..." }, alternatives: [{ appointment_date, appointment_time }, ...] }
+ *        when the slot is taken, outside availability, or overlaps another of the student's bookings
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ * 
+ * Database:
+ * - Inserts into Appointment table with status='Pending'
+ *   (appointment_type, professional_name and duration_minutes are copied from the Professional)
+ * - Creates a notification for the student
+ * 
+ * Concurrency: the Professional row and the Student row are locked (SELECT ... FOR UPDATE)
+ * for the whole check-and-insert, so two simultaneous requests for the same professional
+ * or the same student are handled one after the other and can't both succeed
+ * 
+ * Side Effect: Automatically sends notification to student
+ */
+const bookingSchema = {
+  body: {
+    std_id: ID,
+    professional_id: ID,
+    appointment_date: DATE,
+    appointment_time: TIME,
+    reason: { type: "string", maxLength: MAX_TEXT }
+  }
+};
+
+app.post("/appointments", requireStudentAccess(), validate(bookingSchema), async (req, res) => {
+  // Extract appointment details from request body
+  // (required fields and formats were checked by validate(bookingSchema))
+  const { std_id, professional_id, appointment_date, appointment_time, reason } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // Lock the professional first, then the student (always in this order to avoid deadlocks)
+    const [[professional]] = await conn.execute(
+      `SELECT p.professional_type, p.session_minutes, u.name
+       FROM Professional p
+       JOIN User u ON u.user_id = p.user_id
+       WHERE p.professional_id = ? AND u.role = 'professional' AND u.is_active = 1
+       FOR UPDATE`,
+      [professional_id]
+    );
+    if (!professional) {
+      await conn.rollback();
+      return sendError(res, 404, "Professional not found");
+    }
+    await conn.execute("SELECT std_id FROM Student WHERE std_id = ? FOR UPDATE", [std_id]);
+
+    // The requested time must be one of the professional's free slots
+    const slot = toTimeString(toMinutes(appointment_time));
+    const slots = await getFreeSlots(professional_id, appointment_date, conn);
+
+    // The student must not already have a session that overlaps this one
+    const clash = await studentHasClash(
+      conn, std_id, appointment_date, toMinutes(slot), professional.session_minutes
+    );
+
+    if (!slots.includes(slot) || clash) {
+      await conn.rollback();
+      const message = clash
+        ? "You already have an appointment at that time"
+        : "That time slot is not available";
+      return sendError(res, 409, message, {
+        alternatives: await findAlternativeSlots(professional_id, appointment_date)
+      });
+    }
+
+    // Insert the appointment into the database
+    // Status is automatically set to 'Pending' for new appointments
+    // Professionals will later approve/cancel/complete it
+    const [result] = await conn.execute(
+      `INSERT INTO Appointment
+       (std_id, professional_id, appointment_type, professional_name,
+        appointment_date, appointment_time, duration_minutes, reason, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Pending')`,
+      [std_id, professional_id, professional.professional_type, professional.name,
+        appointment_date, slot, professional.session_minutes, reason ?? null]
+    );
+
+    // First entry of the appointment's history trail
+    await conn.execute(
+      `INSERT INTO Appointment_History (appoint_id, changed_by, old_status, new_status, new_date, new_time)
+       VALUES (?, ?, NULL, 'Pending', ?, ?)`,
+      [result.insertId, req.user.user_id, appointment_date, slot]
+    );
+
+    // Create a notification to inform the student about the booking
+    // This notification will appear in the student's notification list
+    await createNotification(conn, {
+      std_id,  // Who gets the notification
+      msg: `Appointment booked with ${professional.name} on ${appointment_date} at ${slot}`,  // Message text
+      type: "appointment"
+    });
+
+    await conn.commit();
+
+    // Send success response with 201 status (Created)
+    res.status(201).json({
+      message: "Appointment created",
+      appoint_id: result.insertId,
+      event_url: `/appointments/${result.insertId}/event.ics`
+    });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * GET /appointments/:std_id
+ * Purpose: Retrieve all appointments for a specific student
+ * 
+ * URL Parameter:
+ * - std_id: Student ID (e.g., /appointments/101)
+ * 
+ * Response:
+ * - 200: Array of appointment objects, ordered by date (newest first)
+ *   Example: [
+ *     {
+ *       appoint_id: 1,
+ *       std_id: 101,
+ *       appointment_type: "Counselor",
+ *       professional_name: "Dr. Rahman",
+ *       appointment_date: "2026-01-10",
+ *       appointment_time: "14:00:00",
+ *       status: "Pending",
+ *       reason: "Stress management"
+ *     },
+ *     ...
+ *   ]
+ * - 500: { error: { code: "INTERNAL_ERROR", message: "..." } }
+ * 
+ * Used by: Student dashboard to display upcoming appointments
+ */
+app.get("/appointments/:std_id", requireStudentAccess("professional", "admin"), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    // Extract student ID from URL parameter
+    const { std_id } = req.params;
+
+    // Query all appointments for this student
+    // ORDER BY ensures newest appointments appear first
+    const [rows] = await pool.execute(
+      `SELECT * FROM Appointment
+       WHERE std_id = ?
+       ORDER BY appointment_date DESC, appointment_time DESC`,
+      [std_id]
+    );
+
+    // Return the list of appointments
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== APPOINTMENT LIFECYCLE ====================
+// Appointments follow a fixed state machine. Each allowed transition lists
+// which roles may make it:
+//
+//   Pending     -> Approved, Declined         (professional / admin)
+//   Pending     -> Cancelled                  (student / professional / admin)
+//   Approved    -> Completed, No-show         (professional / admin)
+//   Approved    -> Cancelled, Rescheduled     (student / professional / admin)
+//   Rescheduled -> same as Approved (it is an approved session at a new time)
+//
+// Declined, Cancelled, Completed and No-show are final.
+// Every change is written to Appointment_History.
+
+const ALL_ROLES = ["student", "professional", "admin"];
+const STAFF_ROLES = ["professional", "admin"];
+
+const APPROVED_TRANSITIONS = {
+  Completed: STAFF_ROLES,
+  "No-show": STAFF_ROLES,
+  Cancelled: ALL_ROLES,
+  Rescheduled: ALL_ROLES,
+};
+
+const APPOINTMENT_TRANSITIONS = {
+  Pending: { Approved: STAFF_ROLES, Declined: STAFF_ROLES, Cancelled: ALL_ROLES },
+  Approved: APPROVED_TRANSITIONS,
+  Rescheduled: APPROVED_TRANSITIONS,
+};
+
+// Every status an appointment can be in (matches the comment on Appointment.status in schema.sql)
+const APPOINTMENT_STATUSES = ["Pending", "Approved", "Declined", "Rescheduled", "Cancelled", "Completed", "No-show"];
+
+// Students can't cancel or reschedule an approved session this close to its start
+const CANCEL_CUTOFF_HOURS = Number(process.env.CANCEL_CUTOFF_HOURS) || 24;
+
+/**
+ * loadAppointmentForUser(db, appoint_id, user, lock)
+ * Purpose: Fetch an appointment the user is involved in
+ *
+ * - Students: only their own appointments
+ * - Professionals: only appointments booked with them
+ * - Admins: any appointment
+ *
+ * Adds minutes_until (minutes from now until the session starts, negative once started)
+ * Returns: { appointment } or { status, message } describing why it can't be used
+ */
+async function loadAppointmentForUser(db, appoint_id, user, lock = false) {
+  const [[appointment]] = await db.execute(
+    `SELECT a.*, TIMESTAMPDIFF(MINUTE, NOW(), TIMESTAMP(a.appointment_date, a.appointment_time)) AS minutes_until
+     FROM Appointment a
+     WHERE a.appoint_id = ?
+     ${lock ? "FOR UPDATE" : ""}`,
+    [appoint_id]
+  );
+
+  if (!appointment) return { status: 404, message: "Appointment not found" };
+
+  const allowed =
+    user.role === "admin" ||
+    (user.role === "student" && appointment.std_id === user.std_id) ||
+    (user.role === "professional" && appointment.professional_id === user.professional_id);
+
+  if (!allowed) return { status: 403, message: "Access denied" };
+  return { appointment };
+}
+
+/**
+ * checkTransition(appointment, newStatus, role)
+ * Purpose: Apply the state machine rules above
+ * Returns: null when allowed, otherwise { status, message }
+ */
+function checkTransition(appointment, newStatus, role) {
+  const allowedRoles = (APPOINTMENT_TRANSITIONS[appointment.status] || {})[newStatus];
+
+  if (!allowedRoles) {
+    return { status: 409, message: `Cannot change a ${appointment.status} appointment to ${newStatus}` };
+  }
+  if (!allowedRoles.includes(role)) {
+    return { status: 403, message: "Access denied" };
+  }
+
+  // Students must respect the cutoff window once a session is approved
+  if (role === "student" && appointment.status !== "Pending" &&
+      appointment.minutes_until < CANCEL_CUTOFF_HOURS * 60) {
+    return {
+      status: 409,
+      message: `Approved appointments can only be changed at least ${CANCEL_CUTOFF_HOURS} hours in advance`
+    };
+  }
+
+  // A session can't be marked as held (or missed) before it starts
+  if (["Completed", "No-show"].includes(newStatus) && appointment.minutes_until > 0) {
+    return { status: 409, message: `Cannot mark an appointment ${newStatus} before it starts` };
+  }
+  return null;
+}
+
+/**
+ * PUT /appointments/status/:appoint_id
+ * Purpose: Move an appointment through the state machine
+ *
+ * Request Body (JSON):
+ * {
+ *   status: string,  // "Approved", "Declined", "Cancelled", "Completed" or "No-show"
+ *   reason: string   // Required for Declined and Cancelled
+ * }
+ *
+ * Response:
+ * - 200: { message: "Appointment status updated", status }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "..." } }               (unknown status / missing reason)
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }     (not your appointment, or your role can't do this)
+ * - 404: { error: { code: "NOT_FOUND", message: "Appointment not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "..." } }               (illegal transition or inside the cutoff window)
+ *
+ * Database: Updates Appointment.status, adds an Appointment_History row
+ * and notifies the student when someone else made the change
+ */
+const statusChangeSchema = {
+  params: { appoint_id: ID },
+  body: {
+    status: { type: "enum", values: APPOINTMENT_STATUSES.filter(s => s !== "Pending"), required: true },
+    reason: { type: "string", maxLength: 255 }
+  }
+};
+
+app.put("/appointments/status/:appoint_id", validate(statusChangeSchema), async (req, res) => {
+  const { appoint_id } = req.params;
+  const { status, reason } = req.body;
+
+  if (status === "Rescheduled") {
+    return sendError(res, 400, "Use PUT /appointments/:appoint_id/reschedule to reschedule", {
+      fields: { status: "use the reschedule endpoint" }
+    });
+  }
+  if (["Declined", "Cancelled"].includes(status) && !reason) {
+    return sendError(res, 400, `A reason is required when an appointment is ${status}`, {
+      fields: { reason: "is required" }
+    });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // Lock the row so two people can't change the same appointment at once
+    const found = await loadAppointmentForUser(conn, appoint_id, req.user, true);
+    const problem = found.appointment
+      ? checkTransition(found.appointment, status, req.user.role)
+      : found;
+    if (problem) {
+      await conn.rollback();
+      return sendError(res, problem.status, problem.message);
+    }
+    const appointment = found.appointment;
+
+    await conn.execute(
+      "UPDATE Appointment SET status = ?, cancel_reason = ? WHERE appoint_id = ?",
+      [status, ["Declined", "Cancelled"].includes(status) ? reason : null, appoint_id]
+    );
+    await conn.execute(
+      `INSERT INTO Appointment_History (appoint_id, changed_by, old_status, new_status, reason)
+       VALUES (?, ?, ?, ?, ?)`,
+      [appoint_id, req.user.user_id, appointment.status, status, reason ?? null]
+    );
+
+    if (req.user.role !== "student") {
+      await createNotification(conn, {
+        std_id: appointment.std_id,
+        msg: `Your appointment with ${appointment.professional_name} is now ${status}`,
+        type: "appointment"
+      });
+    }
+
+    await conn.commit();
+    res.json({ message: "Appointment status updated", status });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /appointments/:appoint_id/reschedule
+ * Purpose: Move an approved appointment to a new free slot
+ *
+ * Request Body (JSON):
+ * {
+ *   appointment_date: string,  // New date, YYYY-MM-DD (required)
+ *   appointment_time: string,  // New slot, HH:MM (required)
+ *   reason: string             // Why it moved (optional)
+ * }
+ *
+ * Response:
+ * - 200: { message: "Appointment rescheduled" }
+ * - 400 / 403 / 404
+ * - 409: { error: { code: "CONFLICT", message: "..." }, alternatives: [...] }  (illegal transition, cutoff, or slot taken)
+ *
+ * Uses the same professional-then-student row locks as POST /appointments
+ */
+const rescheduleSchema = {
+  params: { appoint_id: ID },
+  body: { appointment_date: DATE, appointment_time: TIME, reason: { type: "string", maxLength: 255 } }
+};
+
+app.put("/appointments/:appoint_id/reschedule", validate(rescheduleSchema), async (req, res) => {
+  const { appoint_id } = req.params;
+  const { appointment_date, appointment_time, reason } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // First read only finds out who is involved, so the locks below can be taken
+    const first = await loadAppointmentForUser(conn, appoint_id, req.user);
+    if (!first.appointment) {
+      await conn.rollback();
+      return sendError(res, first.status, first.message);
+    }
+
+    // Same lock order as booking: professional, student, then the appointment itself
+    await conn.execute("SELECT 1 FROM Professional WHERE professional_id = ? FOR UPDATE", [first.appointment.professional_id]);
+    await conn.execute("SELECT 1 FROM Student WHERE std_id = ? FOR UPDATE", [first.appointment.std_id]);
+
+    // Re-read under lock: the status may have changed since the first read
+    const found = await loadAppointmentForUser(conn, appoint_id, req.user, true);
+    const problem = found.appointment
+      ? checkTransition(found.appointment, "Rescheduled", req.user.role)
+      : found;
+    if (problem) {
+      await conn.rollback();
+      return sendError(res, problem.status, problem.message);
+    }
+    const appointment = found.appointment;
+
+    const slot = toTimeString(toMinutes(appointment_time));
+    const slots = await getFreeSlots(appointment.professional_id, appointment_date, conn, appointment.appoint_id);
+    const clash = await studentHasClash(
+      conn, appointment.std_id, appointment_date, toMinutes(slot), appointment.duration_minutes, appointment.appoint_id
+    );
+
+    if (!slots || !slots.includes(slot) || clash) {
+      await conn.rollback();
+      return sendError(
+        res, 409,
+        clash ? "The student already has an appointment at that time" : "That time slot is not available",
+        { alternatives: await findAlternativeSlots(appointment.professional_id, appointment_date) }
+      );
+    }
+
+    await conn.execute(
+      `UPDATE Appointment SET status = 'Rescheduled', appointment_date = ?, appointment_time = ?
+       WHERE appoint_id = ?`,
+      [appointment_date, slot, appoint_id]
+    );
+    await conn.execute(
+      `INSERT INTO Appointment_History
+       (appoint_id, changed_by, old_status, new_status, old_date, old_time, new_date, new_time, reason)
+       VALUES (?, ?, ?, 'Rescheduled', ?, ?, ?, ?, ?)`,
+      [appoint_id, req.user.user_id, appointment.status, appointment.appointment_date,
+        appointment.appointment_time, appointment_date, slot, reason ?? null]
+    );
+
+    if (req.user.role !== "student") {
+      await createNotification(conn, {
+        std_id: appointment.std_id,
+        msg: `Your appointment with ${appointment.professional_name} was moved to ${appointment_date} at ${slot}`,
+        type: "appointment"
+      });
+    }
+
+    await conn.commit();
+    res.json({ message: "Appointment rescheduled" });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * GET /appointments/:appoint_id/history
+ * Purpose: Every change made to an appointment, oldest first
+ *
+ * Response:
+ * - 200: [{ history_id, old_status, new_status, old_date, old_time, new_date, new_time,
+ *           reason, changed_at, changed_by_name, changed_by_role }, ...]
+ * - 403 / 404
+ *
+ * Access: the student, the assigned professional, and admins
+ */
+app.get("/appointments/:appoint_id/history", validate({ params: { appoint_id: ID } }), async (req, res) => {
+  try {
+    const found = await loadAppointmentForUser(pool, req.params.appoint_id, req.user);
+    if (!found.appointment) {
+      return sendError(res, found.status, found.message);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT h.history_id, h.old_status, h.new_status, h.old_date, h.old_time,
+              h.new_date, h.new_time, h.reason, h.changed_at,
+              u.name AS changed_by_name, u.role AS changed_by_role
+       FROM Appointment_History h
+       LEFT JOIN User u ON u.user_id = h.changed_by
+       WHERE h.appoint_id = ?
+       ORDER BY h.changed_at, h.history_id`,
+      [req.params.appoint_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== CALENDAR FEED TOKENS ====================
+// Each student / professional can have one active feed token. The token is only
+// shown when it is created (the database keeps its SHA-256 hash, like sessions);
+// creating a new one or turning the feed off revokes the old URL at once.
+
+/**
+ * GET /calendar/token
+ * Purpose: Whether the user has an active calendar feed
+ *
+ * Response:
+ * - 200: { active: true, created_at, last_used_at } or { active: false }
+ *
+ * Access: students and professionals
+ */
+app.get("/calendar/token", requireRole("student", "professional"), async (req, res) => {
+  try {
+    const [[token]] = await pool.execute(
+      `SELECT created_at, last_used_at FROM Calendar_Token
+       WHERE user_id = ? AND revoked_at IS NULL`,
+      [req.user.user_id]
+    );
+    res.json(token ? { active: true, ...token } : { active: false });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * POST /calendar/token
+ * Purpose: Create a calendar feed URL (any earlier URL stops working)
+ *
+ * Response:
+ * - 201: { message: "Calendar feed created", feed_url: "http://host/calendar/<token>.ics" }
+ *
+ * Access: students and professionals
+ */
+app.post("/calendar/token", requireRole("student", "professional"), async (req, res) => {
+  const token = crypto.randomBytes(24).toString("hex");
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    // Lock the user so two quick clicks can't leave two active tokens
+    await conn.execute("SELECT user_id FROM User WHERE user_id = ? FOR UPDATE", [req.user.user_id]);
+    await conn.execute(
+      "UPDATE Calendar_Token SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [req.user.user_id]
+    );
+    await conn.execute(
+      "INSERT INTO Calendar_Token (user_id, token_hash) VALUES (?, ?)",
+      [req.user.user_id, hashToken(token)]
+    );
+    await conn.commit();
+
+    res.status(201).json({
+      message: "Calendar feed created",
+      feed_url: `${req.protocol}://${req.get("host")}/calendar/${token}.ics`
+    });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * DELETE /calendar/token
+ * Purpose: Turn the calendar feed off (the URL stops working at once)
+ *
+ * Response:
+ * - 200: { message: "Calendar feed turned off" }
+ * - 404: { error: { code: "NOT_FOUND", message: "No active calendar feed" } }
+ *
+ * Access: students and professionals
+ */
+app.delete("/calendar/token", requireRole("student", "professional"), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE Calendar_Token SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [req.user.user_id]
+    );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "No active calendar feed");
+    }
+    res.json({ message: "Calendar feed turned off" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /appointments/:appoint_id/event.ics
+ * Purpose: Download one appointment as a calendar event (offered right after booking)
+ *
+ * Response:
+ * - 200: text/calendar file (same event as in the feed, so importing both doesn't duplicate it)
+ * - 403 / 404
+ *
+ * Access: the student, the assigned professional, and admins
+ */
+app.get("/appointments/:appoint_id/event.ics", validate({ params: { appoint_id: ID } }), async (req, res) => {
+  try {
+    const found = await loadAppointmentForUser(pool, req.params.appoint_id, req.user);
+    if (!found.appointment) {
+      return sendError(res, found.status, found.message);
+    }
+
+    const appointment = await getEventAppointment(req.params.appoint_id);
+    res.attachment(`appointment-${req.params.appoint_id}.ics`);
+    res.type("text/calendar; charset=utf-8");
+    res.send(buildCalendar("Campus Wellness appointment", [appointment], req.user.role));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== SESSION NOTES ====================
+// Confidential notes a professional writes after a Completed appointment.
+// Only the authoring professional can read them (plus other professionals when
+// NOTES_SHARE_WITH_CLINICIANS=true). Students and admins never see them.
+//
+// summary and plan are encrypted with AES-256-GCM before they reach the database;
+// the key is NOTES_ENCRYPTION_KEY in .env (64 hex characters = 32 bytes).
+
+const NOTES_SHARE_WITH_CLINICIANS = process.env.NOTES_SHARE_WITH_CLINICIANS === "true";
+
+/**
+ * getNotesKey()
+ * Purpose: Read the encryption key from configuration
+ * Throws if it is missing or the wrong size, so notes are never stored unencrypted
+ */
+function getNotesKey() {
+  const key = Buffer.from(process.env.NOTES_ENCRYPTION_KEY || "", "hex");
+  if (key.length !== 32) {
+    throw new Error("NOTES_ENCRYPTION_KEY must be set to 64 hex characters");
+  }
+  return key;
+}
+
+/**
+ * encryptNote({ summary, plan }) -> "iv:tag:ciphertext" (base64 parts)
+ */
+function encryptNote(body) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getNotesKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(body), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString("base64")).join(":");
+}
+
+/**
+ * decryptNote("iv:tag:ciphertext") -> { summary, plan }
+ * The GCM auth tag makes this throw if the stored value was tampered with
+ */
+function decryptNote(stored) {
+  const [iv, tag, ciphertext] = stored.split(":").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getNotesKey(), iv);
+  decipher.setAuthTag(tag);
+  const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  return JSON.parse(plain);
+}
+
+/**
+ * POST /appointments/:appoint_id/notes
+ * Purpose: Write the session note for a completed appointment
+ *
+ * Request Body (JSON):
+ * {
+ *   summary: string,         // What happened in the session (required)
+ *   plan: string,            // Treatment / action plan (optional)
+ *   follow_up_date: string   // YYYY-MM-DD (optional)
+ * }
+ *
+ * Response:
+ * - 201: { message: "Session note saved" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { summary: "is required" } } }
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }        (not the appointment's professional)
+ * - 404: { error: { code: "NOT_FOUND", message: "Appointment not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "..." } }                  (not Completed yet, or a note already exists - use PUT)
+ *
+ * Access: only the professional the appointment was booked with
+ */
+// Note fields shared by POST and PUT (summary is only required when creating)
+const NOTE_FIELDS = {
+  summary: { type: "string", maxLength: MAX_TEXT },
+  plan: { type: "string", maxLength: MAX_TEXT },
+  follow_up_date: { type: "date" }
+};
+
+const noteSchema = {
+  params: { appoint_id: ID },
+  body: { ...NOTE_FIELDS, summary: { ...NOTE_FIELDS.summary, required: true } }
+};
+
+app.post("/appointments/:appoint_id/notes", requireRole("professional"), validate(noteSchema), async (req, res) => {
+  try {
+    const { appoint_id } = req.params;
+    const { summary, plan, follow_up_date } = req.body;
+
+    const found = await loadAppointmentForUser(pool, appoint_id, req.user);
+    if (!found.appointment) {
+      return sendError(res, found.status, found.message);
+    }
+    if (found.appointment.status !== "Completed") {
+      return sendError(res, 409, "Notes can only be written for Completed appointments");
+    }
+
+    await pool.execute(
+      `INSERT INTO Session_Note (appoint_id, author_id, body_encrypted, follow_up_date)
+       VALUES (?, ?, ?, ?)`,
+      [appoint_id, req.user.professional_id, encryptNote({ summary, plan: plan ?? null }), follow_up_date ?? null]
+    );
+    res.status(201).json({ message: "Session note saved" });
+  } catch (err) {
+    // Session_Note.appoint_id is UNIQUE: one note per appointment
+    if (err.code === "ER_DUP_ENTRY") {
+      return sendError(res, 409, "A note already exists for this appointment, use PUT to edit it");
+    }
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /appointments/:appoint_id/notes
+ * Purpose: Edit an existing session note
+ *
+ * Request Body (JSON): same fields as POST; missing fields keep their old value
+ *
+ * Response:
+ * - 200: { message: "Session note updated" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }     (only the author can edit)
+ * - 404: { error: { code: "NOT_FOUND", message: "Session note not found" } }
+ */
+app.put("/appointments/:appoint_id/notes", requireRole("professional"), validate({ params: { appoint_id: ID }, body: NOTE_FIELDS }), async (req, res) => {
+  try {
+    const { appoint_id } = req.params;
+    const { summary, plan, follow_up_date } = req.body;
+
+    const [[note]] = await pool.execute(
+      "SELECT author_id, body_encrypted, follow_up_date FROM Session_Note WHERE appoint_id = ?",
+      [appoint_id]
+    );
+    if (!note) {
+      return sendError(res, 404, "Session note not found");
+    }
+    if (note.author_id !== req.user.professional_id) {
+      return sendError(res, 403, "Access denied");
+    }
+
+    const old = decryptNote(note.body_encrypted);
+    const body = {
+      summary: summary ?? old.summary,
+      plan: plan !== undefined ? plan : old.plan,
+    };
+
+    await pool.execute(
+      `UPDATE Session_Note SET body_encrypted = ?, follow_up_date = ?
+       WHERE appoint_id = ?`,
+      [encryptNote(body), follow_up_date !== undefined ? follow_up_date : note.follow_up_date, appoint_id]
+    );
+    res.json({ message: "Session note updated" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /appointments/:appoint_id/notes
+ * Purpose: Read a session note (decrypted)
+ *
+ * Response:
+ * - 200: { appoint_id, author_id, author_name, summary, plan, follow_up_date, created_at, updated_at }
+ * - 403: { error: { code: "FORBIDDEN", message: "Access denied" } }     (students, admins, and other professionals unless sharing is on)
+ * - 404: { error: { code: "NOT_FOUND", message: "Session note not found" } }
+ */
+app.get("/appointments/:appoint_id/notes", requireRole("professional"), validate({ params: { appoint_id: ID } }), async (req, res) => {
+  try {
+    const { appoint_id } = req.params;
+
+    const [[note]] = await pool.execute(
+      `SELECT n.appoint_id, n.author_id, u.name AS author_name, n.body_encrypted,
+              n.follow_up_date, n.created_at, n.updated_at
+       FROM Session_Note n
+       JOIN Professional p ON p.professional_id = n.author_id
+       JOIN User u ON u.user_id = p.user_id
+       WHERE n.appoint_id = ?`,
+      [appoint_id]
+    );
+    if (!note) {
+      return sendError(res, 404, "Session note not found");
+    }
+    if (note.author_id !== req.user.professional_id && !NOTES_SHARE_WITH_CLINICIANS) {
+      return sendError(res, 403, "Access denied");
+    }
+
+    const { body_encrypted, ...meta } = note;
+    res.json({ ...meta, ...decryptNote(body_encrypted) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+const PORT = 3000;
+app.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+  startReminderScheduler();
+});
+// ==================== PROFESSIONAL SCHEDULE ENDPOINTS ====================
+// A professional only ever sees appointments booked with them
+
+/**
+ * getScheduleOwner(req)
+ * Purpose: Whose schedule to show - the logged-in professional,
+ * or for admins the ?professional_id= query parameter
+ */
+function getScheduleOwner(req) {
+  return req.user.role === "admin" ? Number(req.query.professional_id) || null : req.user.professional_id;
+}
+
+/**
+ * getProfessionalAppointments(professional_id, { from, to, status })
+ * Purpose: A professional's appointments in a date range with student details joined in
+ * Pending requests come first, then everything else by date and time
+ */
+async function getProfessionalAppointments(professional_id, { from, to, status }) {
+  const [rows] = await pool.execute(
+    `SELECT a.appoint_id, a.std_id, u.name AS student_name, st.department, st.semester,
+            a.appointment_type, a.appointment_date, a.appointment_time, a.duration_minutes,
+            a.status, a.reason
+     FROM Appointment a
+     JOIN Student st ON st.std_id = a.std_id
+     JOIN User u ON u.user_id = st.user_id
+     WHERE a.professional_id = ?
+       AND a.appointment_date >= ?
+       AND (? IS NULL OR a.appointment_date <= ?)
+       AND (? IS NULL OR a.status = ?)
+     ORDER BY (a.status = 'Pending') DESC, a.appointment_date, a.appointment_time`,
+    [professional_id, from, to ?? null, to ?? null, status ?? null, status ?? null]
+  );
+  return rows;
+}
+
+/**
+ * GET /professional/appointments?from=YYYY-MM-DD&to=YYYY-MM-DD&status=Pending
+ * Purpose: The logged-in professional's schedule
+ *
+ * Query Parameters (all optional):
+ * - from: first day (defaults to today)
+ * - to: last day (no upper limit when omitted - the "upcoming" view)
+ * - status: only appointments in this status
+ * - professional_id: admins only, whose schedule to show
+ *
+ * Response:
+ * - 200: [{ appoint_id, std_id, student_name, department, semester, appointment_type,
+ *           appointment_date, appointment_time, duration_minutes, status, reason }, ...]
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { to: "must not be before from" } } }
+ *
+ * Used by: Professional dashboard day / week / upcoming views
+ */
+const scheduleSchema = {
+  query: {
+    from: { type: "date" },
+    to: { type: "date" },
+    status: { type: "enum", values: APPOINTMENT_STATUSES },
+    professional_id: { type: "int", min: 1 }
+  }
+};
+
+app.get("/professional/appointments", requireRole("professional", "admin"), validate(scheduleSchema), async (req, res) => {
+  try {
+    const professional_id = getScheduleOwner(req);
+    if (!professional_id) {
+      return sendError(res, 400, "Invalid request", { fields: { professional_id: "is required" } });
+    }
+
+    const from = req.query.from || new Date().toISOString().split("T")[0];
+    const { to, status } = req.query;
+    if (to && to < from) {
+      return sendError(res, 400, "Invalid request", { fields: { to: "must not be before from" } });
+    }
+
+    res.json(await getProfessionalAppointments(professional_id, { from, to, status }));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /professional/today
+ * Purpose: Shortcut for today's appointments of the logged-in professional
+ * (same as /professional/appointments?from=<today>&to=<today>)
+ */
+app.get("/professional/today", requireRole("professional", "admin"), validate({ query: { professional_id: { type: "int", min: 1 } } }), async (req, res) => {
+  try {
+    const professional_id = getScheduleOwner(req);
+    if (!professional_id) {
+      return sendError(res, 400, "Invalid request", { fields: { professional_id: "is required" } });
+    }
+
+    const today = new Date().toISOString().split("T")[0];
+    res.json(await getProfessionalAppointments(professional_id, { from: today, to: today }));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== EARLY WARNING (RISK FLAGS) ====================
+// riskflags.js scans a student's mood logs after every save and raises flags
+// (sustained high stress, persistently low mood, sudden drops).
+// Counselors work through the queue: open -> acknowledged -> resolved (admins can read it).
+// Students never see flags; they only get a supportive notification when one is raised.
+// Every status change is written to Risk_Flag_History.
+
+const RISK_FLAG_STATUSES = ["open", "acknowledged", "resolved"];
+
+// Which statuses a flag may move to from each status
+const RISK_FLAG_TRANSITIONS = {
+  open: ["acknowledged", "resolved"],
+  acknowledged: ["resolved"],
+  resolved: []
+};
+
+/**
+ * requireCounselor(...otherRoles) (middleware factory)
+ * Purpose: Only let counselors (Professional.professional_type = 'Counselor') through,
+ * plus users whose role is listed in otherRoles
+ * Example: app.get("/risk-flags", requireCounselor("admin"), ...)
+ */
+function requireCounselor(...otherRoles) {
+  return async (req, res, next) => {
+    try {
+      if (otherRoles.includes(req.user.role)) return next();
+
+      if (req.user.role === "professional") {
+        const [[professional]] = await pool.execute(
+          "SELECT professional_type FROM Professional WHERE professional_id = ?",
+          [req.user.professional_id]
+        );
+        if (professional && professional.professional_type === "Counselor") return next();
+      }
+      sendError(res, 403, "Access denied");
+    } catch (err) {
+      serverError(res, err);
+    }
+  };
+}
+
+/**
+ * GET /risk-flags?status=active|open|acknowledged|resolved|all
+ * Purpose: The counselors' queue of flagged students
+ *
+ * Query Parameters (optional):
+ * - status: "active" (open + acknowledged, default), one status, or "all"
+ *
+ * Response:
+ * - 200: [{ flag_id, std_id, student_name, department, rule_name, severity, summary, details,
+ *           evidence_from, evidence_to, status, raised_at,
+ *           acknowledged_by_name, acknowledged_at, resolved_by_name, resolved_at }, ...]
+ *   Open flags come first, then high severity, then oldest first
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { status: "..." } } }
+ *
+ * Access: counselors and admins
+ * Used by: Professional dashboard "Students needing attention"
+ */
+const riskFlagQueueSchema = {
+  query: { status: { type: "enum", values: ["active", "all", ...RISK_FLAG_STATUSES] } }
+};
+
+app.get("/risk-flags", requireCounselor("admin"), validate(riskFlagQueueSchema), async (req, res) => {
+  try {
+    const status = req.query.status || "active";
+    const statuses = status === "all" ? RISK_FLAG_STATUSES
+      : status === "active" ? ["open", "acknowledged"]
+      : [status];
+
+    const [rows] = await pool.query(
+      `SELECT f.flag_id, f.std_id, u.name AS student_name, st.department,
+              f.rule_name, f.severity, f.summary, f.details, f.evidence_from, f.evidence_to,
+              f.status, f.raised_at,
+              ack.name AS acknowledged_by_name, f.acknowledged_at,
+              res.name AS resolved_by_name, f.resolved_at
+       FROM Risk_Flag f
+       JOIN Student st ON st.std_id = f.std_id
+       JOIN User u ON u.user_id = st.user_id
+       LEFT JOIN User ack ON ack.user_id = f.acknowledged_by
+       LEFT JOIN User res ON res.user_id = f.resolved_by
+       WHERE f.status IN (?)
+       ORDER BY (f.status = 'open') DESC, (f.severity = 'high') DESC, f.raised_at, f.flag_id`,
+      [statuses]
+    );
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /risk-flags/:flag_id/status
+ * Purpose: Acknowledge ("I'm looking into it") or resolve a flag
+ *
+ * Request Body (JSON):
+ * {
+ *   status: "acknowledged" | "resolved",
+ *   note: string   // what was done; required when resolving
+ * }
+ *
+ * Response:
+ * - 200: { message: "Flag updated", status }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { note: "is required" } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "Flag not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "A resolved flag can't be acknowledged" } }
+ *
+ * Access: counselors
+ * Database: Updates Risk_Flag, adds a Risk_Flag_History row (one transaction)
+ */
+const riskFlagStatusSchema = {
+  params: { flag_id: ID },
+  body: {
+    status: { type: "enum", values: ["acknowledged", "resolved"], required: true },
+    note: { type: "string", maxLength: MAX_TEXT }
+  }
+};
+
+app.put("/risk-flags/:flag_id/status", requireCounselor(), validate(riskFlagStatusSchema), async (req, res) => {
+  const { flag_id } = req.params;
+  const { status, note } = req.body;
+
+  if (status === "resolved" && !note) {
+    return sendError(res, 400, "A note is required when resolving a flag", { fields: { note: "is required" } });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // Lock the flag so two counselors can't change it at once
+    const [[flag]] = await conn.execute(
+      "SELECT status FROM Risk_Flag WHERE flag_id = ? FOR UPDATE",
+      [flag_id]
+    );
+    if (!flag) {
+      await conn.rollback();
+      return sendError(res, 404, "Flag not found");
+    }
+    if (!RISK_FLAG_TRANSITIONS[flag.status].includes(status)) {
+      await conn.rollback();
+      return sendError(res, 409, `A ${flag.status} flag can't be ${status}`);
+    }
+
+    const column = status === "acknowledged" ? "acknowledged" : "resolved";
+    await conn.execute(
+      `UPDATE Risk_Flag SET status = ?, ${column}_by = ?, ${column}_at = NOW() WHERE flag_id = ?`,
+      [status, req.user.user_id, flag_id]
+    );
+    await conn.execute(
+      `INSERT INTO Risk_Flag_History (flag_id, changed_by, old_status, new_status, note)
+       VALUES (?, ?, ?, ?, ?)`,
+      [flag_id, req.user.user_id, flag.status, status, note ?? null]
+    );
+
+    await conn.commit();
+    res.json({ message: "Flag updated", status });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * GET /risk-flags/:flag_id/history
+ * Purpose: Audit trail of one flag, oldest first
+ *
+ * Response:
+ * - 200: [{ history_id, old_status, new_status, note, changed_at, changed_by_name }, ...]
+ *   (changed_by_name is null for the automatic scan that raised the flag)
+ * - 404: { error: { code: "NOT_FOUND", message: "Flag not found" } }
+ *
+ * Access: counselors and admins
+ */
+app.get("/risk-flags/:flag_id/history", requireCounselor("admin"), validate({ params: { flag_id: ID } }), async (req, res) => {
+  try {
+    const [[flag]] = await pool.execute("SELECT flag_id FROM Risk_Flag WHERE flag_id = ?", [req.params.flag_id]);
+    if (!flag) {
+      return sendError(res, 404, "Flag not found");
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT h.history_id, h.old_status, h.new_status, h.note, h.changed_at, u.name AS changed_by_name
+       FROM Risk_Flag_History h
+       LEFT JOIN User u ON u.user_id = h.changed_by
+       WHERE h.flag_id = ?
+       ORDER BY h.changed_at, h.history_id`,
+      [req.params.flag_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== ADMIN DASHBOARD ====================
+// All-time counts plus campus-wide trends for wellness staff.
+// Trend endpoints take the same ?from=&to= range as the student analytics
+// (default: the last 30 days) and group by week (starting Monday).
+// Figures about groups of students are hidden below ADMIN_MIN_COHORT_SIZE students,
+// so no individual can be picked out of a small department or semester.
+
+const ADMIN_MIN_COHORT_SIZE = Number(process.env.ADMIN_MIN_COHORT_SIZE) || 5;
+
+app.get("/admin/stats", requireRole("admin"), async (req, res) => {
+  try {
+    // Only active accounts count (see PUT /admin/users/:user_id/status)
+    const [[students]] = await pool.query("SELECT COUNT(*) AS count FROM User WHERE role = 'student' AND is_active = 1");
+    const [[professionals]] = await pool.query("SELECT COUNT(*) AS count FROM User WHERE role = 'professional' AND is_active = 1");
+    const [[appointments]] = await pool.query("SELECT COUNT(*) AS count FROM Appointment");
+
+    res.json({
+      students: students.count,
+      professionals: professionals.count,
+      appointments: appointments.count
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * weekList(from, to)
+ * Purpose: Monday of every week touching [from, to], so empty weeks still show up as 0
+ */
+function weekList(from, to) {
+  const weeks = [];
+  for (let week = weekStart(from); week <= to; week = addDays(week, 7)) weeks.push(week);
+  return weeks;
+}
+
+/**
+ * GET /admin/analytics/appointments?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Purpose: Appointments per week, split by type and by status
+ *
+ * Response:
+ * - 200: {
+ *     from, to,
+ *     types: ["Counselor", "Doctor"], statuses: ["Approved", "Pending", ...],
+ *     weeks: [{ week: "2026-01-05", total: 7,
+ *               by_type: { Counselor: 5, Doctor: 2 }, by_status: { Approved: 4, Pending: 3 } }, ...]
+ *   }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ *
+ * Access: admins
+ */
+app.get("/admin/analytics/appointments", requireRole("admin"), validate({ query: ANALYTICS_RANGE }), async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
+    }
+    const { from, to } = range;
+
+    const [rows] = await pool.execute(
+      `SELECT DATE_SUB(appointment_date, INTERVAL WEEKDAY(appointment_date) DAY) AS week,
+              appointment_type, status, COUNT(*) AS count
+       FROM Appointment
+       WHERE appointment_date BETWEEN ? AND ?
+       GROUP BY week, appointment_type, status
+       ORDER BY week`,
+      [from, to]
+    );
+
+    const weeks = new Map(weekList(from, to).map(week => [week, { week, total: 0, by_type: {}, by_status: {} }]));
+    rows.forEach(row => {
+      const point = weeks.get(row.week);
+      const count = Number(row.count);
+      point.total += count;
+      point.by_type[row.appointment_type] = (point.by_type[row.appointment_type] || 0) + count;
+      point.by_status[row.status] = (point.by_status[row.status] || 0) + count;
+    });
+
+    res.json({
+      from,
+      to,
+      types: [...new Set(rows.map(row => row.appointment_type))].sort(),
+      statuses: [...new Set(rows.map(row => row.status))].sort(),
+      weeks: [...weeks.values()]
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /admin/analytics/participation?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Purpose: How many students log their mood each week
+ *
+ * Response:
+ * - 200: {
+ *     from, to, total_students: 120,
+ *     weeks: [{ week: "2026-01-05", students_logging: 48, entries: 190, participation_rate: 40 }, ...]
+ *   }
+ *   (participation_rate = students_logging / total_students, in percent)
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ *
+ * Access: admins
+ */
+app.get("/admin/analytics/participation", requireRole("admin"), validate({ query: ANALYTICS_RANGE }), async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
+    }
+    const { from, to } = range;
+
+    // Active student accounts only (a Student row stays behind after a role change)
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM Student st
+       JOIN User u ON u.user_id = st.user_id AND u.role = 'student' AND u.is_active = 1`
+    );
+    const [rows] = await pool.execute(
+      `SELECT ${PERIOD_START_SQL.week} AS week,
+              COUNT(DISTINCT std_id) AS students_logging, COUNT(*) AS entries
+       FROM Mood_log
+       WHERE log_date BETWEEN ? AND ?
+       GROUP BY week
+       ORDER BY week`,
+      [from, to]
+    );
+
+    const byWeek = new Map(rows.map(row => [row.week, row]));
+    const totalStudents = Number(total);
+    res.json({
+      from,
+      to,
+      total_students: totalStudents,
+      weeks: weekList(from, to).map(week => {
+        const row = byWeek.get(week);
+        const logging = row ? Number(row.students_logging) : 0;
+        return {
+          week,
+          students_logging: logging,
+          entries: row ? Number(row.entries) : 0,
+          participation_rate: totalStudents > 0 ? round((logging / totalStudents) * 100, 1) : null
+        };
+      })
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Student columns GET /admin/analytics/cohorts can group by
+const COHORT_COLUMNS = {
+  department: ["department"],
+  semester: ["semester"],
+  both: ["department", "semester"]
+};
+
+/**
+ * GET /admin/analytics/cohorts?from=&to=&group_by=department|semester|both
+ * Purpose: Average stress and mood per department and/or semester
+ *
+ * Groups with fewer than ADMIN_MIN_COHORT_SIZE students who logged a mood in the
+ * range are suppressed (see suppressSmallGroups in analytics.js); so is the
+ * overall figure when the whole campus is that small. Only active student accounts count.
+ *
+ * Response:
+ * - 200: {
+ *     from, to, group_by: "department", min_cohort_size: 5,
+ *     overall: { students: 40, entries: 300, avg_stress: 2.1, avg_mood: 3.4, suppressed: false },
+ *     groups: [{ department: "CSE", students: 12, entries: 90, avg_stress: 2.4, avg_mood: 3.1, suppressed: false },
+ *              { department: "EEE", students: null, entries: null, avg_stress: null, avg_mood: null, suppressed: true }, ...]
+ *   }
+ *   (students without a department / semester are grouped as "Unknown")
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ *
+ * Access: admins
+ */
+const cohortSchema = {
+  query: { ...ANALYTICS_RANGE, group_by: { type: "enum", values: Object.keys(COHORT_COLUMNS) } }
+};
+
+app.get("/admin/analytics/cohorts", requireRole("admin"), validate(cohortSchema), async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    if (range.fields) {
+      return sendError(res, 400, "Invalid request", { fields: range.fields });
+    }
+    const { from, to } = range;
+    const groupBy = req.query.group_by || "department";
+    const columns = COHORT_COLUMNS[groupBy];
+
+    const select = columns.map(c => `COALESCE(st.${c}, 'Unknown') AS ${c}`).join(", ");
+    const [rows] = await pool.execute(
+      `SELECT ${select}, COUNT(DISTINCT m.std_id) AS students, COUNT(*) AS entries,
+              AVG(m.stress_level) AS avg_stress, AVG(m.mood_rating) AS avg_mood
+       FROM Mood_log m
+       JOIN Student st ON st.std_id = m.std_id
+       JOIN User u ON u.user_id = st.user_id AND u.role = 'student' AND u.is_active = 1
+       WHERE m.log_date BETWEEN ? AND ?
+       GROUP BY ${columns.join(", ")}
+       ORDER BY ${columns.join(", ")}`,
+      [from, to]
+    );
+    const [[overall]] = await pool.execute(
+      `SELECT COUNT(DISTINCT m.std_id) AS students, COUNT(*) AS entries,
+              AVG(m.stress_level) AS avg_stress, AVG(m.mood_rating) AS avg_mood
+       FROM Mood_log m
+       JOIN Student st ON st.std_id = m.std_id
+       JOIN User u ON u.user_id = st.user_id AND u.role = 'student' AND u.is_active = 1
+       WHERE m.log_date BETWEEN ? AND ?`,
+      [from, to]
+    );
+
+    const metrics = ["entries", "avg_stress", "avg_mood"];
+    const format = row => ({
+      ...row,
+      students: Number(row.students),
+      entries: Number(row.entries),
+      avg_stress: round(row.avg_stress),
+      avg_mood: round(row.avg_mood)
+    });
+
+    res.json({
+      from,
+      to,
+      group_by: groupBy,
+      min_cohort_size: ADMIN_MIN_COHORT_SIZE,
+      overall: suppressSmallGroups([format(overall)], ADMIN_MIN_COHORT_SIZE, metrics)[0],
+      groups: suppressSmallGroups(rows.map(format), ADMIN_MIN_COHORT_SIZE, metrics)
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== ADMIN: USER MANAGEMENT ====================
+// Admins list, create and edit accounts, change roles, deactivate / reactivate
+// accounts and issue password reset codes.
+//
+// Accounts are never deleted: a deactivated user can't log in (see authenticate and
+// POST /auth/login) but their mood logs, appointments and notes stay. Every change
+// is written to User_History. Admins can't change their own role or deactivate
+// themselves, so there is always an admin left.
+
+const USER_ROLES = ["student", "professional", "admin"];
+const USER_PAGE_SIZE = 20;
+
+// Columns the user endpoints return (profile columns are null when the user has no such profile)
+const USER_COLUMNS = `u.user_id, u.name, u.email, u.phone, u.role, u.is_active, u.deactivated_at, u.created_at,
+  st.std_id, st.department, st.semester, p.professional_id, p.professional_type, p.session_minutes`;
+const USER_JOINS = `FROM User u
+  LEFT JOIN Student st ON st.user_id = u.user_id
+  LEFT JOIN Professional p ON p.user_id = u.user_id`;
+
+// Student / professional profile fields (shared by create, edit and role change)
+const USER_PROFILE_FIELDS = {
+  std_id: { type: "int", min: 1 },
+  department: { type: "string", maxLength: 100 },
+  semester: { type: "string", maxLength: 30 },
+  professional_type: { type: "enum", values: PROFESSIONAL_TYPES },
+  session_minutes: { type: "int", min: 10, max: 240 }
+};
+
+const formatUser = row => ({ ...row, is_active: Boolean(row.is_active) });
+
+/**
+ * recordUserChange(db, { user_id, changed_by, action, old_value, new_value, note })
+ * Purpose: Add a User_History row (db is a transaction connection)
+ */
+async function recordUserChange(db, { user_id, changed_by, action, old_value = null, new_value = null, note = null }) {
+  await db.execute(
+    `INSERT INTO User_History (user_id, changed_by, action, old_value, new_value, note)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [user_id, changed_by, action, old_value, new_value, note]
+  );
+}
+
+/**
+ * issuePasswordReset(db, user_id, admin_id)
+ * Purpose: Create a one-time reset code (older unused codes stop working)
+ * Returns: the plain code; only its SHA-256 hash is stored
+ */
+async function issuePasswordReset(db, user_id, admin_id) {
+  const code = crypto.randomBytes(8).toString("hex");
+  await db.execute("UPDATE Password_Reset SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL", [user_id]);
+  await db.execute(
+    `INSERT INTO Password_Reset (user_id, token_hash, created_by, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [user_id, hashToken(code), admin_id, PASSWORD_RESET_HOURS]
+  );
+  return code;
+}
+
+/**
+ * addRoleProfile(db, user_id, role, body)
+ * Purpose: Create the Student / Professional row a role needs, if the user has none yet
+ * Returns: null when done, or { field: problem } when a required profile field is missing
+ */
+async function addRoleProfile(db, user_id, role, body) {
+  if (role === "student") {
+    const [[existing]] = await db.execute("SELECT std_id FROM Student WHERE user_id = ?", [user_id]);
+    if (existing) return null;
+    if (!body.std_id) return { std_id: "is required for a student" };
+    await db.execute(
+      "INSERT INTO Student (user_id, std_id, department, semester) VALUES (?, ?, ?, ?)",
+      [user_id, body.std_id, body.department || null, body.semester || null]
+    );
+  }
+  if (role === "professional") {
+    const [[existing]] = await db.execute("SELECT professional_id FROM Professional WHERE user_id = ?", [user_id]);
+    if (existing) return null;
+    if (!body.professional_type) return { professional_type: "is required for a professional" };
+    await db.execute(
+      "INSERT INTO Professional (user_id, professional_type, session_minutes) VALUES (?, ?, ?)",
+      [user_id, body.professional_type, body.session_minutes || 30]
+    );
+  }
+  return null;
+}
+
+/**
+ * duplicateUserError(res, err)
+ * Purpose: Turn a UNIQUE key violation (User.email, Student.std_id) into a 409
+ * Returns: true if a response was sent
+ */
+function duplicateUserError(res, err) {
+  if (err.code !== "ER_DUP_ENTRY") return false;
+  const fields = /email/i.test(err.message) ? { email: "is already registered" } : { std_id: "is already registered" };
+  sendError(res, 409, "Email or student ID is already registered", { fields });
+  return true;
+}
+
+/**
+ * GET /admin/users?q=&role=&status=&page=&page_size=
+ * Purpose: List and search accounts
+ *
+ * Query Parameters (all optional):
+ * - q: part of the name or email, or an exact student ID
+ * - role: student / professional / admin
+ * - status: active / inactive / all (default all)
+ * - page / page_size: pagination (page_size 1-100, default 20)
+ *
+ * Response:
+ * - 200: {
+ *     page: 1, page_size: 20, total: 3,
+ *     users: [{ user_id, name, email, phone, role, is_active, deactivated_at, created_at,
+ *               std_id, department, semester, professional_id, professional_type, session_minutes }, ...]
+ *   }
+ *
+ * Access: admins
+ */
+const userSearchSchema = {
+  query: {
+    q: { type: "string", maxLength: 100 },
+    role: { type: "enum", values: USER_ROLES },
+    status: { type: "enum", values: ["active", "inactive", "all"] },
+    page: { type: "int", min: 1 },
+    page_size: { type: "int", min: 1, max: 100 }
+  }
+};
+
+app.get("/admin/users", requireRole("admin"), validate(userSearchSchema), async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const pageSize = Number(req.query.page_size) || USER_PAGE_SIZE;
+    const q = (req.query.q || "").trim();
+
+    // Build the WHERE clause from the filters that were sent
+    const where = ["1 = 1"];
+    const params = [];
+    if (q) {
+      where.push("(u.name LIKE ? OR u.email LIKE ? OR st.std_id = ?)");
+      params.push(`%${q}%`, `%${q}%`, /^\d+$/.test(q) ? Number(q) : -1);
+    }
+    if (req.query.role) {
+      where.push("u.role = ?");
+      params.push(req.query.role);
+    }
+    if (req.query.status === "active") where.push("u.is_active = 1");
+    if (req.query.status === "inactive") where.push("u.is_active = 0");
+    const whereSql = where.join(" AND ");
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total ${USER_JOINS} WHERE ${whereSql}`, params);
+    const [rows] = await pool.query(
+      `SELECT ${USER_COLUMNS} ${USER_JOINS}
+       WHERE ${whereSql}
+       ORDER BY u.is_active DESC, u.name
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({ page, page_size: pageSize, total: Number(total), users: rows.map(formatUser) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /admin/users/:user_id
+ * Purpose: One account with its student / professional profile
+ *
+ * Response:
+ * - 200: { user_id, name, email, ..., professional_type, session_minutes }
+ * - 404: { error: { code: "NOT_FOUND", message: "User not found" } }
+ *
+ * Access: admins
+ */
+app.get("/admin/users/:user_id", requireRole("admin"), validate({ params: { user_id: ID } }), async (req, res) => {
+  try {
+    const [[user]] = await pool.execute(`SELECT ${USER_COLUMNS} ${USER_JOINS} WHERE u.user_id = ?`, [req.params.user_id]);
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+    res.json(formatUser(user));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * POST /admin/users
+ * Purpose: Create a student, professional or admin account
+ *
+ * Request Body (JSON):
+ * {
+ *   name: string,                 // (required)
+ *   email: string,                // (required, unique)
+ *   role: "student" | "professional" | "admin",   // (required)
+ *   password: string,             // optional, at least 6 characters
+ *   phone: string,
+ *   std_id: number,               // required for students
+ *   department: string, semester: string,          // students
+ *   professional_type: "Counselor" | "Doctor" | "Nutritionist",   // required for professionals
+ *   session_minutes: number                         // professionals, default 30
+ * }
+ *
+ * Response:
+ * - 201: { message: "User created", user_id, reset_code }
+ *   (reset_code only when no password was given: hand it to the user so they can
+ *   set their own password on the login page, see POST /auth/reset-password)
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { std_id: "is required for a student" } } }
+ * - 409: { error: { code: "CONFLICT", message: "Email or student ID is already registered", fields: { email: "..." } } }
+ *
+ * Access: admins
+ */
+const createUserSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true, maxLength: 100 },
+    role: { type: "enum", values: USER_ROLES, required: true },
+    password: { type: "string", minLength: 6, maxLength: 200 },
+    phone: { type: "string", maxLength: 30 },
+    ...USER_PROFILE_FIELDS
+  }
+};
+
+app.post("/admin/users", requireRole("admin"), validate(createUserSchema), async (req, res) => {
+  const { name, email, role, password, phone } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [result] = await conn.execute(
+      "INSERT INTO User (name, email, password_hash, phone, role) VALUES (?, ?, ?, ?, ?)",
+      [name, email, password ? await hashPassword(password) : null, phone || null, role]
+    );
+    const user_id = result.insertId;
+
+    const problem = await addRoleProfile(conn, user_id, role, req.body);
+    if (problem) {
+      await conn.rollback();
+      return sendError(res, 400, "Invalid request", { fields: problem });
+    }
+
+    await recordUserChange(conn, { user_id, changed_by: req.user.user_id, action: "created", new_value: role });
+    const resetCode = password ? null : await issuePasswordReset(conn, user_id, req.user.user_id);
+
+    await conn.commit();
+    res.status(201).json({ message: "User created", user_id, ...(resetCode ? { reset_code: resetCode } : {}) });
+  } catch (err) {
+    await conn.rollback();
+    if (duplicateUserError(res, err)) return;
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /admin/users/:user_id
+ * Purpose: Edit an account's details
+ *
+ * Request Body (JSON) - every field is optional, missing fields are left unchanged:
+ * { name, email, phone, department, semester, professional_type, session_minutes }
+ * (profile fields only apply when the user has that profile; std_id can't be changed)
+ *
+ * Response:
+ * - 200: { message: "User updated" }
+ * - 404: { error: { code: "NOT_FOUND", message: "User not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "Email or student ID is already registered", fields: { email: "..." } } }
+ *
+ * Access: admins
+ */
+const updateUserSchema = {
+  params: { user_id: ID },
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    email: { type: "email", maxLength: 100 },
+    phone: { type: "string", maxLength: 30 },
+    department: USER_PROFILE_FIELDS.department,
+    semester: USER_PROFILE_FIELDS.semester,
+    professional_type: USER_PROFILE_FIELDS.professional_type,
+    session_minutes: USER_PROFILE_FIELDS.session_minutes
+  }
+};
+
+app.put("/admin/users/:user_id", requireRole("admin"), validate(updateUserSchema), async (req, res) => {
+  const { user_id } = req.params;
+  const body = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[current]] = await conn.execute(`SELECT ${USER_COLUMNS} ${USER_JOINS} WHERE u.user_id = ? FOR UPDATE`, [user_id]);
+    if (!current) {
+      await conn.rollback();
+      return sendError(res, 404, "User not found");
+    }
+
+    // Sent fields win over the stored ones ("" clears an optional text field)
+    const pick = name => (body[name] !== undefined ? body[name] || null : current[name]);
+    await conn.execute(
+      "UPDATE User SET name = ?, email = ?, phone = ? WHERE user_id = ?",
+      [body.name || current.name, body.email || current.email, pick("phone"), user_id]
+    );
+    if (current.std_id) {
+      await conn.execute(
+        "UPDATE Student SET department = ?, semester = ? WHERE user_id = ?",
+        [pick("department"), pick("semester"), user_id]
+      );
+    }
+    if (current.professional_id) {
+      await conn.execute(
+        "UPDATE Professional SET professional_type = ?, session_minutes = ? WHERE user_id = ?",
+        [body.professional_type || current.professional_type, body.session_minutes || current.session_minutes, user_id]
+      );
+    }
+
+    const changed = Object.keys(body).filter(name => body[name] !== undefined && String(body[name] ?? "") !== String(current[name] ?? ""));
+    if (changed.length > 0) {
+      await recordUserChange(conn, { user_id, changed_by: req.user.user_id, action: "updated", note: `Changed ${changed.join(", ")}` });
+    }
+
+    await conn.commit();
+    res.json({ message: "User updated" });
+  } catch (err) {
+    await conn.rollback();
+    if (duplicateUserError(res, err)) return;
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /admin/users/:user_id/role
+ * Purpose: Make a user a student, professional or admin
+ *
+ * Request Body (JSON):
+ * {
+ *   role: "student" | "professional" | "admin",   // (required)
+ *   std_id, department, semester,                  // when making a student without a Student profile
+ *   professional_type, session_minutes             // when making a professional without a Professional profile
+ * }
+ * An earlier profile is kept (and reused if the user gets that role back),
+ * so a former student's logs and appointments stay linked to them.
+ *
+ * Response:
+ * - 200: { message: "Role changed", role: "professional" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { professional_type: "is required for a professional" } } }
+ * - 404: { error: { code: "NOT_FOUND", message: "User not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "You can't change your own role" } }
+ *
+ * Access: admins
+ */
+const userRoleSchema = {
+  params: { user_id: ID },
+  body: { role: { type: "enum", values: USER_ROLES, required: true }, ...USER_PROFILE_FIELDS }
+};
+
+app.put("/admin/users/:user_id/role", requireRole("admin"), validate(userRoleSchema), async (req, res) => {
+  const user_id = Number(req.params.user_id);
+  const { role } = req.body;
+  if (user_id === req.user.user_id) {
+    return sendError(res, 409, "You can't change your own role");
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[user]] = await conn.execute("SELECT role FROM User WHERE user_id = ? FOR UPDATE", [user_id]);
+    if (!user) {
+      await conn.rollback();
+      return sendError(res, 404, "User not found");
+    }
+    if (user.role === role) {
+      await conn.rollback();
+      return res.json({ message: "Role unchanged", role });
+    }
+
+    const problem = await addRoleProfile(conn, user_id, role, req.body);
+    if (problem) {
+      await conn.rollback();
+      return sendError(res, 400, "Invalid request", { fields: problem });
+    }
+
+    await conn.execute("UPDATE User SET role = ? WHERE user_id = ?", [role, user_id]);
+    await recordUserChange(conn, { user_id, changed_by: req.user.user_id, action: "role", old_value: user.role, new_value: role });
+
+    await conn.commit();
+    res.json({ message: "Role changed", role });
+  } catch (err) {
+    await conn.rollback();
+    if (duplicateUserError(res, err)) return;
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * PUT /admin/users/:user_id/status
+ * Purpose: Deactivate or reactivate an account
+ *
+ * Request Body (JSON):
+ * {
+ *   active: boolean,   // (required)
+ *   note: string       // reason, kept in the user's history (optional)
+ * }
+ * Deactivating ends the user's sessions, closes their live notification streams and
+ * cancels unused reset codes at once.
+ *
+ * Response:
+ * - 200: { message: "User deactivated" } / { message: "User reactivated" }
+ * - 404: { error: { code: "NOT_FOUND", message: "User not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "User is already deactivated" } } or "You can't deactivate yourself"
+ *
+ * Access: admins
+ */
+const userStatusSchema = {
+  params: { user_id: ID },
+  body: {
+    active: { type: "boolean", required: true },
+    note: { type: "string", maxLength: 255 }
+  }
+};
+
+app.put("/admin/users/:user_id/status", requireRole("admin"), validate(userStatusSchema), async (req, res) => {
+  const user_id = Number(req.params.user_id);
+  const active = [true, 1, "true", "1"].includes(req.body.active);
+  if (!active && user_id === req.user.user_id) {
+    return sendError(res, 409, "You can't deactivate yourself");
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[user]] = await conn.execute("SELECT is_active FROM User WHERE user_id = ? FOR UPDATE", [user_id]);
+    if (!user) {
+      await conn.rollback();
+      return sendError(res, 404, "User not found");
+    }
+    if (Boolean(user.is_active) === active) {
+      await conn.rollback();
+      return sendError(res, 409, active ? "User is already active" : "User is already deactivated");
+    }
+
+    await conn.execute(
+      `UPDATE User SET is_active = ?, deactivated_at = ${active ? "NULL" : "NOW()"} WHERE user_id = ?`,
+      [active ? 1 : 0, user_id]
+    );
+    if (!active) {
+      await conn.execute("DELETE FROM Session WHERE user_id = ?", [user_id]);
+      await conn.execute("UPDATE Password_Reset SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL", [user_id]);
+    }
+    await recordUserChange(conn, {
+      user_id,
+      changed_by: req.user.user_id,
+      action: active ? "reactivated" : "deactivated",
+      note: req.body.note || null
+    });
+
+    await conn.commit();
+
+    if (!active) {
+      const [[student]] = await pool.execute("SELECT std_id FROM Student WHERE user_id = ?", [user_id]);
+      if (student) endLiveStreams(student.std_id);
+    }
+    res.json({ message: active ? "User reactivated" : "User deactivated" });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * POST /admin/users/:user_id/password-reset
+ * Purpose: Issue a one-time password reset code
+ *
+ * The admin passes the code on to the user, who enters it with a new password on
+ * the login page (POST /auth/reset-password). The current password keeps working
+ * until then; earlier unused codes stop working.
+ *
+ * Response:
+ * - 201: { message: "Reset code created", reset_code: "9f2c...", expires_in_hours: 24 }
+ * - 404: { error: { code: "NOT_FOUND", message: "User not found" } }
+ * - 409: { error: { code: "CONFLICT", message: "Reactivate the account before resetting its password" } }
+ *
+ * Access: admins
+ */
+app.post("/admin/users/:user_id/password-reset", requireRole("admin"), validate({ params: { user_id: ID } }), async (req, res) => {
+  const { user_id } = req.params;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[user]] = await conn.execute("SELECT is_active FROM User WHERE user_id = ? FOR UPDATE", [user_id]);
+    if (!user) {
+      await conn.rollback();
+      return sendError(res, 404, "User not found");
+    }
+    if (!user.is_active) {
+      await conn.rollback();
+      return sendError(res, 409, "Reactivate the account before resetting its password");
+    }
+
+    const code = await issuePasswordReset(conn, user_id, req.user.user_id);
+    await recordUserChange(conn, { user_id, changed_by: req.user.user_id, action: "password_reset" });
+
+    await conn.commit();
+    res.status(201).json({ message: "Reset code created", reset_code: code, expires_in_hours: PASSWORD_RESET_HOURS });
+  } catch (err) {
+    await conn.rollback();
+    serverError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * GET /admin/users/:user_id/history
+ * Purpose: Every recorded change to an account, newest first
+ *
+ * Response:
+ * - 200: [{ history_id, action, old_value, new_value, note, changed_at, changed_by, changed_by_name }, ...]
+ *
+ * Access: admins
+ */
+app.get("/admin/users/:user_id/history", requireRole("admin"), validate({ params: { user_id: ID } }), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT h.history_id, h.action, h.old_value, h.new_value, h.note, h.changed_at,
+              h.changed_by, u.name AS changed_by_name
+       FROM User_History h
+       LEFT JOIN User u ON u.user_id = h.changed_by
+       WHERE h.user_id = ?
+       ORDER BY h.changed_at DESC, h.history_id DESC`,
+      [req.params.user_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ==================== LIVE NOTIFICATIONS (SERVER-SENT EVENTS) ====================
+// Students keep one open GET /notifications/:std_id/stream connection.
+// A single shared poller checks for new Notification and Appointment_History rows
+// every few seconds and pushes them to the connected students. Polling the table
+// (instead of hooking every INSERT) also picks up rows written by reminders.js.
+
+const NOTIFICATION_POLL_SECONDS = Number(process.env.NOTIFICATION_POLL_SECONDS) || 3;
+
+// std_id -> Set of { res, lastId, buffer } for each open stream.
+// buffer holds the rows the poller finds while the stream's catch-up query is
+// still running (null once it's done), so none are lost or sent out of order.
+const liveClients = new Map();
+let livePoller = null;
+let lastNotificationId = 0;
+let lastHistoryId = 0;
+
+/**
+ * sendEvent(res, event, data, id)
+ * Purpose: Write one SSE message; "id" lets the browser resume from it after a reconnect
+ */
+function sendEvent(res, event, data, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * pollLiveUpdates()
+ * Purpose: Push rows created since the last poll to the students they belong to
+ */
+async function pollLiveUpdates() {
+  try {
+    const [notifications] = await pool.execute(
+      "SELECT * FROM Notification WHERE n_id > ? ORDER BY n_id",
+      [lastNotificationId]
+    );
+    for (const n of notifications) {
+      lastNotificationId = n.n_id;
+      for (const client of liveClients.get(n.std_id) || []) {
+        if (client.buffer) {
+          client.buffer.push(n);
+          continue;
+        }
+        // Skip rows the client already got in its catch-up
+        if (n.n_id <= client.lastId) continue;
+        client.lastId = n.n_id;
+        sendEvent(client.res, "notification", n, n.n_id);
+      }
+    }
+
+    const [changes] = await pool.execute(
+      `SELECT h.history_id, h.appoint_id, a.std_id, h.old_status, h.new_status,
+              a.appointment_date, a.appointment_time, a.professional_name
+       FROM Appointment_History h
+       JOIN Appointment a ON a.appoint_id = h.appoint_id
+       WHERE h.history_id > ?
+       ORDER BY h.history_id`,
+      [lastHistoryId]
+    );
+    for (const change of changes) {
+      lastHistoryId = change.history_id;
+      for (const client of liveClients.get(change.std_id) || []) {
+        sendEvent(client.res, "appointment", change);
+      }
+    }
+  } catch (err) {
+    console.error("Live update poll failed:", err.message);
+  }
+}
+
+/**
+ * endLiveStreams(std_id)
+ * Purpose: Close a student's open streams (used when the account is deactivated)
+ * The "close" handlers remove them from liveClients; the browser's reconnect then gets a 401
+ */
+function endLiveStreams(std_id) {
+  for (const client of liveClients.get(std_id) || []) {
+    client.res.end();
+  }
+}
+
+/**
+ * startLivePoller() / stopLivePoller()
+ * Purpose: Only poll while at least one stream is open
+ */
+async function startLivePoller() {
+  if (livePoller) return;
+
+  // Start from the newest rows so old ones aren't broadcast again. The interval only
+  // starts once these are known; if the queries fail, the next stream tries again.
+  const [[n]] = await pool.query("SELECT COALESCE(MAX(n_id), 0) AS id FROM Notification");
+  const [[h]] = await pool.query("SELECT COALESCE(MAX(history_id), 0) AS id FROM Appointment_History");
+  lastNotificationId = Math.max(lastNotificationId, n.id);
+  lastHistoryId = Math.max(lastHistoryId, h.id);
+
+  // Another stream may have started it (or every stream closed) while the queries ran
+  if (!livePoller && liveClients.size > 0) {
+    livePoller = setInterval(pollLiveUpdates, NOTIFICATION_POLL_SECONDS * 1000);
+  }
+}
+
+function stopLivePoller() {
+  if (liveClients.size > 0 || !livePoller) return;
+  clearInterval(livePoller);
+  livePoller = null;
+}
+
+/**
+ * GET /notifications/:std_id/stream?access_token=...&since=<n_id>
+ * Purpose: Live stream of a student's new notifications and appointment changes
+ *
+ * Catch-up: notifications with n_id greater than the Last-Event-ID header
+ * (sent automatically by EventSource when it reconnects) or ?since= are sent first
+ *
+ * Events:
+ * - "notification": a Notification row (the event id is its n_id)
+ * - "appointment": { appoint_id, old_status, new_status, appointment_date, appointment_time, ... }
+ * - "stream-error": { message } right before the server ends a stream it couldn't serve
+ * A ": ping" comment is sent every 25 seconds to keep proxies from closing the connection
+ */
+app.get("/notifications/:std_id/stream", requireStudentAccess(), validate({ params: { std_id: ID } }), async (req, res) => {
+  const std_id = Number(req.params.std_id);
+  const since = Number(req.get("Last-Event-ID") || req.query.since) || 0;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const client = { res, lastId: since, buffer: since > 0 ? [] : null };
+  if (!liveClients.has(std_id)) liveClients.set(std_id, new Set());
+  liveClients.get(std_id).add(client);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    const set = liveClients.get(std_id);
+    set.delete(client);
+    if (set.size === 0) liveClients.delete(std_id);
+    stopLivePoller();
+  });
+
+  try {
+    await startLivePoller();
+
+    // Catch-up: everything the client missed while disconnected, then whatever
+    // the poller found in the meantime
+    if (since > 0) {
+      const [missed] = await pool.execute(
+        "SELECT * FROM Notification WHERE std_id = ? AND n_id > ? ORDER BY n_id",
+        [std_id, since]
+      );
+      const pending = [...missed, ...client.buffer].sort((a, b) => a.n_id - b.n_id);
+      client.buffer = null;
+      for (const n of pending) {
+        if (n.n_id <= client.lastId) continue;
+        client.lastId = n.n_id;
+        sendEvent(res, "notification", n, n.n_id);
+      }
+    }
+  } catch (err) {
+    // Same rule as serverError(): log the details, send only a generic message.
+    // ("error" is EventSource's own connection event, so it isn't used here.)
+    // Ending the stream makes the browser reconnect and resend Last-Event-ID.
+    serverError(res, err);
+    sendEvent(res, "stream-error", { message: "Something went wrong, please try again" });
+    res.end();
+  }
+});
+
+// ==================== NOTIFICATION CENTER ENDPOINTS ====================
+// Listing (with cursor pagination), unread counts, read / delete actions and
+// per-student preferences. New notifications are created through notifications.js.
+
+/**
+ * GET /notifications/:std_id?limit=20&before=<n_id>
+ * Purpose: A page of a student's notifications, newest first
+ *
+ * Query Parameters (optional):
+ * - limit: page size, 1-100 (default 20)
+ * - before: cursor - only notifications older than this n_id (use next_cursor from the previous page)
+ *
+ * Response:
+ * - 200: {
+ *     notifications: [{ n_id, msg, is_read, appointment_reminder, mood_reminder, habit_reminder, created_at }, ...],
+ *     next_cursor: 41 | null,   // pass as ?before= to get the next page, null on the last page
+ *     unread_count: 3
+ *   }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { limit: "must be between 1 and 100" } } }
+ */
+const notificationPageSchema = {
+  params: { std_id: ID },
+  query: { limit: { type: "int", min: 1, max: 100 }, before: { type: "int", min: 1 } }
+};
+
+app.get("/notifications/:std_id", requireStudentAccess(), validate(notificationPageSchema), async (req, res) => {
+  try {
+    const { std_id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const before = parseInt(req.query.before, 10) || null;
+
+    // limit is a clamped integer, so it is safe to put directly in the SQL;
+    // one extra row is fetched to know whether another page exists
+    const [rows] = await pool.execute(
+      `SELECT * FROM Notification
+       WHERE std_id = ? AND (? IS NULL OR n_id < ?)
+       ORDER BY n_id DESC
+       LIMIT ${limit + 1}`,
+      [std_id, before, before]
+    );
+    const [[{ unread_count }]] = await pool.execute(
+      "SELECT COUNT(*) AS unread_count FROM Notification WHERE std_id = ? AND is_read = 0",
+      [std_id]
+    );
+
+    const notifications = rows.slice(0, limit);
+    res.json({
+      notifications,
+      next_cursor: rows.length > limit ? notifications[notifications.length - 1].n_id : null,
+      unread_count
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /notifications/:std_id/unread-count
+ * Purpose: Just the number of unread notifications (for badges)
+ *
+ * Response:
+ * - 200: { unread_count: 3 }
+ */
+app.get("/notifications/:std_id/unread-count", requireStudentAccess(), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    const [[{ unread_count }]] = await pool.execute(
+      "SELECT COUNT(*) AS unread_count FROM Notification WHERE std_id = ? AND is_read = 0",
+      [req.params.std_id]
+    );
+    res.json({ unread_count });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /notifications/:std_id/read-all
+ * Purpose: Mark every notification of the student as read
+ *
+ * Response:
+ * - 200: { message: "All notifications marked as read", updated: 3 }
+ */
+app.put("/notifications/:std_id/read-all", requireStudentAccess(), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE Notification SET is_read = 1 WHERE std_id = ? AND is_read = 0",
+      [req.params.std_id]
+    );
+    res.json({ message: "All notifications marked as read", updated: result.affectedRows });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /notifications/read/:n_id
+ * Purpose: Mark one notification as read
+ *
+ * Response:
+ * - 200: { message: "Notification marked as read" }
+ * - 404: { error: { code: "NOT_FOUND", message: "Notification not found" } }  (also when it belongs to someone else)
+ */
+app.put("/notifications/read/:n_id", requireRole("student"), validate({ params: { n_id: ID } }), async (req, res) => {
+  try {
+    const { n_id } = req.params;
+    // Only the owning student's notification can be marked read
+    const [result] = await pool.execute(
+      `UPDATE Notification SET is_read = 1 WHERE n_id = ? AND std_id = ?`,
+      [n_id, req.user.std_id]
+    );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Notification not found");
+    }
+    res.json({ message: "Notification marked as read" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * DELETE /notifications/:n_id
+ * Purpose: Dismiss (delete) one notification
+ *
+ * Response:
+ * - 200: { message: "Notification deleted" }
+ * - 404: { error: { code: "NOT_FOUND", message: "Notification not found" } }  (also when it belongs to someone else)
+ */
+app.delete("/notifications/:n_id", requireRole("student"), validate({ params: { n_id: ID } }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "DELETE FROM Notification WHERE n_id = ? AND std_id = ?",
+      [req.params.n_id, req.user.std_id]
+    );
+    if (result.affectedRows === 0) {
+      return sendError(res, 404, "Notification not found");
+    }
+    res.json({ message: "Notification deleted" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * GET /notifications/:std_id/preferences
+ * Purpose: A student's reminder preferences (defaults if never saved)
+ *
+ * Response:
+ * - 200: {
+ *     appointment_reminders: 1, mood_reminders: 1, habit_reminders: 1,
+ *     quiet_start: "22:00:00" | null, quiet_end: "07:00:00" | null
+ *   }
+ */
+app.get("/notifications/:std_id/preferences", requireStudentAccess(), validate({ params: { std_id: ID } }), async (req, res) => {
+  try {
+    const [[prefs]] = await pool.execute(
+      `SELECT appointment_reminders, mood_reminders, habit_reminders, quiet_start, quiet_end
+       FROM Notification_Preference WHERE std_id = ?`,
+      [req.params.std_id]
+    );
+    res.json(prefs || {
+      appointment_reminders: 1, mood_reminders: 1, habit_reminders: 1, quiet_start: null, quiet_end: null
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+/**
+ * PUT /notifications/:std_id/preferences
+ * Purpose: Save reminder preferences
+ *
+ * Request Body (JSON), every field optional; fields left out keep their saved value:
+ * {
+ *   appointment_reminders: boolean,
+ *   mood_reminders: boolean,
+ *   habit_reminders: boolean,
+ *   quiet_start: "HH:MM" | null,   // sent together (null clears them); the window may wrap past midnight
+ *   quiet_end: "HH:MM" | null
+ * }
+ *
+ * Response:
+ * - 200: { message: "Preferences saved" }
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { quiet_end: "..." } } }
+ */
+const preferencesSchema = {
+  params: { std_id: ID },
+  body: {
+    appointment_reminders: { type: "boolean" },
+    mood_reminders: { type: "boolean" },
+    habit_reminders: { type: "boolean" },
+    quiet_start: { type: "time" },
+    quiet_end: { type: "time" }
+  }
+};
+
+app.put("/notifications/:std_id/preferences", requireStudentAccess(), validate(preferencesSchema), async (req, res) => {
+  try {
+    const { std_id } = req.params;
+    const [[saved]] = await pool.execute(
+      `SELECT appointment_reminders, mood_reminders, habit_reminders, quiet_start, quiet_end
+       FROM Notification_Preference WHERE std_id = ?`,
+      [std_id]
+    );
+    const current = saved || {
+      appointment_reminders: 1, mood_reminders: 1, habit_reminders: 1, quiet_start: null, quiet_end: null
+    };
+
+    // Quiet hours are one setting: leaving both out keeps the saved window
+    const quietSent = req.body.quiet_start !== undefined || req.body.quiet_end !== undefined;
+    const quiet_start = quietSent ? req.body.quiet_start || null : current.quiet_start;
+    const quiet_end = quietSent ? req.body.quiet_end || null : current.quiet_end;
+
+    if (!quiet_start !== !quiet_end) {
+      const missing = quiet_start ? "quiet_end" : "quiet_start";
+      return sendError(res, 400, "quiet_start and quiet_end must both be set or both be empty", {
+        fields: { [missing]: "is required when the other quiet hour is set" }
+      });
+    }
+
+    // Switches left out keep their saved value
+    const flag = name => (req.body[name] === undefined
+      ? current[name]
+      : [false, 0, "false", "0"].includes(req.body[name]) ? 0 : 1);
+
+    await pool.execute(
+      `INSERT INTO Notification_Preference
+       (std_id, appointment_reminders, mood_reminders, habit_reminders, quiet_start, quiet_end)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         appointment_reminders = VALUES(appointment_reminders),
+         mood_reminders = VALUES(mood_reminders),
+         habit_reminders = VALUES(habit_reminders),
+         quiet_start = VALUES(quiet_start),
+         quiet_end = VALUES(quiet_end)`,
+      [std_id, flag("appointment_reminders"), flag("mood_reminders"), flag("habit_reminders"), quiet_start, quiet_end]
+    );
+    res.json({ message: "Preferences saved" });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
 
+// ==================== FALLBACK HANDLERS ====================
+// Registered last: unknown routes and uncaught errors (e.g. malformed JSON)
+// answer in the same { error: { code, message, fields } } shape as everything else
+app.use(notFoundHandler);
+app.use(errorHandler);
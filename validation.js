@@ -0,0 +1,211 @@
+// backend/validation.js
+// Request validation and the shared error response shape
+//
+// Every error the API sends looks like:
+//   { error: { code: "VALIDATION_ERROR", message: "...", fields: { mood_rating: "must be between 1 and 5" } } }
+// fields is only filled in for validation errors ({} otherwise).
+// Some errors carry extra data next to "error" (e.g. alternatives[] on a booking clash).
+//
+// Routes declare what they accept with validate():
+//   app.post("/mood-log", validate({ body: { mood_rating: { type: "int", min: 1, max: 5 } } }), ...)
+
+// Default error code for each HTTP status
+const ERROR_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  500: "INTERNAL_ERROR"
+};
+
+/**
+ * sendError(res, status, message, extra)
+ * Purpose: Send an error in the standard { error: { code, message, fields } } shape
+ *
+ * extra (optional):
+ * - code:   overrides the default code for the status
+ * - fields: { field_name: "what is wrong" }
+ * - anything else is added next to "error" (e.g. { alternatives })
+ */
+function sendError(res, status, message, { code, fields = {}, ...data } = {}) {
+  return res.status(status).json({
+    error: { code: code || ERROR_CODES[status] || "ERROR", message, fields },
+    ...data
+  });
+}
+
+/**
+ * serverError(res, err)
+ * Purpose: Log an unexpected error and send a generic 500
+ * The real error message stays in the server log, it can leak SQL details
+ */
+function serverError(res, err) {
+  console.error(err);
+  if (res.headersSent) return;
+  return sendError(res, 500, "Something went wrong, please try again");
+}
+
+// Value formats
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;           // YYYY-MM-DD
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/; // HH:MM or HH:MM:SS
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * isRealDate(value)
+ * Purpose: YYYY-MM-DD that exists on the calendar (rejects 2024-02-30)
+ */
+function isRealDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * checkValue(value, rule)
+ * Purpose: Check one present value against its rule
+ * Returns: an error string, or null when the value is fine
+ *
+ * Rule types: "int", "number", "string", "email", "date", "time", "enum", "boolean", "array", "object"
+ * Options: min / max (numbers), maxLength / minLength (strings),
+ *          values (enum), items / minItems / maxItems (arrays), fields (objects)
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case "int":
+    case "number": {
+      const pattern = rule.type === "int" ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      if (typeof value === "boolean" || typeof value === "object" || !pattern.test(String(value).trim())) {
+        return rule.type === "int" ? "must be a whole number" : "must be a number";
+      }
+      const n = Number(value);
+      if (rule.min !== undefined && rule.max !== undefined && (n < rule.min || n > rule.max)) {
+        return `must be between ${rule.min} and ${rule.max}`;
+      }
+      if (rule.min !== undefined && n < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && n > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    }
+
+    case "string":
+    case "email": {
+      if (typeof value !== "string" && typeof value !== "number") return "must be text";
+      const s = String(value);
+      if (rule.minLength !== undefined && s.length < rule.minLength) {
+        return `must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && s.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.type === "email" && !EMAIL_PATTERN.test(s)) return "must be a valid email address";
+      return null;
+    }
+
+    case "date":
+      return typeof value === "string" && isRealDate(value) ? null : "must be a date (YYYY-MM-DD)";
+
+    case "time":
+      return typeof value === "string" && TIME_PATTERN.test(value) ? null : "must be a time (HH:MM)";
+
+    case "enum":
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(", ")}`;
+
+    case "boolean":
+      return [true, false, 0, 1, "true", "false", "0", "1"].includes(value) ? null : "must be true or false";
+
+    case "array": {
+      if (!Array.isArray(value)) return "must be a list";
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `must have at least ${rule.minItems} item(s)`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `must have at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const itemError = checkValue(value[i], rule.items);
+          if (itemError) return `item ${i + 1}: ${itemError}`;
+        }
+      }
+      return null;
+    }
+
+    case "object": {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) return "must be an object";
+      const errors = checkFields(value, rule.fields || {});
+      const [name] = Object.keys(errors);
+      return name ? `${name} ${errors[name]}` : null;
+    }
+
+    default:
+      throw new Error(`Unknown validation rule type "${rule.type}"`);
+  }
+}
+
+/**
+ * checkFields(input, rules)
+ * Purpose: Check every field of one object against its rules
+ * Returns: { field_name: "what is wrong" } (empty when everything is fine)
+ */
+function checkFields(input, rules) {
+  const errors = {};
+  for (const [name, rule] of Object.entries(rules)) {
+    const value = input[name];
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors[name] = "is required";
+      continue;
+    }
+    const error = checkValue(value, rule);
+    if (error) errors[name] = error;
+  }
+  return errors;
+}
+
+/**
+ * validate(schema) (middleware factory)
+ * Purpose: Reject a request whose params, query or body don't match the schema
+ *
+ * schema: { params?: {...}, query?: {...}, body?: {...} }, each mapping field -> rule
+ * A rule with required: true must be present; missing means undefined, null or "".
+ * Optional fields are only checked when they are sent.
+ *
+ * Response on failure:
+ * - 400: { error: { code: "VALIDATION_ERROR", message: "Invalid request", fields: { ... } } }
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const fields = {};
+
+    for (const source of ["params", "query", "body"]) {
+      if (schema[source]) {
+        Object.assign(fields, checkFields(req[source] || {}, schema[source]));
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return sendError(res, 400, "Invalid request", { fields });
+    }
+    next();
+  };
+}
+
+/**
+ * notFoundHandler / errorHandler (registered last in server.js)
+ * Purpose: Unknown routes and anything thrown outside a route's own try/catch
+ * (e.g. a malformed JSON body) still answer in the standard shape
+ */
+function notFoundHandler(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
+}
+
+function errorHandler(err, req, res, next) {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON", { code: "INVALID_JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large", { code: "PAYLOAD_TOO_LARGE" });
+  }
+  serverError(res, err);
+}
+
+module.exports = { validate, sendError, serverError, notFoundHandler, errorHandler };